@@ -16,121 +16,247 @@
 
 const fs = require('fs');
 const path = require('path');
-const csv = require('csv-parser');
+const { Worker } = require('worker_threads');
 const AhoCorasick = require('ahocorasick');
 const { parseFiling, hasSpecializedParser } = require('./parsers');
-const { extractRawText } = require('./parsers/header-parser');
-const { classifySignal } = require('./signal-classifier');
+const { extractRawText, parseHeader, normalizeFormType } = require('./parsers/header-parser');
+const { describeDocument, findDocumentAt, primaryDocument, searchableRanges } = require('./parsers/xml-utils');
+const { attributeOwnershipValue } = require('./parsers/ownership-nature');
+const { classifySignal, getSignalRules } = require('./signal-classifier');
 const AdaptiveMatchingRules = require('./adaptive-matcher-rules');
 const FalsePositiveDetector = require('./false-positive-analyzer');
+const FilingLedger = require('./filing-ledger');
+const IdentityStore = require('./identity-store');
+const { compareAddresses } = require('./address-matcher');
+const { tokenEdits } = require('./name-similarity');
+const { foldText, foldSearchText } = require('./text-normalize');
+const { nicknameTable } = require('./nicknames');
+const { parseEntityName, entityKey } = require('./entity-names');
+const { romanizationsOf, phoneticKey, tokenEquivalence, weakestEquivalence, MIN_PHONETIC_KEY_LENGTH } = require('./name-equivalence');
+const { readProspectCsv, loadColumnMap } = require('./prospect-schema');
+const { buildProspectRollup, ROLLUP_CSV_COLUMNS } = require('./prospect-rollup');
+const { consolidateAmendments, isCurrentVersion } = require('./amendment-consolidator');
+const { hashValue, accessionFromFilename } = FilingLedger;
+const { normalizeCik } = IdentityStore;
+
+// Recorded in the filing ledger; bump with any change that alters match output
+const MATCHER_VERSION = require('./package.json').version;
+
+// Structured match types that keep the prospect's spelling, so their CIKs can be learned
+const LEARNABLE_MATCH_TYPES = new Set([
+  'exact', 'name_reorder', 'name_swap', 'name_reorder_drop_middle', 'first_middle_only', 'suffix_removed',
+]);
 
 // Legal suffixes stripped for fuzzy company comparison
 const LEGAL_SUFFIXES_RE = /\b(inc\.?|incorporated|corp\.?|corporation|company|co\.?|llc|ltd\.?|limited|plc|lp|l\.?p\.?|group|holdings|enterprises?|partners|partnership|& co\.?)\b/gi;
 
 function stripLegalSuffixes(name) {
-  return name.replace(LEGAL_SUFFIXES_RE, '').replace(/[.,]/g, '').replace(/\s+/g, ' ').trim();
+  return foldText(name).replace(LEGAL_SUFFIXES_RE, '').replace(/[.,]/g, '').replace(/\s+/g, ' ').trim();
 }
 
 // Regex for personal name suffixes (Jr., Sr., III, etc.)
 // Uses lookahead instead of trailing \b so "Jr." with dot is matched correctly
 const NAME_SUFFIXES_RE = /\b(jr|sr|iii|iv|ii|md|phd|esq)\.?(?=\s|$)/gi;
 
-// Nickname groups — bidirectional. Each group lists equivalent first names.
-const NICKNAME_GROUPS = [
-  ['william', 'bill', 'will', 'billy', 'willy'],
-  ['robert', 'bob', 'rob', 'bobby', 'robbie'],
-  ['elizabeth', 'liz', 'beth', 'lizzy', 'betty', 'eliza'],
-  ['richard', 'rick', 'rich', 'dick'],
-  ['james', 'jim', 'jimmy', 'jamie'],
-  ['michael', 'mike'],
-  ['thomas', 'tom', 'tommy'],
-  ['edward', 'ed', 'eddie', 'ted', 'teddy'],
-  ['joseph', 'joe', 'joey'],
-  ['charles', 'charlie', 'chuck'],
-  ['david', 'dave'],
-  ['christopher', 'chris'],
-  ['daniel', 'dan', 'danny'],
-  ['matthew', 'matt'],
-  ['anthony', 'tony'],
-  ['catherine', 'katherine', 'kate', 'katie', 'kathy', 'cathy'],
-  ['margaret', 'maggie', 'meg', 'peggy'],
-  ['jennifer', 'jen', 'jenny'],
-  ['patricia', 'pat', 'patty', 'trish'],
-  ['barbara', 'barb'],
-  ['benjamin', 'ben', 'benny'],
-  ['jonathan', 'jon'],
-  ['nicholas', 'nick'],
-  ['stephen', 'steven', 'steve'],
-  ['timothy', 'tim'],
-  ['lawrence', 'larry'],
-  ['raymond', 'ray'],
-  ['gregory', 'greg'],
-  ['andrew', 'andy', 'drew'],
-  ['kenneth', 'ken', 'kenny'],
-  ['donald', 'don'],
-  ['frederick', 'fred', 'freddy'],
-  ['gerald', 'jerry'],
-  ['jeffrey', 'jeff'],
-  ['leonard', 'leo', 'len'],
-  ['peter', 'pete'],
-  ['alexander', 'alexandra', 'alex'],
-  ['douglas', 'doug'],
-  ['philip', 'phil'],
-  ['ronald', 'ron'],
-  ['samuel', 'sam'],
-  ['theodore', 'theo'],
-  ['walter', 'walt'],
-  ['nathaniel', 'nathan', 'nate'],
-  ['rebecca', 'becky', 'becca'],
-  ['victoria', 'vicky', 'tori'],
-  ['deborah', 'debra', 'deb', 'debbie'],
-  ['pamela', 'pam'],
-  ['sandra', 'sandy'],
-  ['susan', 'sue', 'susie'],
-  ['cynthia', 'cindy'],
-  ['dorothy', 'dot', 'dotty'],
-  ['christine', 'christina', 'chris', 'tina'],
-];
+// Name tokens agree when equal or when one is an initial of the other ("j" / "john")
+function namesCompatible(a, b) {
+  return a === b || (a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b));
+}
 
-// Build lookup: name → all alternative first names (merges overlapping groups)
-const NICKNAME_LOOKUP = {};
-for (const group of NICKNAME_GROUPS) {
-  for (const name of group) {
-    if (!NICKNAME_LOOKUP[name]) NICKNAME_LOOKUP[name] = new Set();
-    for (const variant of group) {
-      if (variant !== name) NICKNAME_LOOKUP[name].add(variant);
-    }
+// Cap on romanization combinations generated per name variant
+const MAX_ROMANIZED_VARIANTS = 32;
+
+// Structured match types that came through an entity reporting owner
+const ENTITY_MATCH_METHODS = new Set(['prospect_entity', 'entity_person', 'entity_family']);
+
+// Name matches trusted for a personal name read out of an entity's name
+const ENTITY_PERSON_METHODS = new Set([
+  'exact', 'name_reorder', 'name_swap', 'name_reorder_drop_middle', 'suffix_removed', 'initials_middle',
+]);
+
+function createEmptyStats() {
+  return {
+    totalFilings: 0,
+    parsedStructured: 0,
+    parsedGeneric: 0,
+    matchesFound: 0,
+    matchesByTier: { 1: 0, 2: 0, 3: 0 },
+    matchesByFormType: {},
+    matchesByMatchMethod: { structured: 0, text: 0 },
+    matchesByConfidence: {},
+    companyVerified: 0,
+    companyNotVerified: 0,
+    uncertainMatches: 0,
+    mentionOnlyCount: 0,
+    parseErrors: 0,
+    skippedByFilter: 0,
+    binaryDocumentsSkipped: 0,
+    binaryBytesSkipped: 0,
+    reusedFromLedger: 0,
+    supersededByAmendment: 0,
+    cikMatches: 0,
+    cikConflicts: 0,
+    fuzzyNameMatches: 0,
+    equivalentNameMatches: 0,
+    nicknameMatches: 0,
+    entityMatches: 0,
+    identitiesLearned: 0,
+    identityConflicts: 0,
+  };
+}
+
+function sumTransactionValue(transactions, code) {
+  return (transactions || []).filter(t => t.code === code).reduce((sum, t) => sum + (t.value || 0), 0) || null;
+}
+
+// Code G recipients, their kinds, how the gifts were valued and any institution they went to
+function describeGifts(transactions) {
+  const gifts = (transactions || []).filter(t => t.code === 'G');
+  const unique = (values) => [...new Set(values.filter(Boolean))].join('; ');
+  return {
+    recipients: unique(gifts.map(t => t.donee || t.footnoteFacts?.donee)),
+    recipientTypes: unique(gifts.map(t => t.doneeType)),
+    valueSource: unique(gifts.map(t => t.valueSource)),
+    institution: unique(gifts.map(t => t.institution && `${t.institution.relation}: ${t.institution.name}`)),
+  };
+}
+
+// Indirect holding vehicles named on a Form 3/4/5: "spouse: By Spouse; crt: By CRT"
+function describeOwnershipVehicles(parsed) {
+  const positions = [
+    ...(parsed.transactions || []),
+    ...(parsed.derivativeTransactions || []),
+    ...(parsed.nonDerivativeHoldings || []),
+    ...(parsed.derivativeHoldings || []),
+  ];
+  const vehicles = new Set();
+  for (const p of positions) {
+    if (!p.ownershipCategory || p.ownershipCategory === 'direct') continue;
+    vehicles.add(p.natureOfOwnership ? `${p.ownershipCategory}: ${p.natureOfOwnership}` : p.ownershipCategory);
   }
+  return [...vehicles].join('; ');
 }
-for (const name of Object.keys(NICKNAME_LOOKUP)) {
-  NICKNAME_LOOKUP[name] = Array.from(NICKNAME_LOOKUP[name]);
+
+// Add counters from a worker's per-filing stats into the run totals (nested maps included)
+function mergeStats(target, delta) {
+  for (const [key, value] of Object.entries(delta)) {
+    if (typeof value === 'number') {
+      target[key] = (target[key] || 0) + value;
+    } else if (value && typeof value === 'object') {
+      if (!target[key]) target[key] = {};
+      mergeStats(target[key], value);
+    }
+  }
+  return target;
 }
 
+const WORKER_SCRIPT = path.join(__dirname, 'filing-worker.js');
+
+// Debug CSV layout (result field -> column title); delta-report.js reads it back
+const DEBUG_CSV_COLUMNS = [
+  { id: 'signal_tier', title: 'Signal Tier' },
+  { id: 'urgency', title: 'Urgency' },
+  { id: 'prospect_name', title: 'Prospect Name' },
+  { id: 'prospect_company', title: 'Prospect Company' },
+  { id: 'prospect_id', title: 'Prospect ID' },
+  { id: 'team_name', title: 'Team Name' },
+  { id: 'match_confidence', title: 'Confidence' },
+  { id: 'uncertain_match', title: 'Uncertain Match' },
+  { id: 'uncertain_reason', title: 'Uncertain Reason' },
+  { id: 'is_mention_only', title: 'Mention Only' },
+  { id: 'signal_count', title: 'Signal Count' },
+  { id: 'match_signals', title: 'Match Signals' },
+  { id: 'match_verdict', title: 'Match Verdict' },
+  { id: 'match_verdict_reason', title: 'Match Verdict Reason' },
+  { id: 'company_verified', title: 'Company Verified' },
+  { id: 'company_check_method', title: 'Company Check Method' },
+  { id: 'distance', title: 'Distance (chars)' },
+  { id: 'distance_category', title: 'Distance Category' },
+  { id: 'match_remarks', title: 'Match Remarks' },
+  { id: 'name_context', title: 'Name Context' },
+  { id: 'company_context', title: 'Company Context' },
+  { id: 'source_document', title: 'Source Document' },
+  { id: 'structured_match_type', title: 'Structured Match Type' },
+  { id: 'matched_alias', title: 'Matched Alias' },
+  { id: 'fuzzy_detail', title: 'Fuzzy Detail' },
+  { id: 'name_equivalence', title: 'Name Equivalence' },
+  { id: 'name_equivalence_detail', title: 'Name Equivalence Detail' },
+  { id: 'nickname_pair', title: 'Nickname Pair' },
+  { id: 'nickname_weight', title: 'Nickname Weight' },
+  { id: 'entity_kind', title: 'Entity Kind' },
+  { id: 'entity_detail', title: 'Entity Detail' },
+  { id: 'form_type', title: 'Form Type' },
+  { id: 'issuer_name', title: 'Issuer/Company' },
+  { id: 'issuer_ticker', title: 'Ticker' },
+  { id: 'filed_date', title: 'Filed Date' },
+  { id: 'match_method', title: 'Match Method' },
+  { id: 'filing_person_name', title: 'Filing Person Name' },
+  { id: 'filing_person_role', title: 'Filing Person Role' },
+  { id: 'filing_person_cik', title: 'Filing Person CIK' },
+  { id: 'cik_conflict', title: 'CIK Conflict' },
+  { id: 'address_match', title: 'Address Match' },
+  { id: 'address_detail', title: 'Address Detail' },
+  { id: 'transaction_codes', title: 'Transaction Codes' },
+  { id: 'transaction_summary', title: 'Transaction Summary' },
+  { id: 'total_value', title: 'Total Value ($)' },
+  { id: 'personal_value', title: 'Personal Value ($)' },
+  { id: 'household_value', title: 'Household Value ($)' },
+  { id: 'charitable_value', title: 'Charitable Vehicle Value ($)' },
+  { id: 'ownership_vehicles', title: 'Ownership Vehicles' },
+  { id: 'gift_recipients', title: 'Gift Recipients' },
+  { id: 'gift_recipient_types', title: 'Gift Recipient Types' },
+  { id: 'gift_value_source', title: 'Gift Value Source' },
+  { id: 'gift_institution', title: 'Gift to Our/Peer Institution' },
+  { id: 'plan_adoption_date', title: '10b5-1 Plan Adopted' },
+  { id: 'is_10b5_1', title: '10b5-1 Plan' },
+  { id: 'has_philanthropy_signal', title: 'Philanthropy Signal' },
+  { id: 'has_same_day_sale', title: 'Same-Day Sale' },
+  { id: 'has_planned_giving_vehicle', title: 'Planned-Giving Vehicle' },
+  { id: 'has_gift_to_institution', title: 'Gift to Our Institution' },
+  { id: 'has_gift_to_peer', title: 'Gift to Peer Institution' },
+  { id: 'signal_tier_label', title: 'Signal Category' },
+  { id: 'dimensions', title: 'Dimensions' },
+  { id: 'gift_officer_action', title: 'Gift Officer Action' },
+  { id: 'alerts', title: 'Alerts' },
+  { id: 'signal_summary', title: 'Summary' },
+  { id: 'fp_risk_score', title: 'FP Risk Score' },
+  { id: 'fp_risk_level', title: 'FP Risk Level' },
+  { id: 'fp_reasons', title: 'FP Reasons' },
+  { id: 'filename', title: 'Filing Filename' },
+  { id: 'accession_number', title: 'Accession Number' },
+  { id: 'is_amendment', title: 'Amendment' },
+  { id: 'superseded', title: 'Superseded' },
+  { id: 'superseded_by', title: 'Superseded By' },
+  { id: 'amendment_chain', title: 'Amendment Chain' },
+];
+
 class UnifiedMatcher {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.adaptiveOverrides] - Per-prospect adaptive rule overrides
+   *   ({ [prospectId]: { name?: {...}, company?: {...} } }, see adaptive-matcher-rules.js)
+   * @param {boolean} [options.quiet] - Suppress index-building logs (worker threads)
+   * @param {object} [options.learnedCiks] - { [cik]: prospectId } from an identity store
+   * @param {object} [options.nicknames] - Nickname dictionary layered on the default
+   *   ({ groups?, weights? }, see nicknames.js)
+   * @param {object} [options.gifts] - Form 4 gift valuation and institution list
+   *   ({ priceSource?, closingPrices?, institutions? }, see gifts.js)
+   */
+  constructor(options = {}) {
+    this.options = options;
     this.prospects = [];
     this.prospectIndex = {};      // lowercased name -> [prospect] (for structured matching)
     this.prospectById = {};       // id -> prospect (for quick lookup)
+    this.learnedCiks = options.learnedCiks || {};
+    this.cikIndex = new Map();    // normalized CIK -> { prospectId, source }
+    this.ciksByProspect = new Map(); // prospect id -> Set of known CIKs
     this.ahoCorasick = null;      // AC automaton with name+company patterns
     this.patternMap = new Map();  // pattern -> { type, prospectIds, variations }
-    this.adaptiveRules = new AdaptiveMatchingRules();
+    this.adaptiveRules = new AdaptiveMatchingRules({ overrides: options.adaptiveOverrides });
+    this.nicknames = nicknameTable(options.nicknames);  // first name -> Map(nickname -> weight)
     this.fpDetector = new FalsePositiveDetector();
     this.results = [];
-    this.stats = {
-      totalFilings: 0,
-      parsedStructured: 0,
-      parsedGeneric: 0,
-      matchesFound: 0,
-      matchesByTier: { 1: 0, 2: 0, 3: 0 },
-      matchesByFormType: {},
-      matchesByMatchMethod: { structured: 0, text: 0 },
-      matchesByConfidence: {},
-      companyVerified: 0,
-      companyNotVerified: 0,
-      uncertainMatches: 0,
-      mentionOnlyCount: 0,
-      parseErrors: 0,
-    };
+    this.stats = createEmptyStats();
   }
 
   _escapeRegex(str) {
@@ -139,7 +265,7 @@ class UnifiedMatcher {
 
   _normalizeNameForCompare(name) {
     if (!name) return '';
-    return name
+    return foldText(name)
       .toLowerCase()
       .replace(/,/g, '')
       .replace(NAME_SUFFIXES_RE, '')
@@ -277,26 +403,36 @@ class UnifiedMatcher {
   _shouldRejectStructuredUnverifiedMatch(prospect, filingPerson, parsedFiling, rawText, companyCheck) {
     if (!prospect || !filingPerson || !parsedFiling) return null;
     if (companyCheck && companyCheck.verified) return null;
-    if (!prospect.company || prospect.company.trim().length === 0) return null;
+    // An entity on the prospect record identifies them like a CIK does;
+    // a family name alone needs the company to agree
+    if (prospect.matchMethod === 'prospect_entity') return null;
+    if (prospect.matchMethod === 'entity_family') return 'family_entity_unverified';
+    const companies = this._prospectCompanies(prospect);
+    if (companies.length === 0) return null;
 
     const issuerName = parsedFiling.issuer?.name || parsedFiling.filer?.name || parsedFiling.subjectCompany?.name || '';
     const issuerRoot = issuerName ? stripLegalSuffixes(issuerName).toLowerCase().replace(/\s+/g, ' ').trim() : '';
-    const prospectRoot = stripLegalSuffixes(prospect.company).toLowerCase().replace(/\s+/g, ' ').trim();
-    if (!issuerRoot || issuerRoot.length < 3 || !prospectRoot || prospectRoot.length < 3) return null;
-
-    // If prospect company matches issuer, company check would likely have verified already.
-    if (issuerRoot.includes(prospectRoot) || prospectRoot.includes(issuerRoot)) return null;
-
-    // If the prospect's company is explicitly evidenced in text, don't reject —
-    // UNLESS the prospect company root overlaps with the filing person's name
-    // (e.g., "Gary Lee Enterprises" → root "gary lee" matches person "Gary Lee",
-    //  so finding "gary lee" in text is just the person's name, not company evidence).
-    if (rawText && rawText.toLowerCase().includes(prospectRoot)) {
-      const fpName = (filingPerson.name || '').toLowerCase().replace(NAME_SUFFIXES_RE, '').replace(/\s+/g, ' ').trim();
-      if (fpName && (fpName.includes(prospectRoot) || prospectRoot.includes(fpName))) {
-        // Company root overlaps person name — text match is not genuine company evidence
-      } else {
-        return null; // Genuine company evidence in text — don't reject
+    if (!issuerRoot || issuerRoot.length < 3) return null;
+
+    // Reject only when none of the prospect's employers could be the right one
+    for (const company of companies) {
+      const prospectRoot = stripLegalSuffixes(company).toLowerCase().replace(/\s+/g, ' ').trim();
+      if (!prospectRoot || prospectRoot.length < 3) return null;
+
+      // If prospect company matches issuer, company check would likely have verified already.
+      if (issuerRoot.includes(prospectRoot) || prospectRoot.includes(issuerRoot)) return null;
+
+      // If the prospect's company is explicitly evidenced in text, don't reject —
+      // UNLESS the prospect company root overlaps with the filing person's name
+      // (e.g., "Gary Lee Enterprises" → root "gary lee" matches person "Gary Lee",
+      //  so finding "gary lee" in text is just the person's name, not company evidence).
+      if (rawText && rawText.toLowerCase().includes(prospectRoot)) {
+        const fpName = (filingPerson.name || '').toLowerCase().replace(NAME_SUFFIXES_RE, '').replace(/\s+/g, ' ').trim();
+        if (fpName && (fpName.includes(prospectRoot) || prospectRoot.includes(fpName))) {
+          // Company root overlaps person name — text match is not genuine company evidence
+        } else {
+          return null; // Genuine company evidence in text — don't reject
+        }
       }
     }
 
@@ -307,27 +443,18 @@ class UnifiedMatcher {
   // Loading
   // ---------------------------------------------------------------------------
 
-  async loadProspects(csvPath) {
-    return new Promise((resolve, reject) => {
-      const prospects = [];
-      fs.createReadStream(csvPath)
-        .pipe(csv())
-        .on('data', (row) => {
-          const name = (row['Name'] || row['name'] || row['prospect_name'] || row['Prospect Name'] || '').trim();
-          const company = (row['Company Name'] || row['Prospect Company'] || row['company_name'] || row['Company'] || '').trim();
-          const id = (row['prospect_id'] || row['id'] || row['Prospect ID'] || '').trim();
-          const teamName = (row['Team Name'] || row['team_name'] || '').trim();
-          if (name) {
-            prospects.push({ id, name, company, teamName });
-          }
-        })
-        .on('end', () => {
-          this.prospects = prospects;
-          this._buildIndex();
-          resolve(prospects.length);
-        })
-        .on('error', reject);
-    });
+  /**
+   * Load prospects from a CRM CSV. Columns are mapped by config/prospect-columns.json
+   * (or the given column map); the pre-flight validation report is kept on
+   * this.prospectReport (see prospect-schema.js).
+   * @returns {Promise<number>} Prospects loaded
+   */
+  async loadProspects(csvPath, columnMap) {
+    const { prospects, report } = await readProspectCsv(csvPath, columnMap || loadColumnMap());
+    this.prospects = prospects;
+    this.prospectReport = report;
+    this._buildIndex();
+    return prospects.length;
   }
 
   // ---------------------------------------------------------------------------
@@ -338,43 +465,94 @@ class UnifiedMatcher {
     this.prospectIndex = {};
     this.prospectById = {};
     this.patternMap = new Map();
+    this.variantSources = new Map();  // index key -> Map(prospectId -> { alias, equivalence }) that produced it
+    // Name-form entries { prospect, first, middles, last, alias }, indexed three ways:
+    this.lastNameIndex = new Map();  // last name -> entries, for initials
+    this.fuzzyBlocks = new Map();  // first letter of first + last name -> entries, for typos
+    this.phoneticIndex = new Map();  // phonetic key of last name -> entries, for name equivalence
+    this.entityIndex = new Map();  // entityKey of a prospect's trust / company -> [{ prospect, entity }]
 
     const acPatterns = [];
 
     for (const p of this.prospects) {
       this.prospectById[p.id] = p;
+    }
+    this._buildCikIndex();
+
+    for (const p of this.prospects) {
 
       const name = p.name.trim();
       if (!name || name.length < 4) continue;
 
       // Generate all name variants (handles suffixes, middle names, hyphens, nicknames)
-      const variants = this._generateProspectNameVariants(name);
+      // for the main name, then for each alias (maiden, legal, preferred name...),
+      // then romanization / joined-given-name equivalents of all of them.
+      // A variant is credited to the first source that produced it.
+      const variantSource = new Map();  // variant -> { alias (null = main name), equivalence (null = as spelled), nickname }
+      const sources = [null, ...(p.aliases || [])].filter(alias => (alias ?? name).trim().length >= 4);
+      for (const alias of sources) {
+        const nicknamePairs = new Map();
+        for (const variant of this._generateProspectNameVariants((alias ?? name).trim(), nicknamePairs)) {
+          if (!variantSource.has(variant)) {
+            variantSource.set(variant, { alias, equivalence: null, nickname: nicknamePairs.get(variant) || null });
+          }
+        }
+      }
+      for (const alias of sources) {
+        for (const [variant, equivalence] of this._generateEquivalentNameVariants((alias ?? name).trim())) {
+          if (!variantSource.has(variant)) variantSource.set(variant, { alias, equivalence, nickname: null });
+        }
+      }
+      const variants = [...variantSource.keys()];
+
+      for (const alias of [null, ...(p.aliases || [])]) {
+        const tokens = this._nameTokens(alias ?? name);
+        if (tokens.length < 2) continue;
+        const last = tokens[tokens.length - 1];
+        const entry = { prospect: p, first: tokens[0], middles: tokens.slice(1, -1), last, alias };
+        if (!this.lastNameIndex.has(last)) this.lastNameIndex.set(last, []);
+        this.lastNameIndex.get(last).push(entry);
+
+        const block = tokens[0][0] + last[0];
+        if (!this.fuzzyBlocks.has(block)) this.fuzzyBlocks.set(block, []);
+        this.fuzzyBlocks.get(block).push(entry);
+
+        const soundsLike = phoneticKey(last);
+        if (soundsLike.length >= MIN_PHONETIC_KEY_LENGTH) {
+          if (!this.phoneticIndex.has(soundsLike)) this.phoneticIndex.set(soundsLike, []);
+          this.phoneticIndex.get(soundsLike).push(entry);
+        }
+      }
+
+      // Trusts, foundations and companies the prospect owns, as listed on the record
+      for (const entity of p.entities || []) {
+        const key = entityKey(entity);
+        if (key.length < 3) continue;
+        if (!this.entityIndex.has(key)) this.entityIndex.set(key, []);
+        this.entityIndex.get(key).push({ prospect: p, entity });
+      }
 
       // --- Prospect index for structured matching ---
+      // Equivalent spellings stay out: structured names reach them through
+      // _matchEquivalent, which scores them below an exact match
       for (const variant of variants) {
         const key = variant.toLowerCase();
         if (key.length < 4) continue;
-
-        if (!this.prospectIndex[key]) this.prospectIndex[key] = [];
-        if (!this.prospectIndex[key].some(e => e.id === p.id)) {
-          this.prospectIndex[key].push(p);
-        }
+        const source = variantSource.get(variant);
+        if (source.equivalence) continue;
+        this._indexProspectName(key, p, source);
 
         // Also index reversed form ("Last First ..." → "First ... Last")
         const parts = key.split(/\s+/);
         if (parts.length >= 2) {
-          const reversed = `${parts[parts.length - 1]} ${parts.slice(0, -1).join(' ')}`;
-          if (!this.prospectIndex[reversed]) this.prospectIndex[reversed] = [];
-          if (!this.prospectIndex[reversed].some(e => e.id === p.id)) {
-            this.prospectIndex[reversed].push(p);
-          }
+          this._indexProspectName(`${parts[parts.length - 1]} ${parts.slice(0, -1).join(' ')}`, p, source);
         }
       }
 
       // --- AC automaton patterns (name + company) ---
       // Build unique first+last pairs from all variants
       const acPairsAdded = new Set();
-      const originalLast = p.name.replace(/,/g, '').replace(/\s+/g, ' ').trim().toLowerCase()
+      const originalLast = foldText(p.name).replace(/,/g, '').replace(/\s+/g, ' ').trim().toLowerCase()
         .replace(NAME_SUFFIXES_RE, '').replace(/\s+/g, ' ').trim().split(/\s+/).pop();
       const prospectHasHyphenatedLast = originalLast && originalLast.includes('-');
 
@@ -411,27 +589,104 @@ class UnifiedMatcher {
           type: 'first_last_exact',
           firstName,
           lastName,
+          alias: variantSource.get(variant).alias,
+          equivalence: variantSource.get(variant).equivalence,
+          nickname: variantSource.get(variant).nickname,
         });
       }
 
-      // Company patterns (unchanged)
-      if (p.company && p.company.length >= 3) {
-        const root = stripLegalSuffixes(p.company).toLowerCase().replace(/\s+/g, ' ').trim();
+      // Company patterns, one per employer
+      for (const company of this._prospectCompanies(p)) {
+        if (company.length < 3) continue;
+        const root = stripLegalSuffixes(company).toLowerCase().replace(/\s+/g, ' ').trim();
         if (root.length >= 3) {
           if (!this.patternMap.has(root)) {
             this.patternMap.set(root, { type: 'company', prospectIds: [], variations: [] });
             acPatterns.push(root);
           }
           const info = this.patternMap.get(root);
-          info.prospectIds.push(p.id);
-          info.variations.push({ prospectId: p.id, text: root, type: 'company_root' });
+          if (!info.prospectIds.includes(p.id)) info.prospectIds.push(p.id);
+          info.variations.push({ prospectId: p.id, text: root, type: 'company_root', company });
         }
       }
     }
 
-    console.log(`  Building Aho-Corasick automaton with ${acPatterns.length} patterns (names + companies)...`);
+    if (!this.options.quiet) {
+      if (this.cikIndex.size > 0) console.log(`  ${this.cikIndex.size} known CIK(s) for identity matching.`);
+      console.log(`  Building Aho-Corasick automaton with ${acPatterns.length} patterns (names + companies)...`);
+    }
     this.ahoCorasick = new AhoCorasick(acPatterns);
-    console.log('  Automaton ready.');
+    if (!this.options.quiet) console.log('  Automaton ready.');
+  }
+
+  _indexProspectName(key, prospect, source) {
+    if (!this.prospectIndex[key]) this.prospectIndex[key] = [];
+    if (this.prospectIndex[key].some(e => e.id === prospect.id)) return;
+    this.prospectIndex[key].push(prospect);
+    if (source.alias || source.equivalence || source.nickname) {
+      if (!this.variantSources.has(key)) this.variantSources.set(key, new Map());
+      this.variantSources.get(key).set(prospect.id, source);
+    }
+  }
+
+  /**
+   * Where an index key came from for this prospect: the alias whose variants
+   * produced it (null = main name), the name equivalence used and the nickname
+   * pair ({ from, to, weight }) swapped in, if any.
+   */
+  _variantSource(key, prospectId) {
+    const source = this.variantSources.get(key)?.get(prospectId);
+    return {
+      matchedAlias: source?.alias || null,
+      nameEquivalence: source?.equivalence || null,
+      nickname: source?.nickname || null,
+    };
+  }
+
+  /**
+   * Map CIKs to prospects: CIKs from the prospect CSV first, then CIKs learned
+   * from earlier runs (see identity-store.js) for prospects still in the list.
+   */
+  _buildCikIndex() {
+    this.cikIndex = new Map();
+    this.ciksByProspect = new Map();
+    const add = (cik, prospectId, source) => {
+      if (!cik || this.cikIndex.has(cik) || !this.prospectById[prospectId]) return;
+      this.cikIndex.set(cik, { prospectId, source });
+      if (!this.ciksByProspect.has(prospectId)) this.ciksByProspect.set(prospectId, new Set());
+      this.ciksByProspect.get(prospectId).add(cik);
+    };
+    for (const p of this.prospects) {
+      for (const cik of p.ciks || []) add(cik, p.id, 'prospect_list');
+    }
+    for (const [cik, prospectId] of Object.entries(this.learnedCiks)) {
+      add(normalizeCik(cik), prospectId, 'learned');
+    }
+  }
+
+  /**
+   * A filing person's CIK contradicts a name match when the CIK belongs to another
+   * prospect, or the prospect has known CIKs and this isn't one of them.
+   */
+  _hasCikConflict(prospect, personCik) {
+    if (!personCik) return false;
+    const owner = this.cikIndex.get(personCik);
+    if (owner) return owner.prospectId !== prospect.id;
+    // A trust or company files under its own CIK, not the prospect's
+    return !ENTITY_MATCH_METHODS.has(prospect.matchMethod) && this.ciksByProspect.has(prospect.id);
+  }
+
+  /**
+   * A filing person's address: from the ownership XML, else the SEC header's
+   * REPORTING-OWNER block when it describes the same person (same CIK or name).
+   */
+  _filingPersonAddress(parsed, person) {
+    if (person.address && Object.values(person.address).some(Boolean)) return person.address;
+    const owner = parsed.header?.reportingOwner;
+    if (!owner) return null;
+    const sameCik = person.cik && owner.cik && normalizeCik(person.cik) === normalizeCik(owner.cik);
+    const sameName = this._normalizeNameForCompare(person.name) === this._normalizeNameForCompare(owner.name);
+    return sameCik || sameName ? owner : null;
   }
 
   // ---------------------------------------------------------------------------
@@ -441,14 +696,18 @@ class UnifiedMatcher {
   /**
    * Generate all plausible name variants for a prospect name.
    * Handles: suffix stripping, middle-name dropping, hyphen→space, nicknames.
+   * @param {Map} [nicknamePairs] - filled with nickname variant -> { from, to, weight }
    */
-  _generateProspectNameVariants(name) {
+  _generateProspectNameVariants(name, nicknamePairs = null) {
     const variants = new Set();
 
     // Step 1: Clean commas, normalize spaces
-    let cleaned = name.replace(/,/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+    let cleaned = foldText(name).replace(/,/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
     variants.add(cleaned);
 
+    // O'Brien is also filed as OBrien ("O Brien" would split the surname)
+    if (cleaned.includes("'")) variants.add(cleaned.replace(/'/g, ''));
+
     // Step 2: Strip personal suffixes (Jr., Sr., III, MD, etc.)
     const suffixStripped = cleaned.replace(NAME_SUFFIXES_RE, '').replace(/\s+/g, ' ').trim();
     if (suffixStripped !== cleaned && suffixStripped.length >= 4) {
@@ -501,28 +760,61 @@ class UnifiedMatcher {
 
     // Step 4: Nickname variants — for each variant so far, swap first name with nicknames
     const currentVariants = Array.from(variants);
+    const addNickname = (variant, pair) => {
+      if (variant.length < 4) return;
+      if (!variants.has(variant)) variants.add(variant);
+      else if (!nicknamePairs?.has(variant) || nicknamePairs.get(variant).weight >= pair.weight) return;
+      if (nicknamePairs) nicknamePairs.set(variant, pair);
+    };
     for (const v of currentVariants) {
       const parts = v.split(/\s+/);
       if (parts.length < 2) continue;
       const firstName = parts[0];
-      const nicknames = NICKNAME_LOOKUP[firstName] || [];
-      for (const nick of nicknames) {
+      for (const [nick, weight] of this.nicknames.get(firstName) || []) {
+        const pair = { from: firstName, to: nick, weight };
         // Full variant with nickname (e.g., "bill michael smith")
-        const rest = parts.slice(1).join(' ');
-        const nickFull = `${nick} ${rest}`;
-        if (nickFull.length >= 4) variants.add(nickFull);
+        addNickname(`${nick} ${parts.slice(1).join(' ')}`, pair);
 
         // First+last only with nickname (e.g., "bill smith")
-        if (parts.length >= 3) {
-          const nickFL = `${nick} ${parts[parts.length - 1]}`;
-          if (nickFL.length >= 4) variants.add(nickFL);
-        }
+        if (parts.length >= 3) addNickname(`${nick} ${parts[parts.length - 1]}`, pair);
       }
     }
 
     return Array.from(variants);
   }
 
+  /**
+   * Romanization and joined-given-name equivalents of a name's variants
+   * ("zhang wei" → "chang wei", "xiao ming zhang" → "xiaoming zhang").
+   * @returns {Map<string, string>} variant -> equivalence kind
+   */
+  _generateEquivalentNameVariants(name) {
+    const equivalents = new Map();
+    const add = (variant, kind) => {
+      if (variant.length >= 4 && !equivalents.has(variant)) equivalents.set(variant, kind);
+    };
+
+    for (const base of this._generateProspectNameVariants(name)) {
+      const tokens = base.split(/\s+/);
+
+      // Every combination of romanizations, capped for names with many listed tokens
+      let combos = [[]];
+      for (const token of tokens) {
+        const spellings = [token, ...romanizationsOf(token)];
+        combos = combos.flatMap(c => spellings.map(s => [...c, s])).slice(0, MAX_ROMANIZED_VARIANTS);
+      }
+      for (const combo of combos) {
+        const variant = combo.join(' ');
+        if (variant !== base) add(variant, 'romanization');
+      }
+
+      if (tokens.length >= 3) {
+        add(`${tokens.slice(0, -1).join('')} ${tokens[tokens.length - 1]}`, 'given_names_joined');
+      }
+    }
+    return equivalents;
+  }
+
   // ---------------------------------------------------------------------------
   // Structured name matching (from SecFilingMatcher)
   // ---------------------------------------------------------------------------
@@ -532,7 +824,7 @@ class UnifiedMatcher {
     const matches = [];
     const seen = new Set();
     // Clean filing name: strip commas, preserve hyphens, collapse whitespace
-    const normalized = nameFromFiling
+    const normalized = foldText(nameFromFiling)
       .replace(/,/g, '')
       .replace(/\s+/g, ' ')
       .toLowerCase()
@@ -542,20 +834,29 @@ class UnifiedMatcher {
     if (this.prospectIndex[normalized]) {
       for (const p of this.prospectIndex[normalized]) {
         if (!seen.has(p.id)) {
-          matches.push({ ...p, matchMethod: 'exact' });
+          matches.push({ ...p, matchMethod: 'exact', ...this._variantSource(normalized, p.id) });
           seen.add(p.id);
         }
       }
     }
 
-    // 2. SEC "Last First Middle" reordering
+    // 2. Initials ("Smith J Michael", "J. Smith", "John M. Smith") — only names
+    //    with an initial in them, so full-name matches are left to the steps below
+    for (const m of this._matchInitials(nameFromFiling)) {
+      if (!seen.has(m.id)) {
+        matches.push(m);
+        seen.add(m.id);
+      }
+    }
+
+    // 3. SEC "Last First Middle" reordering
     const secParts = normalized.split(/\s+/);
     if (secParts.length >= 2) {
       const reordered = `${secParts.slice(1).join(' ')} ${secParts[0]}`.toLowerCase();
       if (this.prospectIndex[reordered]) {
         for (const p of this.prospectIndex[reordered]) {
           if (!seen.has(p.id)) {
-            matches.push({ ...p, matchMethod: 'name_reorder' });
+            matches.push({ ...p, matchMethod: 'name_reorder', ...this._variantSource(reordered, p.id) });
             seen.add(p.id);
           }
         }
@@ -567,7 +868,7 @@ class UnifiedMatcher {
         if (this.prospectIndex[swapped]) {
           for (const p of this.prospectIndex[swapped]) {
             if (!seen.has(p.id)) {
-              matches.push({ ...p, matchMethod: 'name_swap' });
+              matches.push({ ...p, matchMethod: 'name_swap', ...this._variantSource(swapped, p.id) });
               seen.add(p.id);
             }
           }
@@ -584,7 +885,14 @@ class UnifiedMatcher {
         if (this.prospectIndex[firstLast]) {
           for (const p of this.prospectIndex[firstLast]) {
             if (!seen.has(p.id)) {
-              matches.push({ ...p, matchMethod: 'name_reorder_drop_middle' });
+              const match = { ...p, matchMethod: 'name_reorder_drop_middle', ...this._variantSource(firstLast, p.id) };
+              const prospectMiddle = this._prospectMiddleName(p.id, secParts[1], secParts[0]);
+              const filingMiddle = secParts[2].replace(/\./g, '');
+              if (prospectMiddle && !namesCompatible(filingMiddle, prospectMiddle)) {
+                match.uncertainMatch = true;
+                match.uncertainReason = `Middle name differs (filing "${filingMiddle}", prospect "${prospectMiddle}")`;
+              }
+              matches.push(match);
               seen.add(p.id);
             }
           }
@@ -600,6 +908,7 @@ class UnifiedMatcher {
               matches.push({
                 ...p,
                 matchMethod: 'first_middle_only',
+                ...this._variantSource(firstMiddle, p.id),
                 uncertainMatch: true,
                 uncertainReason: 'Matched First+Middle only; filing last name differs from prospect last name'
               });
@@ -610,30 +919,307 @@ class UnifiedMatcher {
       }
     }
 
-    // 3. Suffix removal
+    // 4. Suffix removal
     const cleanedFiling = normalized.replace(NAME_SUFFIXES_RE, '').replace(/\s+/g, ' ').trim();
     if (cleanedFiling !== normalized && this.prospectIndex[cleanedFiling]) {
       for (const p of this.prospectIndex[cleanedFiling]) {
         if (!seen.has(p.id)) {
-          matches.push({ ...p, matchMethod: 'suffix_removed' });
+          matches.push({ ...p, matchMethod: 'suffix_removed', ...this._variantSource(cleanedFiling, p.id) });
           seen.add(p.id);
         }
       }
     }
 
+    // 5. Fuzzy — only when nothing spelled the name exactly
+    if (matches.length === 0) matches.push(...this._matchFuzzy(nameFromFiling));
+
+    // 6. Romanization / phonetic / joined given names — last resort
+    if (matches.length === 0) matches.push(...this._matchEquivalent(nameFromFiling));
+
     return matches;
   }
 
+  /**
+   * Match names that differ from a prospect's only by romanization, sound or
+   * given-name spacing: "Chang Xiao Ming" for "Xiaoming Zhang", "Muhamad Ali"
+   * for "Mohammed Ali". Last names are compared by romanization table or
+   * phonetic key; given names token by token, or run together. First and last
+   * name may not both rest on the phonetic key alone. The match records the
+   * least trusted equivalence used (see name-equivalence.js).
+   */
+  _matchEquivalent(nameFromFiling) {
+    const tokens = this._nameTokens(nameFromFiling);
+    if (tokens.length < 2) return [];
+
+    const orderings = [
+      { last: tokens[0], given: tokens.slice(1) },
+      { last: tokens[tokens.length - 1], given: tokens.slice(0, -1) },
+    ];
+
+    const best = new Map();  // prospectId -> match
+    for (const { last, given } of orderings) {
+      const candidates = new Set([
+        ...(this.phoneticIndex.get(phoneticKey(last)) || []),
+        ...[last, ...romanizationsOf(last)].flatMap(l => this.lastNameIndex.get(l) || []),
+      ]);
+
+      for (const entry of candidates) {
+        const lastKind = tokenEquivalence(last, entry.last);
+        if (!lastKind) continue;
+
+        const used = [[last, entry.last, lastKind]];
+        const firstKind = tokenEquivalence(given[0], entry.first);
+        const givenMiddles = given.slice(1);
+        const compared = Math.min(givenMiddles.length, entry.middles.length);
+        const middlesOk = givenMiddles.slice(0, compared)
+          .every((g, i) => namesCompatible(g, entry.middles[i]) || tokenEquivalence(g, entry.middles[i]));
+
+        if (firstKind && middlesOk) {
+          used.push([given[0], entry.first, firstKind]);
+        } else {
+          // Given names written as one word on one side and several on the other
+          const prospectGiven = [entry.first, ...entry.middles];
+          const join = (names) => names.join('').replace(/-/g, '');
+          if (given.length === prospectGiven.length && join(given) === given.join('')) continue;
+          const joinedKind = tokenEquivalence(join(given), join(prospectGiven));
+          if (!joinedKind) continue;
+          used.push([given.join(' '), prospectGiven.join(' '), 'given_names_joined']);
+          if (joinedKind !== 'exact') used.push([join(given), join(prospectGiven), joinedKind]);
+        }
+
+        const kinds = used.map(([, , kind]) => kind).filter(kind => kind !== 'exact');
+        if (kinds.length === 0) continue;
+        if (lastKind === 'phonetic' && firstKind === 'phonetic') continue;
+
+        const equivalence = weakestEquivalence(kinds);
+        const previous = best.get(entry.prospect.id);
+        if (previous && weakestEquivalence([previous.nameEquivalence, equivalence]) === equivalence) continue;
+        best.set(entry.prospect.id, {
+          ...entry.prospect,
+          matchMethod: 'equivalent_name',
+          matchedAlias: entry.alias,
+          nameEquivalence: equivalence,
+          equivalenceDetail: used.filter(([, , kind]) => kind !== 'exact')
+            .map(([a, b, kind]) => `${a} ~ ${b} (${kind})`).join(', '),
+        });
+      }
+    }
+    return [...best.values()];
+  }
+
+  /**
+   * Typo-tolerant match: first or last name within a small edit distance of a
+   * prospect's, the other spelled exactly (see name-similarity.js for the edit
+   * budget and minimum lengths). Candidates are blocked on the first letters of
+   * the first and last name, in SEC then natural order; middle names must agree
+   * or be initials of each other. The closest candidate per prospect wins.
+   */
+  _matchFuzzy(nameFromFiling) {
+    const tokens = this._nameTokens(nameFromFiling);
+    if (tokens.length < 2) return [];
+
+    const orderings = [
+      { last: tokens[0], given: tokens.slice(1) },
+      { last: tokens[tokens.length - 1], given: tokens.slice(0, -1) },
+    ];
+
+    const best = new Map();  // prospectId -> match
+    for (const { last, given } of orderings) {
+      const first = given[0];
+      for (const entry of this.fuzzyBlocks.get(first[0] + last[0]) || []) {
+        const firstEdits = tokenEdits(first, entry.first);
+        const lastEdits = tokenEdits(last, entry.last);
+        if (firstEdits == null || lastEdits == null) continue;
+        // Exactly one of the two names fuzzed: two typos make a different person
+        if ((firstEdits > 0) === (lastEdits > 0)) continue;
+
+        const givenMiddles = given.slice(1);
+        const compared = Math.min(givenMiddles.length, entry.middles.length);
+        let middlesOk = true;
+        for (let i = 0; i < compared; i++) {
+          if (!namesCompatible(givenMiddles[i], entry.middles[i])) middlesOk = false;
+        }
+        if (!middlesOk) continue;
+
+        const edits = firstEdits + lastEdits;
+        const previous = best.get(entry.prospect.id);
+        if (previous && previous.fuzzyEdits <= edits) continue;
+        const [filingToken, prospectToken] = firstEdits > 0 ? [first, entry.first] : [last, entry.last];
+        best.set(entry.prospect.id, {
+          ...entry.prospect,
+          matchMethod: 'fuzzy',
+          matchedAlias: entry.alias,
+          fuzzyEdits: edits,
+          fuzzyDetail: `${filingToken} ≈ ${prospectToken} (${edits} edit${edits > 1 ? 's' : ''})`,
+        });
+      }
+    }
+    return [...best.values()];
+  }
+
+  /**
+   * Match a reporting owner that is an entity (see entity-names.js): an entity
+   * listed on a prospect record ("prospect_entity"), else the personal names in
+   * the entity's name ("entity_person": "The John and Mary Smith Foundation"),
+   * else only the family name of a family trust / foundation / office
+   * ("entity_family": "Smith Family Trust").
+   * @returns {object[]|null} null when the name is not an entity's
+   */
+  _matchEntity(ownerName) {
+    const parsed = parseEntityName(ownerName);
+    const vehicles = this.entityIndex.get(entityKey(ownerName));
+    if (vehicles) {
+      return vehicles.map(({ prospect, entity }) => ({
+        ...prospect,
+        matchMethod: 'prospect_entity',
+        entityKind: parsed?.kind || null,
+        entityDetail: `Prospect entity "${entity}"`,
+      }));
+    }
+    if (!parsed) return null;
+
+    const matches = [];
+    const seen = new Set();
+    for (const person of parsed.persons) {
+      for (const m of this._matchName(person)) {
+        if (seen.has(m.id) || !ENTITY_PERSON_METHODS.has(m.matchMethod)) continue;
+        seen.add(m.id);
+        matches.push({
+          ...m,
+          matchMethod: 'entity_person',
+          entityKind: parsed.kind,
+          entityDetail: `"${person}" (${m.matchMethod}) in ${parsed.kind.replace(/_/g, ' ')} name`,
+        });
+      }
+    }
+    if (matches.length === 0 && parsed.family) {
+      for (const entry of this.lastNameIndex.get(parsed.family) || []) {
+        if (seen.has(entry.prospect.id)) continue;
+        seen.add(entry.prospect.id);
+        matches.push({
+          ...entry.prospect,
+          matchMethod: 'entity_family',
+          matchedAlias: entry.alias,
+          entityKind: parsed.kind,
+          entityDetail: `Family name "${parsed.family}" only`,
+        });
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Lower-case name tokens without punctuation or personal suffixes.
+   */
+  _nameTokens(name) {
+    return foldText(name || '')
+      .toLowerCase()
+      .replace(/[,.]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(NAME_SUFFIXES_RE, '')
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Match a filing name that uses initials, in either direction: an initial on
+   * one side matches a name starting with that letter on the other. The last
+   * name must match in full. Tried in SEC order ("Last First Middle") first,
+   * then natural order ("First Middle Last").
+   *
+   *   initials_middle  first names match in full, a middle name only by initial
+   *   initials_first   the first name matches only by initial
+   *
+   * A first-initial match with no middle name to corroborate it ("J. Smith") is
+   * flagged uncertain.
+   */
+  _matchInitials(nameFromFiling) {
+    const tokens = this._nameTokens(nameFromFiling);
+    if (tokens.length < 2) return [];
+
+    const orderings = [
+      { last: tokens[0], given: tokens.slice(1) },
+      { last: tokens[tokens.length - 1], given: tokens.slice(0, -1) },
+    ];
+    const matches = [];
+    const seen = new Set();
+    for (const { last, given } of orderings) {
+      for (const entry of this.lastNameIndex.get(last) || []) {
+        if (seen.has(entry.prospect.id)) continue;
+        if (!namesCompatible(given[0], entry.first)) continue;
+
+        // Middle names only compared where both sides have one, as drop-middle does
+        const givenMiddles = given.slice(1);
+        const compared = Math.min(givenMiddles.length, entry.middles.length);
+        let middlesOk = true;
+        for (let i = 0; i < compared; i++) {
+          if (!namesCompatible(givenMiddles[i], entry.middles[i])) middlesOk = false;
+        }
+        if (!middlesOk) continue;
+
+        const pairs = [[given[0], entry.first], ...givenMiddles.slice(0, compared).map((g, i) => [g, entry.middles[i]])];
+        if (!pairs.some(([a, b]) => a.length === 1 || b.length === 1)) continue;
+
+        const firstByInitial = given[0].length === 1 || entry.first.length === 1;
+        const match = {
+          ...entry.prospect,
+          matchMethod: firstByInitial ? 'initials_first' : 'initials_middle',
+          matchedAlias: entry.alias,
+        };
+        if (firstByInitial && compared === 0) {
+          match.uncertainMatch = true;
+          match.uncertainReason = 'Matched on first initial and last name only';
+        }
+        matches.push(match);
+        seen.add(entry.prospect.id);
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * The prospect's first middle name under a given first + last name (main name
+   * or alias), or null when that name form has no middle name.
+   */
+  _prospectMiddleName(prospectId, first, last) {
+    const entry = (this.lastNameIndex.get(last) || [])
+      .find(e => e.prospect.id === prospectId && e.first === first && e.middles.length > 0);
+    return entry ? entry.middles[0] : null;
+  }
+
   // ---------------------------------------------------------------------------
   // Company cross-check (NEW — prevents Jennifer Wong class false positives)
   // ---------------------------------------------------------------------------
 
+  /**
+   * Primary employer first, then any others from the CRM.
+   */
+  _prospectCompanies(prospect) {
+    return [prospect.company, ...(prospect.otherCompanies || [])].filter(c => c && c.trim().length > 0);
+  }
+
+  /**
+   * Verify any of the prospect's employers against the filing; the first verified
+   * employer wins, otherwise the primary employer's outcome is reported.
+   */
   _crossCheckCompany(prospect, parsedFiling, rawText) {
-    if (!prospect.company || prospect.company.trim().length === 0) {
+    const companies = this._prospectCompanies(prospect);
+    if (companies.length === 0) {
       return { verified: false, method: 'no_company_on_prospect' };
     }
 
-    const prospectCompanyRoot = stripLegalSuffixes(prospect.company).toLowerCase().trim();
+    let primary = null;
+    for (const company of companies) {
+      const check = this._crossCheckOneCompany(prospect, company, parsedFiling, rawText);
+      if (check.verified) return company === prospect.company ? check : { ...check, method: `${check.method}:other_employer` };
+      if (!primary) primary = check;
+    }
+    return primary;
+  }
+
+  _crossCheckOneCompany(prospect, company, parsedFiling, rawText) {
+    const prospectCompanyRoot = stripLegalSuffixes(company).toLowerCase().trim();
     if (prospectCompanyRoot.length < 2) {
       return { verified: false, method: 'company_too_short' };
     }
@@ -642,7 +1228,7 @@ class UnifiedMatcher {
     // (e.g. "Gary Lee Enterprises" -> root "gary lee" after suffix stripping).
     // In that case, checking the filing text for the "company" will trivially succeed
     // whenever the person's name appears, creating false "company_verified" signals.
-    const prospectNameTokens = (prospect.name || '')
+    const prospectNameTokens = foldText(prospect.name || '')
       .toLowerCase()
       .replace(/,/g, '')
       .replace(NAME_SUFFIXES_RE, '')
@@ -808,18 +1394,35 @@ class UnifiedMatcher {
   }
 
   /**
-   * Placeholder for unique identifier matching (e.g. CIK).
-   * Prospects don't currently have CIK fields, so this always returns false.
+   * Does the filing carry one of the prospect's known CIKs (prospect CSV or
+   * identity store)? Checks parsed persons / filer and every CENTRAL INDEX KEY
+   * in the SEC header.
    */
-  _hasUniqueIdentifier(_rawContent, _prospect, _parsedFiling) {
-    return { hasIdentifier: false };
+  _hasUniqueIdentifier(rawContent, prospect, parsedFiling) {
+    const known = this.ciksByProspect.get(prospect.id);
+    if (!known) return { hasIdentifier: false };
+
+    const filingCiks = [
+      ...(parsedFiling.persons || []).map(p => p.cik),
+      parsedFiling.reportingPerson?.cik,
+      parsedFiling.filer?.cik,
+    ];
+    const headerEnd = rawContent.indexOf('</SEC-HEADER>');
+    const header = rawContent.slice(0, headerEnd === -1 ? 20000 : headerEnd);
+    for (const m of header.matchAll(/CENTRAL INDEX KEY:\s*(\d+)/gi)) filingCiks.push(m[1]);
+
+    const cik = filingCiks.map(normalizeCik).find(c => c && known.has(c));
+    return cik ? { hasIdentifier: true, cik } : { hasIdentifier: false };
   }
 
   /**
    * Count corroborating signals for a text match.
    * Requires ≥2 independent signals for a text match to be considered real.
+   *
+   * @param {string} rawContent - Full submission (header identifiers)
+   * @param {{ text: string, position: number }|null} nameAt - Searched text around the first name hit
    */
-  _countTextMatchSignals(rawContent, hits, prospect, parsedFiling, minDist) {
+  _countTextMatchSignals(rawContent, nameAt, hits, prospect, parsedFiling, minDist) {
     let signalCount = 0;
     const signals = [];
 
@@ -830,9 +1433,8 @@ class UnifiedMatcher {
     }
 
     // Signal B: Role context (role phrase + issuer near name)
-    const namePos = hits.namePositions[0];
-    if (namePos != null) {
-      const roleCtx = this._hasRoleContext(rawContent, namePos, parsedFiling);
+    if (nameAt) {
+      const roleCtx = this._hasRoleContext(nameAt.text, nameAt.position, parsedFiling);
       if (roleCtx.hasRole) {
         signalCount++;
         signals.push('role_context');
@@ -840,16 +1442,16 @@ class UnifiedMatcher {
     }
 
     // Signal C: Strong locus section
-    if (namePos != null) {
+    if (nameAt) {
       const normalizedType = parsedFiling.normalizedType || '';
-      const locus = this._detectStrongLocus(rawContent, namePos, normalizedType);
+      const locus = this._detectStrongLocus(nameAt.text, nameAt.position, normalizedType);
       if (locus.isStrongLocus) {
         signalCount++;
         signals.push(`strong_locus:${locus.locusType}`);
       }
     }
 
-    // Signal D: Unique identifier (CIK — placeholder)
+    // Signal D: Unique identifier (a known CIK of the prospect)
     const uidResult = this._hasUniqueIdentifier(rawContent, prospect, parsedFiling);
     if (uidResult.hasIdentifier) {
       signalCount++;
@@ -863,71 +1465,108 @@ class UnifiedMatcher {
   // Text search with adaptive validation
   // ---------------------------------------------------------------------------
 
-  _textSearchWithValidation(rawContent, parsedFiling) {
+  /**
+   * @param {string} rawContent - Full .txt submission
+   * @param {object} parsedFiling
+   * @param {Array<[number, number]>} [ranges] - Spans to search (searchableRanges()); all of it by default
+   */
+  _textSearchWithValidation(rawContent, parsedFiling, ranges = [[0, rawContent.length]]) {
     if (!this.ahoCorasick) return [];
 
-    const text = rawContent.toLowerCase();
-    const acResults = this.ahoCorasick.search(text);
+    // Each range is folded (accents, entities, punctuation normalized) and searched
+    // on its own. A hit's position is its offset in the folded range plus the range
+    // start, so name-company distances still span any binary document between them.
+    const segments = ranges.map(([start, end]) => ({ start, ...foldSearchText(rawContent.slice(start, end)) }));
+    const segmentAt = (pos) => segments.findLast(seg => seg.start <= pos) || segments[0];
+    const textAt = (pos) => {
+      if (pos == null) return null;
+      const seg = segmentAt(pos);
+      return { text: seg.text, position: pos - seg.start };
+    };
+    const contextAt = (pos) => {
+      const at = textAt(pos);
+      return at ? this._extractContext(at.text, at.position, 60) : null;
+    };
+    // Position in the original submission, for document lookup
+    const originalPos = (pos) => {
+      if (pos == null) return pos;
+      const seg = segmentAt(pos);
+      return seg.start + seg.toOriginal(pos - seg.start);
+    };
 
     // Track per-prospect hits: { nameHit, companyHit, namePositions[], companyPositions[] }
     const prospectHits = new Map();
 
-    for (const [endPos, patterns] of acResults) {
-      for (const pattern of patterns) {
-        const patternInfo = this.patternMap.get(pattern);
-        if (!patternInfo) continue;
+    for (const { start: offset, text: segmentText } of segments) {
+      const text = segmentText.toLowerCase();
+      for (const [endPos, patterns] of this.ahoCorasick.search(text)) {
+        for (const pattern of patterns) {
+          const patternInfo = this.patternMap.get(pattern);
+          if (!patternInfo) continue;
 
-        const startPos = endPos - pattern.length + 1;
+          const startPos = endPos - pattern.length + 1;
 
-        // Word boundary check (same as adaptive matcher logic)
-        const beforeChar = startPos > 0 ? text[startPos - 1] : '';
-        const afterChar = endPos + 1 < text.length ? text[endPos + 1] : '';
-        const boundaryRe = /[\s\.,;:!?\-\(\)\[\]{}"'\/\\|~`@#$%^&*+=<>]/;
-        const beforeOk = !beforeChar || boundaryRe.test(beforeChar);
-        const afterOk = !afterChar || boundaryRe.test(afterChar);
-        if (!beforeOk || !afterOk) continue;
+          // Word boundary check (same as adaptive matcher logic)
+          const beforeChar = startPos > 0 ? text[startPos - 1] : '';
+          const afterChar = endPos + 1 < text.length ? text[endPos + 1] : '';
+          const boundaryRe = /[\s\.,;:!?\-\(\)\[\]{}"'\/\\|~`@#$%^&*+=<>]/;
+          const beforeOk = !beforeChar || boundaryRe.test(beforeChar);
+          const afterOk = !afterChar || boundaryRe.test(afterChar);
+          if (!beforeOk || !afterOk) continue;
 
-        // Adaptive validation (space boundaries, English context, encoded blocking)
-        const matchInfo = { start: startPos, end: endPos + 1, pattern };
-        if (!this._validateAdaptive(text, matchInfo, patternInfo)) continue;
+          // Adaptive validation (space boundaries, English context, encoded blocking)
+          const matchInfo = { start: startPos, end: endPos + 1, pattern };
+          if (!this._validateAdaptive(text, matchInfo, patternInfo)) continue;
 
-        // Attorney-in-fact suppression (text matches only)
-        if (patternInfo.type === 'name') {
-          if (this._isAttorneyInFactContext(rawContent, startPos, endPos + 1, pattern, this._structuredNameSet)) {
-            continue;
+          // Attorney-in-fact suppression (text matches only)
+          if (patternInfo.type === 'name') {
+            if (this._isAttorneyInFactContext(segmentText, startPos, endPos + 1, pattern, this._structuredNameSet)) {
+              continue;
+            }
           }
-        }
-
-        // Adjacent name token check — prevents "Gary Lee" matching "Ellis Gary Lee"
-        // Only applies to name patterns (not company patterns)
-        if (patternInfo.type === 'name') {
-          if (this._hasAdjacentNameToken(rawContent, startPos, endPos + 1)) continue;
-        }
 
-        // Record hits per prospect
-        for (const variation of patternInfo.variations) {
-          const pid = variation.prospectId;
-          const prospect = this.prospectById[pid];
-          if (!prospect) continue;
-
-          // Attorney-in-fact suppression + negative evidence rejection are per-prospect
-          // (same name pattern can map to many prospects with different employers).
+          // Adjacent name token check — prevents "Gary Lee" matching "Ellis Gary Lee"
+          // Only applies to name patterns (not company patterns)
           if (patternInfo.type === 'name') {
-            if (this._isAttorneyInFactContext(rawContent, startPos, endPos + 1, pattern, this._structuredNameSet)) continue;
-            if (this._hasNegativeEvidence(rawContent, startPos, endPos + 1, pattern, prospect.company)) continue;
+            if (this._hasAdjacentNameToken(segmentText, startPos, endPos + 1)) continue;
           }
 
-          let hit = prospectHits.get(pid);
-          if (!hit) {
-            hit = { nameHit: false, companyHit: false, namePositions: [], companyPositions: [] };
-            prospectHits.set(pid, hit);
-          }
-          if (patternInfo.type === 'name') {
-            hit.nameHit = true;
-            if (hit.namePositions.length < 3) hit.namePositions.push(startPos);
-          } else if (patternInfo.type === 'company') {
-            hit.companyHit = true;
-            if (hit.companyPositions.length < 3) hit.companyPositions.push(startPos);
+          // Record hits per prospect
+          for (const variation of patternInfo.variations) {
+            const pid = variation.prospectId;
+            const prospect = this.prospectById[pid];
+            if (!prospect) continue;
+
+            // Attorney-in-fact suppression + negative evidence rejection are per-prospect
+            // (same name pattern can map to many prospects with different employers).
+            if (patternInfo.type === 'name') {
+              if (this._isAttorneyInFactContext(segmentText, startPos, endPos + 1, pattern, this._structuredNameSet)) continue;
+              const companies = this._prospectCompanies(prospect);
+              if (companies.length > 0 && companies.every(c => this._hasNegativeEvidence(segmentText, startPos, endPos + 1, pattern, c))) continue;
+            }
+
+            let hit = prospectHits.get(pid);
+            if (!hit) {
+              hit = {
+                nameHit: false, companyHit: false, namePositions: [], companyPositions: [],
+                mainNameHit: false, aliasHit: null, spelledNameHit: false, equivalenceHit: null,
+                givenNameHit: false, nicknameHit: null,
+              };
+              prospectHits.set(pid, hit);
+            }
+            if (patternInfo.type === 'name') {
+              hit.nameHit = true;
+              if (hit.namePositions.length < 3) hit.namePositions.push(offset + startPos);
+              if (variation.alias) hit.aliasHit = hit.aliasHit || variation.alias;
+              else hit.mainNameHit = true;
+              if (variation.equivalence) hit.equivalenceHit = hit.equivalenceHit || variation.equivalence;
+              else hit.spelledNameHit = true;
+              if (!variation.nickname) hit.givenNameHit = true;
+              else if (!hit.nicknameHit || variation.nickname.weight > hit.nicknameHit.weight) hit.nicknameHit = variation.nickname;
+            } else if (patternInfo.type === 'company') {
+              hit.companyHit = true;
+              if (hit.companyPositions.length < 3) hit.companyPositions.push(offset + startPos);
+            }
           }
         }
       }
@@ -957,7 +1596,7 @@ class UnifiedMatcher {
 
         // Count corroborating signals (Rule 2)
         const signalResult = parsedFiling
-          ? this._countTextMatchSignals(rawContent, hits, prospect, parsedFiling, minDist)
+          ? this._countTextMatchSignals(rawContent, textAt(hits.namePositions[0]), hits, prospect, parsedFiling, minDist)
           : { signalCount: 0, signals: [], details: '' };
 
         let confidence, matchType, distanceCategory, isMentionOnly;
@@ -1001,8 +1640,9 @@ class UnifiedMatcher {
         }
 
         // Extract context snippets around name and company matches
-        const nameContext = this._extractContext(rawContent, closestNamePos, 60);
-        const companyContext = this._extractContext(rawContent, closestCompanyPos, 60);
+        const nameContext = contextAt(closestNamePos);
+        const companyContext = contextAt(closestCompanyPos);
+        const sourceDoc = findDocumentAt(parsedFiling?.documents, originalPos(closestNamePos));
 
         matches.push({
           prospect,
@@ -1013,19 +1653,23 @@ class UnifiedMatcher {
           distanceCategory,
           nameContext,
           companyContext,
+          sourceDocument: describeDocument(sourceDoc),
+          sourceDocumentRole: sourceDoc?.role || null,
           isMentionOnly: isMentionOnly || false,
           signalCount: signalResult.signalCount,
           signals: signalResult.details,
+          matchedAlias: hits.mainNameHit ? null : hits.aliasHit || null,
+          nameEquivalence: hits.spelledNameHit ? null : hits.equivalenceHit || null,
+          nickname: hits.givenNameHit ? null : hits.nicknameHit,
         });
       } else if (hits.nameHit) {
         // Name-only: still count signals (strong locus + role could fire without company)
         const signalResult = parsedFiling
-          ? this._countTextMatchSignals(rawContent, hits, prospect, parsedFiling, Infinity)
+          ? this._countTextMatchSignals(rawContent, textAt(hits.namePositions[0]), hits, prospect, parsedFiling, Infinity)
           : { signalCount: 0, signals: [], details: '' };
 
-        const nameContext = hits.namePositions[0] != null
-          ? this._extractContext(rawContent, hits.namePositions[0], 60)
-          : null;
+        const nameContext = contextAt(hits.namePositions[0]);
+        const sourceDoc = findDocumentAt(parsedFiling?.documents, originalPos(hits.namePositions[0]));
 
         let confidence, matchType, isMentionOnly;
         if (signalResult.signalCount >= 2) {
@@ -1048,9 +1692,14 @@ class UnifiedMatcher {
           distanceCategory: null,
           nameContext,
           companyContext: null,
+          sourceDocument: describeDocument(sourceDoc),
+          sourceDocumentRole: sourceDoc?.role || null,
           isMentionOnly,
           signalCount: signalResult.signalCount,
           signals: signalResult.details,
+          matchedAlias: hits.mainNameHit ? null : hits.aliasHit || null,
+          nameEquivalence: hits.spelledNameHit ? null : hits.equivalenceHit || null,
+          nickname: hits.givenNameHit ? null : hits.nicknameHit,
         });
       }
       // Company-only matches are intentionally skipped (low value, high noise)
@@ -1088,9 +1737,9 @@ class UnifiedMatcher {
 
     let rules;
     if (patternInfo.type === 'name') {
-      rules = this.adaptiveRules.classifyName(prospect.name);
+      rules = this.adaptiveRules.classifyName(patternInfo.variations[0].alias || prospect.name, prospect.id);
     } else if (patternInfo.type === 'company') {
-      rules = this.adaptiveRules.classifyCompany(prospect.company);
+      rules = this.adaptiveRules.classifyCompany(patternInfo.variations[0].company || prospect.company, prospect.id);
     } else {
       return true;
     }
@@ -1227,7 +1876,7 @@ class UnifiedMatcher {
   // Confidence scoring matrix
   // ---------------------------------------------------------------------------
 
-  _computeConfidence(matchMethod, companyCheck) {
+  _computeConfidence(matchMethod, companyCheck, match) {
     const verified = companyCheck && companyCheck.verified;
     switch (matchMethod) {
       case 'exact':
@@ -1239,6 +1888,33 @@ class UnifiedMatcher {
         return verified ? 90 : 40;
       case 'suffix_removed':
         return verified ? 90 : 40;
+      case 'initials_middle':
+        // Full first + last name, middle name only as an initial
+        return verified ? 92 : 45;
+      case 'initials_first':
+        // First name only as an initial: many people share "J. Smith"
+        return verified ? 80 : 30;
+      case 'fuzzy': {
+        // Misspelled first or last name: 10 points off per edit
+        const edits = match?.fuzzyEdits || 2;
+        return (verified ? 85 : 40) - 10 * edits;
+      }
+      case 'equivalent_name':
+        // Romanization / joined given names are curated; sound-alike alone is weak
+        if (match?.nameEquivalence === 'phonetic') return verified ? 65 : 25;
+        return verified ? 85 : 40;
+      case 'cik':
+        // Reporting-owner CIK is a known identity of the prospect
+        return 100;
+      case 'prospect_entity':
+        // Owner is a trust / company listed on the prospect record
+        return verified ? 97 : 80;
+      case 'entity_person':
+        // Prospect's name inside a trust / foundation / company name
+        return verified ? 88 : 45;
+      case 'entity_family':
+        // Family name of a family trust or office: one of many Smiths
+        return verified ? 60 : 20;
       case 'first_middle_only':
         // UNCERTAIN: First+Middle match (drops filing's last name)
         // Very low confidence regardless of company verification
@@ -1249,6 +1925,25 @@ class UnifiedMatcher {
     }
   }
 
+  /**
+   * Confidence points off for a match made through a nickname: none for a
+   * strong pair (jack → john), up to 30 as the pair's weight falls to 0.
+   */
+  _nicknamePenalty(nickname) {
+    if (!nickname) return 0;
+    return Math.round((1 - nickname.weight) * 30);
+  }
+
+  /**
+   * Confidence points off a text match found through an equivalent spelling:
+   * the gap between exact and equivalent_name structured matches.
+   */
+  _equivalencePenalty(nameEquivalence) {
+    if (!nameEquivalence) return 0;
+    const verified = { verified: true };
+    return this._computeConfidence('exact', verified) - this._computeConfidence('equivalent_name', verified, { nameEquivalence });
+  }
+
   // ---------------------------------------------------------------------------
   // Match verdict (do not drop matches; classify for review)
   // ---------------------------------------------------------------------------
@@ -1265,6 +1960,17 @@ class UnifiedMatcher {
       };
     }
 
+    // CIK evidence outranks the name heuristics in both directions
+    if (result.cik_conflict) {
+      return { verdict: 'LIKELY_FALSE_POSITIVE', reason: 'Filing person CIK does not belong to this prospect' };
+    }
+    if (result.structured_match_type === 'cik') {
+      return { verdict: 'LIKELY_VALID', reason: 'Filing person CIK matches prospect' };
+    }
+    if (result.structured_match_type === 'prospect_entity') {
+      return { verdict: 'LIKELY_VALID', reason: 'Filing owner is an entity listed for this prospect' };
+    }
+
     // Hard stop: structured First+Middle-only is almost always the wrong person
     if (result.structured_match_type === 'first_middle_only') {
       return {
@@ -1281,6 +1987,10 @@ class UnifiedMatcher {
       return { verdict: 'NEEDS_REVIEW', reason: result.uncertain_reason || 'Uncertain match' };
     }
 
+    if (result.address_match === 'state_mismatch') {
+      return { verdict: 'NEEDS_REVIEW', reason: `Filing address in another state (${result.address_detail})` };
+    }
+
     if (result.company_verified && confidence >= 85) {
       return { verdict: 'LIKELY_VALID', reason: 'High confidence with company verification' };
     }
@@ -1304,45 +2014,375 @@ class UnifiedMatcher {
   // Filing processing
   // ---------------------------------------------------------------------------
 
-  async processFilings(filingsFolder, options = {}) {
+  /**
+   * Process every .txt filing in one or more folders.
+   *
+   * Results and stats are identical whichever mode runs: with workers > 1, each
+   * worker thread rebuilds the prospect index from this.prospects, filings are
+   * handed out one at a time, and per-filing output is merged back in filename order.
+   *
+   * With a ledger, filings already recorded are replayed from it instead of
+   * re-parsed (see filing-ledger.js), and each new filing is recorded as it finishes.
+   *
+   * Originals and their amendments are then consolidated: older versions stay in
+   * this.results but are marked superseded (see amendment-consolidator.js).
+   *
+   * With an identity store, CIKs it holds match their prospects outright, and the
+   * CIKs of this run's confirmed structured matches are added to it at the end.
+   *
+   * @param {string|string[]} filingsFolders - Folder(s) of EDGAR submissions. The same
+   *   filename in several folders is processed once (first folder wins).
+   * @param {object} [options]
+   * @param {Function} [options.progressCallback]
+   * @param {number} [options.maxFiles]
+   * @param {number} [options.workers=1] - Worker threads; 1 processes on the main thread
+   * @param {string} [options.ledgerPath] - Filing ledger (JSONL) for incremental / resumable runs
+   * @param {string} [options.identityStorePath] - CIK identity store (JSON, see identity-store.js)
+   * @param {string} [options.fromDate] - YYYY-MM-DD, inclusive (header FILED AS OF DATE)
+   * @param {string} [options.toDate] - YYYY-MM-DD, inclusive
+   * @param {string[]} [options.includeForms] - Form types to keep (e.g. ['4', '144'])
+   * @param {string[]} [options.excludeForms] - Form types to skip
+   */
+  async processFilings(filingsFolders, options = {}) {
     const { progressCallback, maxFiles } = options;
+    const folders = Array.isArray(filingsFolders) ? filingsFolders : [filingsFolders];
 
-    const allFiles = fs.readdirSync(filingsFolder)
-      .filter(f => f.endsWith('.txt'))
-      .sort();
+    const byName = new Map();
+    for (const folder of folders) {
+      for (const f of fs.readdirSync(folder)) {
+        if (f.endsWith('.txt') && !byName.has(f)) byName.set(f, path.join(folder, f));
+      }
+    }
+    const allFiles = Array.from(byName.keys()).sort();
 
     const files = maxFiles ? allFiles.slice(0, maxFiles) : allFiles;
     this.stats.totalFilings = files.length;
+    const tasks = files.map((filename, index) => ({ index, filename, filepath: byName.get(filename) }));
 
-    console.log(`Processing ${files.length} filing(s) against ${this.prospects.length} prospect(s)...\n`);
+    // Per-filing { results, stats }, merged in filename order once everything is in
+    const outputs = new Array(tasks.length);
+    let pending = tasks;
 
-    for (let i = 0; i < files.length; i++) {
-      const filename = files[i];
-      const filepath = path.join(filingsFolder, filename);
+    const identityStore = options.identityStorePath ? new IdentityStore(options.identityStorePath).open() : null;
+    if (identityStore) {
+      this.learnedCiks = identityStore.toProspectMap();
+      this._buildCikIndex();
+      console.log(`Identity store: ${identityStore.size} CIK(s) on file.`);
+    }
 
-      try {
-        const rawContent = fs.readFileSync(filepath, 'utf-8');
-        this._processOneFiling(rawContent, filename);
-      } catch (err) {
-        this.stats.parseErrors++;
-        if (i < 5) console.error(`  Error reading ${filename}: ${err.message}`);
+    const ledger = options.ledgerPath ? this.openLedger(options.ledgerPath) : null;
+    if (ledger) {
+      // Filters aren't part of the fingerprint, so replays go through them too,
+      // using the header fields recorded with each entry
+      const filter = this._buildFilingFilter(options);
+      pending = [];
+      for (const task of tasks) {
+        const entry = ledger.get(accessionFromFilename(task.filename));
+        if (entry && filter && !filter(entry)) {
+          this.stats.skippedByFilter++;
+        } else if (entry) {
+          outputs[task.index] = { results: entry.results, stats: entry.stats, fromLedger: true };
+        } else {
+          pending.push(task);
+        }
       }
+      if (ledger.resetReason) console.log(`Ledger reset (${ledger.resetReason}) — reprocessing all filings.`);
+      console.log(`Ledger: ${tasks.length - pending.length} filing(s) already processed, ${pending.length} to go.`);
+    }
 
-      if (progressCallback && (i % 50 === 0 || i === files.length - 1)) {
-        progressCallback({
-          current: i + 1,
-          total: files.length,
-          matches: this.results.length,
+    const onOutput = (task, output) => {
+      outputs[task.index] = output;
+      if (ledger && output.filing.status === 'processed') {
+        ledger.record({
+          accessionNumber: accessionFromFilename(task.filename),
+          filename: task.filename,
+          ...output.filing,
+          results: output.results,
+          stats: output.stats,
         });
       }
+    };
+
+    const workers = Math.min(options.workers || 1, pending.length);
+    console.log(`Processing ${pending.length} filing(s) against ${this.prospects.length} prospect(s)` +
+      `${workers > 1 ? ` on ${workers} worker threads` : ''}...\n`);
+
+    if (workers > 1) {
+      await this._processFilingsParallel(pending, workers, options, onOutput);
+    } else {
+      const filter = this._buildFilingFilter(options);
+      let matchCount = 0;
+      for (let i = 0; i < pending.length; i++) {
+        const task = pending[i];
+        const output = this._runFilingTask(task, filter);
+        if (output.error && i < 5) console.error(`  Error reading ${task.filename}: ${output.error}`);
+        onOutput(task, output);
+        matchCount += output.results.length;
+
+        if (progressCallback && (i % 50 === 0 || i === pending.length - 1)) {
+          progressCallback({
+            current: i + 1,
+            total: pending.length,
+            matches: matchCount,
+          });
+        }
+      }
+    }
+
+    for (const output of outputs) {
+      if (!output) continue;
+      for (const result of output.results) this.results.push(result);
+      mergeStats(this.stats, output.stats);
+      if (output.fromLedger) this.stats.reusedFromLedger++;
+    }
+
+    // Across filings, so only once everything (ledger replays included) is merged
+    this.stats.supersededByAmendment = consolidateAmendments(this.results).superseded;
+
+    if (identityStore) {
+      const learned = this.learnIdentities(identityStore);
+      this.stats.identitiesLearned = learned.learned;
+      this.stats.identityConflicts = learned.conflicts;
+      identityStore.save();
     }
 
     return this.results;
   }
 
+  /**
+   * Teach the identity store the CIK behind every confirmed (LIKELY_VALID, current
+   * version) structured match on the prospect's own spelling — nickname, fuzzy,
+   * equivalent-name, initials and entity matches are too loose to bind a CIK for good.
+   * A CIK confirmed for two different prospects in the same run, or already on file
+   * for another prospect, is not learned.
+   *
+   * @param {IdentityStore} store
+   * @returns {{ learned: number, conflicts: number }}
+   */
+  learnIdentities(store) {
+    const candidates = new Map(); // cik -> [result]
+    for (const r of this.results) {
+      if (r.match_method !== 'structured' || r.match_verdict !== 'LIKELY_VALID' || !isCurrentVersion(r)) continue;
+      if (!LEARNABLE_MATCH_TYPES.has(r.structured_match_type)) continue;
+      if (r.name_equivalence || r.nickname_pair || r.fuzzy_detail || r.entity_kind) continue;
+      const cik = normalizeCik(r.filing_person_cik);
+      if (!cik || !r.prospect_id || this.cikIndex.has(cik)) continue;
+      if (!candidates.has(cik)) candidates.set(cik, []);
+      candidates.get(cik).push(r);
+    }
+
+    const summary = { learned: 0, conflicts: 0 };
+    for (const [cik, rows] of candidates) {
+      if (new Set(rows.map(r => r.prospect_id)).size > 1) {
+        summary.conflicts++;
+        continue;
+      }
+      const r = rows[0];
+      const outcome = store.learn(cik, {
+        prospectId: r.prospect_id,
+        prospectName: r.prospect_name,
+        filingName: r.filing_person_name,
+        accessionNumber: r.accession_number,
+      });
+      if (outcome === 'learned') summary.learned++;
+      else if (outcome === 'conflict') summary.conflicts++;
+    }
+    return summary;
+  }
+
+  /**
+   * Open (or start) the filing ledger for this prospect list, matcher version and rule set.
+   * Call after loadProspects().
+   */
+  openLedger(ledgerPath) {
+    const fingerprint = {
+      prospectListHash: hashValue(this.prospects),
+      matcherVersion: MATCHER_VERSION,
+      rulesHash: hashValue({
+        signalRules: getSignalRules(),
+        adaptiveOverrides: this.options.adaptiveOverrides || null,
+        nicknames: this.options.nicknames || null,
+        gifts: this.options.gifts || null,
+      }),
+    };
+    return new FilingLedger(ledgerPath, fingerprint).open();
+  }
+
+  /**
+   * Read one filing, apply the header filter, and match it into this.results / this.stats.
+   * Read errors propagate to the caller.
+   * @returns {object|null} The parsed filing, or null when the filter skipped it
+   */
+  _processFilingFile(filepath, filename, filter) {
+    const rawContent = fs.readFileSync(filepath, 'utf-8');
+    if (filter && !filter(parseHeader(rawContent))) {
+      this.stats.skippedByFilter++;
+      return null;
+    }
+    return this._processOneFiling(rawContent, filename);
+  }
+
+  /**
+   * Run one filing in isolation and return what it added, leaving this.results /
+   * this.stats untouched. Used for serial runs, ledger records and filing-worker.js.
+   *
+   * @returns {{ results: object[], stats: object, error: string|null,
+   *   filing: { status: 'processed'|'skipped'|'error', headerAccessionNumber, formType, filedDate, parser, parseError } }}
+   */
+  _runFilingTask(task, filter) {
+    const saved = { results: this.results, stats: this.stats };
+    this.results = [];
+    this.stats = createEmptyStats();
+
+    let error = null;
+    let filing;
+    try {
+      const parsed = this._processFilingFile(task.filepath, task.filename, filter);
+      filing = parsed
+        ? {
+          status: 'processed',
+          headerAccessionNumber: parsed.accessionNumber || null,
+          formType: parsed.formType || null,
+          filedDate: parsed.filedDate || null,
+          parser: parsed._parserUsed || null,
+          parseError: parsed.parseError || null,
+        }
+        : { status: 'skipped' };
+    } catch (err) {
+      this.stats.parseErrors++;
+      error = err.message;
+      filing = { status: 'error', error };
+    }
+
+    const output = { results: this.results, stats: this.stats, error, filing };
+    this.results = saved.results;
+    this.stats = saved.stats;
+    return output;
+  }
+
+  /**
+   * Fan filings out to a pool of worker threads. Workers pull the next filing as
+   * soon as they finish one; each output goes to onOutput(task, output) as it
+   * arrives, and the caller merges them in filename order.
+   */
+  _processFilingsParallel(tasks, workerCount, options, onOutput) {
+    const { progressCallback } = options;
+    const workerData = {
+      prospects: this.prospects,
+      adaptiveOverrides: this.options.adaptiveOverrides || null,
+      nicknames: this.options.nicknames || null,
+      gifts: this.options.gifts || null,
+      learnedCiks: this.learnedCiks,
+      signalRules: getSignalRules(),
+      filterOptions: {
+        fromDate: options.fromDate,
+        toDate: options.toDate,
+        includeForms: options.includeForms || [],
+        excludeForms: options.excludeForms || [],
+      },
+    };
+
+    const taskByIndex = new Map(tasks.map((task, position) => [task.index, { task, position }]));
+    let nextTask = 0;
+    let done = 0;
+    let matchCount = 0;
+
+    return new Promise((resolve, reject) => {
+      const pool = [];
+      let failed = false;
+
+      const shutdown = () => Promise.all(pool.map(w => w.terminate()));
+      const fail = (err) => {
+        if (failed) return;
+        failed = true;
+        shutdown().finally(() => reject(err));
+      };
+      const dispatch = (worker) => {
+        if (nextTask < tasks.length) worker.postMessage(tasks[nextTask++]);
+      };
+
+      for (let w = 0; w < workerCount; w++) {
+        const worker = new Worker(WORKER_SCRIPT, { workerData });
+        pool.push(worker);
+
+        worker.on('message', ({ index, ...output }) => {
+          if (failed) return;
+          const { task, position } = taskByIndex.get(index);
+          if (output.error && position < 5) console.error(`  Error reading ${task.filename}: ${output.error}`);
+          try {
+            onOutput(task, output);
+          } catch (err) {
+            fail(err);
+            return;
+          }
+          done++;
+          matchCount += output.results.length;
+
+          if (progressCallback && ((done - 1) % 50 === 0 || done === tasks.length)) {
+            progressCallback({ current: done, total: tasks.length, matches: matchCount });
+          }
+
+          if (done === tasks.length) {
+            shutdown().then(() => resolve(), reject);
+            return;
+          }
+          dispatch(worker);
+        });
+        worker.on('error', fail);
+        // A worker that stops before every filing is answered strands its
+        // in-flight filing, whatever its exit code
+        worker.on('exit', (code) => {
+          if (done < tasks.length) fail(new Error(`Filing worker exited with code ${code} before all filings were processed`));
+        });
+
+        dispatch(worker);
+      }
+    });
+  }
+
+  /**
+   * Build a header-only predicate for date range and form-type filters, called
+   * with parseHeader() output or a ledger entry ({ filedDate, formType }).
+   * Returns null when no filter is configured.
+   */
+  _buildFilingFilter(options) {
+    const { fromDate, toDate, includeForms = [], excludeForms = [] } = options;
+    if (!fromDate && !toDate && includeForms.length === 0 && excludeForms.length === 0) return null;
+
+    const from = fromDate ? fromDate.replace(/-/g, '') : null;
+    const to = toDate ? toDate.replace(/-/g, '') : null;
+
+    // A requested form matches its exact EDGAR type, or anything that normalizes to
+    // the same routed type ("4" also keeps "4/A"). Unrouted types only match exactly.
+    const toMatcher = (forms) => forms.map(f => ({
+      exact: f.toUpperCase().trim(),
+      normalized: normalizeFormType(f),
+    }));
+    const matchesAny = (list, formType, normalized) => list.some(m =>
+      m.exact === formType || (m.normalized !== 'OTHER' && m.normalized === normalized));
+    const include = toMatcher(includeForms);
+    const exclude = toMatcher(excludeForms);
+
+    return (header) => {
+      const filed = header.filedDate || '';
+      if (from && (!filed || filed < from)) return false;
+      if (to && (!filed || filed > to)) return false;
+
+      const formType = (header.formType || '').toUpperCase().trim();
+      const normalized = normalizeFormType(header.formType);
+      if (include.length > 0 && !matchesAny(include, formType, normalized)) return false;
+      if (exclude.length > 0 && matchesAny(exclude, formType, normalized)) return false;
+      return true;
+    };
+  }
+
+  /**
+   * Parse and match one filing into this.results / this.stats.
+   * @returns {object} The parsed filing
+   */
   _processOneFiling(rawContent, filename) {
     // Step 1: Parse the filing
-    const parsed = parseFiling(rawContent, filename);
+    const parsed = parseFiling(rawContent, filename, { gifts: this.options.gifts });
     if (parsed.parseError) this.stats.parseErrors++;
 
     const isSpecialized = parsed._parserUsed !== 'generic' && !parsed.parseError;
@@ -1352,24 +2392,67 @@ class UnifiedMatcher {
       this.stats.parsedGeneric++;
     }
 
-    // Extract raw text for company cross-checking and text search
-    const rawText = extractRawText(rawContent);
+    // Leave uuencoded graphics, PDFs, ZIP/XLSX exhibits etc. out of any text
+    // search — their bytes only produce "encoded context" false positives.
+    const searchable = searchableRanges(rawContent, parsed.documents);
+    this.stats.binaryDocumentsSkipped += searchable.documentsSkipped;
+    this.stats.binaryBytesSkipped += searchable.bytesSkipped;
+
+    // Extract raw text for company cross-checking
+    const rawText = foldText(extractRawText(searchable.ranges.map(([start, end]) => rawContent.slice(start, end)).join('\n')));
 
     // Step 2: Structured matching with company cross-check
     const structuredMatches = [];
     if (parsed.persons && parsed.persons.length > 0) {
-      for (const person of parsed.persons) {
-        const prospectMatches = this._matchName(person.name);
+      // Entity owners (trusts, foundations, holding companies) resolve to the
+      // people behind them; a prospect also filing in person is matched once
+      const ownerMatches = parsed.persons.map(person => this._matchEntity(person.name) ?? this._matchName(person.name));
+      const directIds = new Set(ownerMatches.flat().filter(pm => !ENTITY_MATCH_METHODS.has(pm.matchMethod)).map(pm => pm.id));
+
+      for (const [personIndex, person] of parsed.persons.entries()) {
+        let prospectMatches = ownerMatches[personIndex]
+          .filter(pm => !ENTITY_MATCH_METHODS.has(pm.matchMethod) || !directIds.has(pm.id));
+
+        // A known CIK identifies the prospect whatever the name spelling
+        const personCik = normalizeCik(person.cik);
+        const cikOwner = personCik ? this.cikIndex.get(personCik) : null;
+        if (cikOwner) {
+          const owner = this.prospectById[cikOwner.prospectId];
+          prospectMatches = [
+            { ...owner, matchMethod: 'cik', cikSource: cikOwner.source },
+            ...prospectMatches.filter(pm => pm.id !== owner.id),
+          ];
+        }
+
         for (const pm of prospectMatches) {
           const companyCheck = this._crossCheckCompany(pm, parsed, rawText);
+          const isCikMatch = pm.matchMethod === 'cik';
+          const cikConflict = !isCikMatch && this._hasCikConflict(pm, personCik);
 
-          const rejectReason = this._shouldRejectStructuredUnverifiedMatch(pm, person, parsed, rawText, companyCheck);
+          const rejectReason = isCikMatch ? null : this._shouldRejectStructuredUnverifiedMatch(pm, person, parsed, rawText, companyCheck);
           if (rejectReason) {
             // Drop provably-low-quality structured matches (name collision) instead of surfacing them at 40-60%.
             continue;
           }
 
-          const confidence = this._computeConfidence(pm.matchMethod, companyCheck);
+          let confidence = this._computeConfidence(pm.matchMethod, companyCheck, pm);
+          if (cikConflict) {
+            // Negative evidence: the name matches but the CIK says someone else
+            confidence = Math.min(confidence, 20);
+            this.stats.cikConflicts++;
+          }
+          if (isCikMatch) this.stats.cikMatches++;
+          if (pm.matchMethod === 'fuzzy') this.stats.fuzzyNameMatches++;
+          if (pm.nameEquivalence) this.stats.equivalentNameMatches++;
+          if (pm.nickname) this.stats.nicknameMatches++;
+          if (ENTITY_MATCH_METHODS.has(pm.matchMethod)) this.stats.entityMatches++;
+          confidence = Math.max(0, confidence - this._nicknamePenalty(pm.nickname));
+
+          // Address corroboration: agreement raises confidence, a different state lowers it
+          const addressCheck = compareAddresses(pm.address, this._filingPersonAddress(parsed, person));
+          if (addressCheck && !isCikMatch) {
+            confidence = Math.max(0, Math.min(99, confidence + addressCheck.adjustment));
+          }
 
           if (companyCheck.verified) {
             this.stats.companyVerified++;
@@ -1387,6 +2470,17 @@ class UnifiedMatcher {
             companyCheckMethod: companyCheck.method,
             uncertainMatch: pm.uncertainMatch || false,
             uncertainReason: pm.uncertainReason || '',
+            cikSource: pm.cikSource || null,
+            matchedAlias: pm.matchedAlias || null,
+            fuzzyDetail: pm.fuzzyDetail || null,
+            nameEquivalence: pm.nameEquivalence || null,
+            equivalenceDetail: pm.equivalenceDetail || null,
+            nickname: pm.nickname || null,
+            entityKind: pm.entityKind || null,
+            entityDetail: pm.entityDetail || null,
+            cikConflict,
+            addressCheck,
+            sourceDocument: person.sourceDocument || describeDocument(primaryDocument(parsed.documents)),
           });
         }
       }
@@ -1401,7 +2495,7 @@ class UnifiedMatcher {
     this._structuredNameSet = structuredNameSet;
 
     // Step 3: Text matching with adaptive validation
-    const textMatches = this._textSearchWithValidation(rawContent, parsed);
+    const textMatches = this._textSearchWithValidation(rawContent, parsed, searchable.ranges);
     const structuredProspectIds = new Set(structuredMatches.map(m => m.prospect.id));
 
     // Merge: structured matches take priority, text matches fill gaps
@@ -1412,7 +2506,7 @@ class UnifiedMatcher {
           prospect: tm.prospect,
           filingPerson: null,
           matchMethod: 'text',
-          confidence: tm.confidence,
+          confidence: Math.max(0, tm.confidence - this._nicknamePenalty(tm.nickname) - this._equivalencePenalty(tm.nameEquivalence)),
           companyVerified: tm.matchType === 'Name+Company',
           companyCheckMethod: tm.matchType === 'Name+Company' ? 'text_proximity' : 'none',
           textMatchType: tm.matchType,
@@ -1420,17 +2514,24 @@ class UnifiedMatcher {
           textDistanceCategory: tm.distanceCategory,
           nameContext: tm.nameContext,
           companyContext: tm.companyContext,
+          sourceDocument: tm.sourceDocument,
+          sourceDocumentRole: tm.sourceDocumentRole,
           isMentionOnly: tm.isMentionOnly || false,
           signalCount: tm.signalCount || 0,
           signals: tm.signals || '',
+          matchedAlias: tm.matchedAlias,
+          nameEquivalence: tm.nameEquivalence,
+          nickname: tm.nickname,
         });
       }
     }
 
-    if (allMatches.length === 0) return;
+    if (allMatches.length === 0) return parsed;
 
     // Step 4: Classify signal
     const signal = classifySignal(parsed);
+    const ownershipValue = attributeOwnershipValue(parsed.transactions);
+    const gifts = describeGifts(parsed.transactions);
 
     // Step 5: Create result records
     for (const match of allMatches) {
@@ -1449,6 +2550,14 @@ class UnifiedMatcher {
         company_check_method: match.companyCheckMethod || '',
         uncertain_match: match.uncertainMatch || false,
         uncertain_reason: match.uncertainReason || '',
+        matched_alias: match.matchedAlias || null,  // null when the main name matched
+        fuzzy_detail: match.fuzzyDetail || null,  // "katharine ≈ katherine (1 edit)"
+        name_equivalence: match.nameEquivalence || null,  // romanization | given_names_joined | phonetic
+        name_equivalence_detail: match.equivalenceDetail || null,
+        nickname_pair: match.nickname ? `${match.nickname.from} → ${match.nickname.to}` : null,  // prospect → filing
+        nickname_weight: match.nickname ? Math.round(match.nickname.weight * 100) / 100 : null,
+        entity_kind: match.entityKind || null,  // trust | foundation | family_office | estate | company
+        entity_detail: match.entityDetail || null,
 
         // Mention-only fields (text matches with insufficient corroboration)
         is_mention_only: match.isMentionOnly || false,
@@ -1463,9 +2572,16 @@ class UnifiedMatcher {
         name_context: match.nameContext || null,
         company_context: match.companyContext || null,
 
+        // Which <DOCUMENT> in the submission the name came from
+        source_document: match.sourceDocument || null,
+
         filing_person_name: match.filingPerson?.name || null,
         filing_person_role: match.filingPerson?.role || null,
+        filing_person_title: match.filingPerson?.title || null,
         filing_person_cik: match.filingPerson?.cik || null,
+        cik_conflict: match.cikConflict || false,
+        address_match: match.addressCheck?.level || null,
+        address_detail: match.addressCheck?.detail || null,
 
         // Filing info
         filename: parsed.filename,
@@ -1473,6 +2589,7 @@ class UnifiedMatcher {
         form_type: parsed.formType,
         normalized_type: parsed.normalizedType,
         filed_date: parsed.filedDate,
+        period_of_report: parsed.periodOfReport || null,
 
         // Company info
         issuer_name: parsed.issuer?.name || parsed.filer?.name || parsed.subjectCompany?.name || null,
@@ -1492,16 +2609,62 @@ class UnifiedMatcher {
           const parts = [t.codeLabel || t.code];
           if (t.shares) parts.push(`${t.shares.toLocaleString()} shares`);
           if (t.pricePerShare) parts.push(`@$${t.pricePerShare}`);
+          const range = t.footnoteFacts?.priceRange;
+          if (range) parts.push(`($${range.low}–$${range.high})`);
           if (t.value) parts.push(`= $${t.value.toLocaleString()}`);
+          if (t.ownershipCategory && t.ownershipCategory !== 'direct') parts.push(`[${t.ownershipCategory}]`);
+          const donee = t.donee || t.footnoteFacts?.donee;
+          if (t.code === 'G' && donee) parts.push(`to ${donee}`);
           return parts.join(' ');
         }).join(' | '),
 
+        // Per-transaction numbers (JSON export / timelines; CSVs use the summary above)
+        transactions: (parsed.transactions || []).map(t => ({
+          code: t.code || null,
+          label: t.codeLabel || t.code || null,
+          date: t.date || null,
+          shares: t.shares ?? null,
+          pricePerShare: t.pricePerShare ?? null,
+          value: t.value ?? null,
+          sharesAfter: t.sharesAfter ?? null,
+          ownershipType: t.ownershipType || null,
+          natureOfOwnership: t.natureOfOwnership || null,
+          ownershipCategory: t.ownershipCategory || null,
+          footnotes: (t.footnotes || []).map(f => ({ field: f.field, text: f.text })),
+          footnoteFacts: t.footnoteFacts || null,
+          valueSource: t.valueSource || null,
+          donee: t.donee || null,
+          doneeType: t.doneeType || null,
+          institution: t.institution || null,
+        })),
+
         total_value: (parsed.transactions || []).reduce((sum, t) => sum + (t.value || 0), 0) || null,
+        sale_value: sumTransactionValue(parsed.transactions, 'S'),
+        purchase_value: sumTransactionValue(parsed.transactions, 'P'),
+        gift_value: sumTransactionValue(parsed.transactions, 'G'),
+
+        // Whose shares: the insider's own, the household's (spouse, trusts, LLCs), or a charity's
+        personal_value: ownershipValue.personal,
+        household_value: ownershipValue.household,
+        charitable_value: ownershipValue.charitable,
+        ownership_vehicles: describeOwnershipVehicles(parsed),
+
+        // Gift recipients (footnotes, natureOfOwnership) and how gifts were valued
+        gift_recipients: gifts.recipients,
+        gift_recipient_types: gifts.recipientTypes,
+        gift_value_source: gifts.valueSource,
+        gift_institution: gifts.institution,
+
+        // Read from the footnotes the transactions point at
+        plan_adoption_date: (parsed.transactions || []).map(t => t.footnoteFacts?.planAdoptionDate).find(Boolean) || null,
 
         // Flags
         is_10b5_1: parsed.is10b5_1 || false,
         has_philanthropy_signal: (parsed.alerts || []).some(a => a.type === 'PHILANTHROPY_SIGNAL'),
         has_same_day_sale: (parsed.alerts || []).some(a => a.type === 'SAME_DAY_SALE'),
+        has_planned_giving_vehicle: (parsed.alerts || []).some(a => a.type === 'PLANNED_GIVING_VEHICLE'),
+        has_gift_to_institution: (parsed.alerts || []).some(a => a.type === 'GIFT_TO_INSTITUTION'),
+        has_gift_to_peer: (parsed.alerts || []).some(a => a.type === 'GIFT_TO_PEER_INSTITUTION'),
 
         // Alerts
         alerts: (parsed.alerts || []).map(a => `[${a.severity}] ${a.message}`).join(' | '),
@@ -1513,6 +2676,18 @@ class UnifiedMatcher {
 
       // Generate match_remarks (human-readable explanation of how match was made)
       const remarks = [];
+      if (result.matched_alias) {
+        remarks.push(`Matched alias "${result.matched_alias}"`);
+      }
+      if (result.name_equivalence) {
+        remarks.push(`Name equivalence: ${result.name_equivalence_detail || result.name_equivalence.replace(/_/g, ' ')}`);
+      }
+      if (result.nickname_pair) {
+        remarks.push(`Nickname: ${result.nickname_pair} (weight ${result.nickname_weight})`);
+      }
+      if (match.matchMethod === 'text' && match.sourceDocumentRole && match.sourceDocumentRole !== 'primary') {
+        remarks.push(`Found in ${match.sourceDocument} [${match.sourceDocumentRole}]`);
+      }
       if (match.matchMethod === 'text') {
         if (match.textMatchType === 'Mention Only') {
           remarks.push(`Mention only (${result.signal_count || 0} signal(s), needs ≥2)`);
@@ -1546,6 +2721,18 @@ class UnifiedMatcher {
         }
       } else if (match.matchMethod === 'structured') {
         remarks.push(`Structured match via ${result.structured_match_type || 'XML parsing'}`);
+        if (result.entity_detail) {
+          remarks.push(`Entity owner${result.entity_kind ? ` (${result.entity_kind.replace(/_/g, ' ')})` : ''}: ${result.entity_detail}`);
+        }
+        if (result.fuzzy_detail) {
+          remarks.push(`Fuzzy name: ${result.fuzzy_detail}`);
+        }
+        if (match.cikSource) {
+          remarks.push(`CIK ${result.filing_person_cik} ${match.cikSource === 'learned' ? 'learned from an earlier confirmed match' : 'from prospect list'}`);
+        }
+        if (result.cik_conflict) {
+          remarks.push(`CIK CONFLICT: filing person CIK ${result.filing_person_cik} is not this prospect's`);
+        }
         if (result.company_verified) {
           remarks.push(`Company verified: ${result.company_check_method}`);
         } else {
@@ -1554,12 +2741,18 @@ class UnifiedMatcher {
         if (result.uncertain_match) {
           remarks.push(`UNCERTAIN: ${result.uncertain_reason}`);
         }
+        if (match.addressCheck) {
+          const { level, detail, adjustment } = match.addressCheck;
+          const effect = adjustment && !match.cikSource ? ` (${adjustment > 0 ? '+' : ''}${adjustment})` : '';
+          remarks.push(`Address: ${level.replace(/_/g, ' ')}${detail ? ` — ${detail}` : ''}${effect}`);
+        }
       }
       result.match_remarks = remarks.join(' | ');
 
       // False-positive risk scoring
       const fpInput = {
-        prospect_name: result.prospect_name,
+        // Name-shape risks apply to the name that actually matched
+        prospect_name: result.matched_alias || result.prospect_name,
         company_name: result.prospect_company || '',
         match_type: match.textMatchType || (match.companyVerified ? 'Name + Company' : 'Name Only'),
         confidence: result.match_confidence,
@@ -1569,6 +2762,11 @@ class UnifiedMatcher {
         company_verified: result.company_verified,
         uncertain_match: result.uncertain_match,
         is_mention_only: result.is_mention_only,
+        address_match: result.address_match,
+        address_detail: result.address_detail,
+        name_equivalence: result.name_equivalence,
+        nickname_pair: result.nickname_pair,
+        nickname_weight: result.nickname_weight,
       };
       const fpAnalysis = this.fpDetector.calculateFPRiskScore(fpInput);
       result.fp_risk_score = fpAnalysis.score;
@@ -1600,6 +2798,7 @@ class UnifiedMatcher {
         this.stats.mentionOnlyCount++;
       }
     }
+    return parsed;
   }
 
   // ---------------------------------------------------------------------------
@@ -1611,53 +2810,7 @@ class UnifiedMatcher {
 
     const writer = createCsvWriter({
       path: outputPath,
-      header: [
-        { id: 'signal_tier', title: 'Signal Tier' },
-        { id: 'urgency', title: 'Urgency' },
-        { id: 'prospect_name', title: 'Prospect Name' },
-        { id: 'prospect_company', title: 'Prospect Company' },
-        { id: 'prospect_id', title: 'Prospect ID' },
-        { id: 'team_name', title: 'Team Name' },
-        { id: 'match_confidence', title: 'Confidence' },
-        { id: 'uncertain_match', title: 'Uncertain Match' },
-        { id: 'uncertain_reason', title: 'Uncertain Reason' },
-        { id: 'is_mention_only', title: 'Mention Only' },
-        { id: 'signal_count', title: 'Signal Count' },
-        { id: 'match_signals', title: 'Match Signals' },
-        { id: 'match_verdict', title: 'Match Verdict' },
-        { id: 'match_verdict_reason', title: 'Match Verdict Reason' },
-        { id: 'company_verified', title: 'Company Verified' },
-        { id: 'company_check_method', title: 'Company Check Method' },
-        { id: 'distance', title: 'Distance (chars)' },
-        { id: 'distance_category', title: 'Distance Category' },
-        { id: 'match_remarks', title: 'Match Remarks' },
-        { id: 'name_context', title: 'Name Context' },
-        { id: 'company_context', title: 'Company Context' },
-        { id: 'structured_match_type', title: 'Structured Match Type' },
-        { id: 'form_type', title: 'Form Type' },
-        { id: 'issuer_name', title: 'Issuer/Company' },
-        { id: 'issuer_ticker', title: 'Ticker' },
-        { id: 'filed_date', title: 'Filed Date' },
-        { id: 'match_method', title: 'Match Method' },
-        { id: 'filing_person_name', title: 'Filing Person Name' },
-        { id: 'filing_person_role', title: 'Filing Person Role' },
-        { id: 'transaction_codes', title: 'Transaction Codes' },
-        { id: 'transaction_summary', title: 'Transaction Summary' },
-        { id: 'total_value', title: 'Total Value ($)' },
-        { id: 'is_10b5_1', title: '10b5-1 Plan' },
-        { id: 'has_philanthropy_signal', title: 'Philanthropy Signal' },
-        { id: 'has_same_day_sale', title: 'Same-Day Sale' },
-        { id: 'signal_tier_label', title: 'Signal Category' },
-        { id: 'dimensions', title: 'Dimensions' },
-        { id: 'gift_officer_action', title: 'Gift Officer Action' },
-        { id: 'alerts', title: 'Alerts' },
-        { id: 'signal_summary', title: 'Summary' },
-        { id: 'fp_risk_score', title: 'FP Risk Score' },
-        { id: 'fp_risk_level', title: 'FP Risk Level' },
-        { id: 'fp_reasons', title: 'FP Reasons' },
-        { id: 'filename', title: 'Filing Filename' },
-        { id: 'accession_number', title: 'Accession Number' },
-      ],
+      header: DEBUG_CSV_COLUMNS,
     });
 
     // Sort: Tier 1 first, then urgency, then confidence desc, then value
@@ -1673,6 +2826,11 @@ class UnifiedMatcher {
     return outputPath;
   }
 
+  async exportToJson(outputPath) {
+    fs.writeFileSync(outputPath, JSON.stringify({ stats: this.stats, results: this.results }, null, 2), 'utf-8');
+    return outputPath;
+  }
+
   async exportClientCsv(outputPath) {
     const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 
@@ -1698,8 +2856,8 @@ class UnifiedMatcher {
       ],
     });
 
-    // Sort: Tier 1 first, then confidence desc, then value
-    const sorted = [...this.results].sort((a, b) => {
+    // Sort: Tier 1 first, then confidence desc, then value (older versions of amended filings left out)
+    const sorted = this.results.filter(isCurrentVersion).sort((a, b) => {
       if (a.signal_tier !== b.signal_tier) return a.signal_tier - b.signal_tier;
       if (a.match_confidence !== b.match_confidence) return b.match_confidence - a.match_confidence;
       return (b.total_value || 0) - (a.total_value || 0);
@@ -1728,6 +2886,9 @@ class UnifiedMatcher {
       if (r.is_10b5_1) tags.push('10b5-1');
       if (r.has_same_day_sale) tags.push('Same-Day Sale');
       if (r.has_philanthropy_signal) tags.push('Philanthropy');
+      if (r.has_planned_giving_vehicle) tags.push('Planned Giving');
+      if (r.has_gift_to_institution) tags.push('Gift to Us');
+      if (r.has_gift_to_peer) tags.push('Gift to Peer');
       if (tags.length > 0) txn += (txn ? ' ' : '') + '[' + tags.join('] [') + ']';
 
       // --- Action: signal category + gift officer action + alerts ---
@@ -1769,6 +2930,16 @@ class UnifiedMatcher {
     return outputPath;
   }
 
+  /**
+   * One row per prospect across all matched filings (see prospect-rollup.js).
+   */
+  async exportRollupCsv(outputPath) {
+    const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+    const writer = createCsvWriter({ path: outputPath, header: ROLLUP_CSV_COLUMNS });
+    await writer.writeRecords(buildProspectRollup(this.results));
+    return outputPath;
+  }
+
   // ---------------------------------------------------------------------------
   // Stats
   // ---------------------------------------------------------------------------
@@ -1782,6 +2953,38 @@ class UnifiedMatcher {
     console.log(`  Structured parsing:      ${this.stats.parsedStructured}`);
     console.log(`  Generic/text parsing:    ${this.stats.parsedGeneric}`);
     console.log(`  Parse errors:            ${this.stats.parseErrors}`);
+    if (this.stats.skippedByFilter) {
+      console.log(`  Skipped by filters:      ${this.stats.skippedByFilter}`);
+    }
+    if (this.stats.reusedFromLedger) {
+      console.log(`  Reused from ledger:      ${this.stats.reusedFromLedger}`);
+    }
+    if (this.stats.supersededByAmendment) {
+      console.log(`  Superseded by amendment: ${this.stats.supersededByAmendment} match(es)`);
+    }
+    if (this.stats.fuzzyNameMatches) {
+      console.log(`  Fuzzy name matches:      ${this.stats.fuzzyNameMatches}`);
+    }
+    if (this.stats.equivalentNameMatches) {
+      console.log(`  Equivalent-name matches: ${this.stats.equivalentNameMatches} (romanization / phonetic / joined given names)`);
+    }
+    if (this.stats.nicknameMatches) {
+      console.log(`  Nickname matches:        ${this.stats.nicknameMatches}`);
+    }
+    if (this.stats.entityMatches) {
+      console.log(`  Entity-owner matches:    ${this.stats.entityMatches} (trusts / foundations / family offices / companies)`);
+    }
+    if (this.stats.cikMatches || this.stats.cikConflicts) {
+      console.log(`  Matched by CIK:          ${this.stats.cikMatches} (${this.stats.cikConflicts} name match(es) contradicted by CIK)`);
+    }
+    if (this.stats.identitiesLearned || this.stats.identityConflicts) {
+      console.log(`  CIKs learned:            ${this.stats.identitiesLearned}` +
+        `${this.stats.identityConflicts ? ` (${this.stats.identityConflicts} ambiguous, not learned)` : ''}`);
+    }
+    if (this.stats.binaryDocumentsSkipped) {
+      const mb = (this.stats.binaryBytesSkipped / (1024 * 1024)).toFixed(1);
+      console.log(`  Binary docs skipped:     ${this.stats.binaryDocumentsSkipped} (${mb} MB not text-searched)`);
+    }
     console.log('');
 
     console.log(`Total matches found:       ${this.stats.matchesFound}`);
@@ -1839,13 +3042,19 @@ class UnifiedMatcher {
     const tier1 = this.results.filter(r => r.signal_tier === 1);
     const philanthropy = this.results.filter(r => r.has_philanthropy_signal);
     const sameDaySales = this.results.filter(r => r.has_same_day_sale);
+    const plannedGiving = this.results.filter(r => r.has_planned_giving_vehicle);
+    const giftsToUs = this.results.filter(r => r.has_gift_to_institution);
+    const giftsToPeers = this.results.filter(r => r.has_gift_to_peer);
     const is10b51 = this.results.filter(r => r.is_10b5_1);
 
-    if (tier1.length > 0 || philanthropy.length > 0) {
+    if (tier1.length > 0 || philanthropy.length > 0 || plannedGiving.length > 0) {
       console.log('\nKEY FINDINGS:');
       if (tier1.length > 0) console.log(`  Tier 1 alerts (call now):    ${tier1.length}`);
       if (philanthropy.length > 0) console.log(`  Philanthropy signals (G):    ${philanthropy.length}`);
       if (sameDaySales.length > 0) console.log(`  Same-day sales (M+S):        ${sameDaySales.length}`);
+      if (plannedGiving.length > 0) console.log(`  CRT/foundation/DAF holdings: ${plannedGiving.length}`);
+      if (giftsToUs.length > 0) console.log(`  Gifts to our institution:    ${giftsToUs.length}`);
+      if (giftsToPeers.length > 0) console.log(`  Gifts to peer institutions:  ${giftsToPeers.length}`);
       if (is10b51.length > 0) console.log(`  10b5-1 plan trades:          ${is10b51.length}`);
     }
 
@@ -1854,3 +3063,4 @@ class UnifiedMatcher {
 }
 
 module.exports = UnifiedMatcher;
+module.exports.DEBUG_CSV_COLUMNS = DEBUG_CSV_COLUMNS;
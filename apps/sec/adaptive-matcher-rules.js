@@ -0,0 +1,241 @@
+/**
+ * Adaptive Matching Rules
+ *
+ * Classifies prospect names and company roots into risk classes and returns
+ * the text-search guardrails each class needs. UnifiedMatcher._validateAdaptive
+ * applies the returned matchingRules to every Aho-Corasick hit:
+ *
+ *   skipMatching           — never accept a text hit for this pattern
+ *   requireWordBoundaries  — hit must be bounded by whitespace (not "xqi li7")
+ *   requireEnglishContext  — ±50 chars must contain minContextWords real words
+ *   blockEncodedSections   — reject hits inside uuencoded / base64-looking text
+ *
+ * Risk classes (a pattern can carry several; rules are OR-merged):
+ *   Names:     VERY_SHORT, SHORT_COMPONENT, COMMON_SURNAME, STANDARD
+ *   Companies: TOO_SHORT, ACRONYM, DICTIONARY_WORD, STANDARD
+ *
+ * Per-prospect overrides are merged last, so research can loosen a rule for a
+ * verified "Qi Li" or shut off company text matching for a noisy employer.
+ */
+
+const fs = require('fs');
+
+const NAME_SUFFIXES_RE = /\b(jr|sr|iii|iv|ii|md|phd|esq)\.?(?=\s|$)/gi;
+const LEGAL_SUFFIXES_RE = /\b(inc\.?|incorporated|corp\.?|corporation|company|co\.?|llc|ltd\.?|limited|plc|lp|l\.?p\.?|group|holdings|enterprises?|partners|partnership|& co\.?)\b/gi;
+
+// Surnames common enough that first+last collisions are routine in filings.
+const COMMON_SURNAMES = new Set([
+  'smith', 'johnson', 'williams', 'brown', 'jones', 'garcia', 'miller', 'davis',
+  'rodriguez', 'martinez', 'hernandez', 'lopez', 'gonzalez', 'wilson', 'anderson',
+  'thomas', 'taylor', 'moore', 'jackson', 'martin', 'lee', 'perez', 'thompson',
+  'white', 'harris', 'sanchez', 'clark', 'ramirez', 'lewis', 'robinson', 'walker',
+  'young', 'allen', 'king', 'wright', 'scott', 'torres', 'nguyen', 'hill', 'flores',
+  'green', 'adams', 'nelson', 'baker', 'hall', 'rivera', 'campbell', 'mitchell',
+  'carter', 'roberts', 'wang', 'li', 'zhang', 'liu', 'chen', 'yang', 'huang', 'zhao',
+  'wu', 'zhou', 'xu', 'sun', 'ma', 'zhu', 'hu', 'guo', 'he', 'lin', 'kim', 'park',
+  'choi', 'jung', 'kang', 'cho', 'yoon', 'jang', 'lim', 'han', 'patel', 'shah',
+  'singh', 'kumar', 'sharma', 'gupta', 'khan', 'ali', 'wong', 'chan', 'tran', 'le',
+  'pham', 'cohen', 'murphy', 'kelly', 'sullivan',
+]);
+
+// Company roots that are ordinary English words — they appear in filing prose
+// ("apple", "target", "summit") far more often than as the employer.
+const DICTIONARY_WORDS = new Set([
+  'apple', 'target', 'visa', 'oracle', 'square', 'block', 'gap', 'ball', 'crown',
+  'genesis', 'summit', 'pinnacle', 'horizon', 'apex', 'meridian', 'liberty',
+  'pioneer', 'frontier', 'general', 'national', 'united', 'american', 'first',
+  'global', 'capital', 'alliance', 'eagle', 'phoenix', 'guardian', 'sterling',
+  'premier', 'keystone', 'vanguard', 'fidelity', 'progressive', 'southern',
+  'northern', 'western', 'eastern', 'pacific', 'atlantic', 'continental',
+  'sunrise', 'heritage', 'legacy', 'endeavor', 'insight', 'catalyst', 'anchor',
+  'compass', 'beacon', 'bridge', 'harbor', 'discovery', 'evergreen', 'signature',
+  'trust', 'union', 'standard', 'universal', 'advance', 'focus', 'vision', 'select',
+  'strategic', 'core', 'prime', 'key', 'stone', 'rock', 'river', 'lake', 'ocean',
+]);
+
+const BASE_RULES = {
+  skipMatching: false,
+  requireWordBoundaries: false,
+  requireEnglishContext: false,
+  minContextWords: 2,
+  blockEncodedSections: false,
+};
+
+const CLASS_RULES = {
+  // Names
+  VERY_SHORT: { requireWordBoundaries: true, requireEnglishContext: true, minContextWords: 3, blockEncodedSections: true },
+  SHORT_COMPONENT: { requireWordBoundaries: true, blockEncodedSections: true },
+  COMMON_SURNAME: { requireWordBoundaries: true, requireEnglishContext: true },
+  // Companies
+  TOO_SHORT: { skipMatching: true },
+  ACRONYM: { requireWordBoundaries: true, requireEnglishContext: true, minContextWords: 3, blockEncodedSections: true },
+  DICTIONARY_WORD: { requireWordBoundaries: true, requireEnglishContext: true, minContextWords: 3 },
+  STANDARD: {},
+};
+
+class AdaptiveMatchingRules {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.overrides] - { [prospectId]: { name?: {...rules}, company?: {...rules} } }
+   */
+  constructor(options = {}) {
+    this.overrides = {};
+    this.cache = new Map();
+    for (const [prospectId, override] of Object.entries(options.overrides || {})) {
+      this.setOverride(prospectId, override);
+    }
+  }
+
+  /**
+   * Load a per-prospect override file (JSON keyed by prospect id).
+   */
+  static loadOverridesFile(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`Adaptive rule overrides ${filePath}: expected an object keyed by prospect id`);
+    }
+    return data;
+  }
+
+  setOverride(prospectId, override) {
+    if (!prospectId || !override) return;
+    this.overrides[String(prospectId)] = {
+      name: override.name || null,
+      company: override.company || null,
+    };
+    this.cache.clear();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Classification
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Classify a prospect name.
+   * @param {string} name
+   * @param {string} [prospectId] - Applies that prospect's name override, if any
+   */
+  classifyName(name, prospectId) {
+    const key = `name|${prospectId || ''}|${name || ''}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const normalized = (name || '')
+      .toLowerCase()
+      .replace(/,/g, ' ')
+      .replace(NAME_SUFFIXES_RE, '')
+      .replace(/[^\p{L}\s'-]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    const parts = normalized.split(' ').filter(Boolean);
+
+    const riskClasses = [];
+    const reasons = [];
+
+    if (parts.length === 0) {
+      riskClasses.push('TOO_SHORT');
+      reasons.push('Empty name');
+    } else {
+      const first = parts[0];
+      const last = parts[parts.length - 1];
+      const letters = parts.join('').replace(/[^\p{L}]/gu, '').length;
+
+      if (parts.length < 2) {
+        riskClasses.push('VERY_SHORT');
+        reasons.push('Single-token name');
+      } else if ((first.length <= 2 && last.length <= 2) || letters < 6) {
+        riskClasses.push('VERY_SHORT');
+        reasons.push(`Very short name "${first} ${last}"`);
+      } else if (first.length <= 2 || last.length <= 2) {
+        riskClasses.push('SHORT_COMPONENT');
+        reasons.push(`Short name component in "${first} ${last}"`);
+      }
+
+      if (parts.length >= 2 && COMMON_SURNAMES.has(last)) {
+        riskClasses.push('COMMON_SURNAME');
+        reasons.push(`Common surname "${last}"`);
+      }
+    }
+
+    const result = this._finalize('name', name, normalized, riskClasses, reasons, prospectId);
+    this.cache.set(key, result);
+    return result;
+  }
+
+  /**
+   * Classify a prospect's company (legal suffixes stripped to the root).
+   * @param {string} company
+   * @param {string} [prospectId] - Applies that prospect's company override, if any
+   */
+  classifyCompany(company, prospectId) {
+    const key = `company|${prospectId || ''}|${company || ''}`;
+    if (this.cache.has(key)) return this.cache.get(key);
+
+    const original = (company || '').trim();
+    const normalized = original
+      .replace(LEGAL_SUFFIXES_RE, '')
+      .replace(/[.,]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+    const tokens = normalized.split(' ').filter(Boolean);
+
+    const riskClasses = [];
+    const reasons = [];
+
+    if (normalized.length < 3) {
+      riskClasses.push('TOO_SHORT');
+      reasons.push(`Company root "${normalized}" shorter than 3 chars`);
+    } else {
+      const originalRoot = original.replace(LEGAL_SUFFIXES_RE, '').replace(/[.,]/g, '').trim();
+      const isUpperToken = tokens.length === 1 && /^[A-Z0-9&]+$/.test(originalRoot);
+      if (tokens.length === 1 && (normalized.length <= 4 || (isUpperToken && normalized.length <= 6))) {
+        riskClasses.push('ACRONYM');
+        reasons.push(`Acronym-like company root "${normalized}"`);
+      }
+      if (tokens.every(t => DICTIONARY_WORDS.has(t))) {
+        riskClasses.push('DICTIONARY_WORD');
+        reasons.push(`Company root "${normalized}" is a common English word`);
+      }
+    }
+
+    const result = this._finalize('company', company, normalized, riskClasses, reasons, prospectId);
+    this.cache.set(key, result);
+    return result;
+  }
+
+  _finalize(kind, input, normalized, riskClasses, reasons, prospectId) {
+    if (riskClasses.length === 0) riskClasses.push('STANDARD');
+
+    const matchingRules = { ...BASE_RULES };
+    for (const cls of riskClasses) {
+      const rules = CLASS_RULES[cls] || {};
+      for (const [rule, value] of Object.entries(rules)) {
+        if (rule === 'minContextWords') {
+          matchingRules.minContextWords = Math.max(matchingRules.minContextWords, value);
+        } else if (value) {
+          matchingRules[rule] = true;
+        }
+      }
+    }
+
+    let overridden = false;
+    const override = prospectId != null ? this.overrides[String(prospectId)]?.[kind] : null;
+    if (override) {
+      Object.assign(matchingRules, override);
+      overridden = true;
+      reasons.push(`Per-prospect override applied`);
+    }
+
+    return {
+      input,
+      normalized,
+      riskClass: riskClasses[0],
+      riskClasses,
+      reasons,
+      overridden,
+      matchingRules,
+    };
+  }
+}
+
+module.exports = AdaptiveMatchingRules;
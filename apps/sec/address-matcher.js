@@ -0,0 +1,115 @@
+/**
+ * Address corroboration — prospect CRM address vs. reporting-owner address.
+ *
+ * Forms 3/4/5 carry the owner's address in the XML (rptOwnerStreet1/City/State/
+ * ZipCode) and most ownership filings repeat it in the SEC header. Compared
+ * against the prospect's address, in tiers from strongest to weakest:
+ *
+ *   street          same street line (unit / suite ignored)
+ *   zip             same 5-digit ZIP
+ *   city_state      same city and state
+ *   state           same state only
+ *   state_mismatch  both states known and different — negative evidence
+ *   unmatched       both sides have an address, nothing agrees (no adjustment)
+ *
+ * Each level carries a confidence adjustment (ADDRESS_ADJUSTMENTS). Owners often
+ * file from an office or counsel's address, so agreement is a bonus and only a
+ * clear state mismatch counts against a match.
+ */
+
+const { foldText } = require('./text-normalize');
+
+const ADDRESS_ADJUSTMENTS = {
+  street: 10,
+  zip: 8,
+  city_state: 5,
+  state: 2,
+  unmatched: 0,
+  state_mismatch: -20,
+};
+
+const STATE_CODES = {
+  alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+  connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA',
+  hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY',
+  louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+  mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH',
+  'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+  ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'puerto rico': 'PR', 'rhode island': 'RI',
+  'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+  virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY',
+};
+
+const STREET_WORDS = {
+  street: 'st', avenue: 'ave', road: 'rd', boulevard: 'blvd', drive: 'dr', lane: 'ln', court: 'ct',
+  place: 'pl', parkway: 'pkwy', highway: 'hwy', terrace: 'ter', circle: 'cir', square: 'sq',
+  north: 'n', south: 's', east: 'e', west: 'w', first: '1st', second: '2nd', third: '3rd',
+};
+
+function clean(value) {
+  return foldText(String(value || '')).toLowerCase().replace(/[.,#]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeState(value) {
+  const s = clean(value);
+  if (!s) return null;
+  if (/^[a-z]{2}$/.test(s)) return s.toUpperCase();
+  return STATE_CODES[s] || null;
+}
+
+function normalizeZip(value) {
+  const m = String(value || '').match(/\b(\d{5})(?:-?\d{4})?\b/);
+  return m ? m[1] : null;
+}
+
+function normalizeStreet(value) {
+  const s = clean(value)
+    .replace(/\b(suite|ste|unit|apt|apartment|floor|fl|room|rm)\b.*$/, '')
+    .split(' ')
+    .map(w => STREET_WORDS[w] || w)
+    .join(' ')
+    .trim();
+  return s.length >= 4 ? s : null;
+}
+
+/**
+ * Normalise an address from either side ({ street|street1, city, state, zip }).
+ * Returns null when nothing usable is present.
+ */
+function normalizeAddress(address) {
+  if (!address) return null;
+  const normalized = {
+    street: normalizeStreet(address.street || address.street1),
+    city: clean(address.city) || null,
+    state: normalizeState(address.state),
+    zip: normalizeZip(address.zip),
+  };
+  return Object.values(normalized).some(Boolean) ? normalized : null;
+}
+
+/**
+ * Compare a prospect address with a filing address.
+ *
+ * @returns {{ level: string, adjustment: number, detail: string } | null}
+ *   null when either side has no address
+ */
+function compareAddresses(prospectAddress, filingAddress) {
+  const a = normalizeAddress(prospectAddress);
+  const b = normalizeAddress(filingAddress);
+  if (!a || !b) return null;
+
+  const result = (level, detail) => ({ level, adjustment: ADDRESS_ADJUSTMENTS[level], detail });
+
+  if (a.state && b.state && a.state !== b.state) {
+    return result('state_mismatch', `prospect ${a.state}, filing ${b.state}`);
+  }
+  if (a.street && b.street && a.street === b.street) return result('street', b.street);
+  if (a.zip && b.zip && a.zip === b.zip) return result('zip', b.zip);
+  if (a.city && b.city && a.city === b.city && a.state && a.state === b.state) {
+    return result('city_state', `${b.city}, ${b.state}`);
+  }
+  if (a.state && a.state === b.state) return result('state', b.state);
+  return result('unmatched', '');
+}
+
+module.exports = { compareAddresses, normalizeAddress, ADDRESS_ADJUSTMENTS };
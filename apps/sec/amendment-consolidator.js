@@ -0,0 +1,125 @@
+/**
+ * Amendment Consolidator — collapse an original filing and its amendments.
+ *
+ * 4/A, 8-K/A, SC 13D/A, 13F-HR/A, D/A... are separate submissions, so without
+ * this step the same event shows up once per version, each with its own values.
+ * Matches are grouped by
+ *
+ *   prospect + base form (form type without "/A") + issuer + reporting owner
+ *   + period of report + earliest transaction date
+ *
+ * Schedule 13D/G and Form D amendments restate the whole position / offering
+ * rather than one period, so for those the dates are left out of the key.
+ *
+ * Only groups containing at least one amendment are consolidated. The latest
+ * version (filed date, then accession number) wins; rows from older versions stay
+ * in the results marked superseded, pointing at the winning accession. Every row
+ * of a group carries the same amendment_chain, oldest first.
+ */
+
+// Amendments restate the whole filing, not a period
+const CHAIN_FORMS = new Set(['SC 13D', 'SC 13G', 'SCHEDULE 13D', 'SCHEDULE 13G', 'D']);
+
+function normalizeForm(formType) {
+  return String(formType || '').toUpperCase().replace(/\s+/g, ' ').trim();
+}
+
+function isAmendmentForm(formType) {
+  return /\/A$/.test(normalizeForm(formType));
+}
+
+function baseForm(formType) {
+  return normalizeForm(formType).replace(/\/A$/, '');
+}
+
+function compactDate(value) {
+  const s = String(value || '').trim();
+  let m = s.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (m) return `${m[1]}${m[2]}${m[3]}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (m) return `${m[3]}${m[1].padStart(2, '0')}${m[2].padStart(2, '0')}`;
+  return '';
+}
+
+function issuerKey(r) {
+  const cik = r.issuer_cik ? String(r.issuer_cik).replace(/^0+/, '') : '';
+  if (cik) return `cik:${cik}`;
+  return `name:${(r.issuer_name || '').toLowerCase().replace(/[^a-z0-9]/g, '')}`;
+}
+
+function ownerKey(r) {
+  const cik = r.filing_person_cik ? String(r.filing_person_cik).replace(/^0+/, '') : '';
+  return cik ? `cik:${cik}` : `prospect:${r.prospect_id || r.prospect_name || ''}`;
+}
+
+function earliestTransactionDate(r) {
+  const dates = (r.transactions || []).map(t => compactDate(t.date)).filter(Boolean).sort();
+  return dates[0] || '';
+}
+
+function groupKey(r) {
+  const form = baseForm(r.form_type);
+  const dates = CHAIN_FORMS.has(form) ? ['', ''] : [compactDate(r.period_of_report), earliestTransactionDate(r)];
+  return [r.prospect_id || r.prospect_name || '', form, issuerKey(r), ownerKey(r), ...dates].join('|');
+}
+
+function compareVersions(a, b) {
+  const filed = compactDate(a.filed_date).localeCompare(compactDate(b.filed_date));
+  if (filed !== 0) return filed;
+  return (a.accession_number || '').localeCompare(b.accession_number || '');
+}
+
+/**
+ * Mark superseded rows and attach amendment chains, in place.
+ * Safe to run again on the same results (fields are recomputed).
+ *
+ * @param {object[]} results - UnifiedMatcher results
+ * @returns {{ groups: number, superseded: number }} Amendment groups found, rows superseded
+ */
+function consolidateAmendments(results) {
+  const groups = new Map();
+  for (const r of results) {
+    r.is_amendment = isAmendmentForm(r.form_type);
+    r.superseded = false;
+    r.superseded_by = null;
+    r.amendment_chain = '';
+    if (!r.accession_number) continue;
+    const key = groupKey(r);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+
+  const summary = { groups: 0, superseded: 0 };
+  for (const rows of groups.values()) {
+    if (!rows.some(r => r.is_amendment)) continue;
+
+    // One entry per filing version, oldest first
+    const versions = new Map();
+    for (const r of [...rows].sort(compareVersions)) {
+      if (!versions.has(r.accession_number)) versions.set(r.accession_number, r);
+    }
+    const ordered = Array.from(versions.values());
+    const latest = ordered[ordered.length - 1].accession_number;
+    const chain = ordered.map(r => `${r.accession_number} (${r.form_type})`).join(' → ');
+
+    summary.groups++;
+    for (const r of rows) {
+      r.amendment_chain = chain;
+      if (r.accession_number !== latest) {
+        r.superseded = true;
+        r.superseded_by = latest;
+        summary.superseded++;
+      }
+    }
+  }
+  return summary;
+}
+
+/**
+ * True for rows that are the current version of their filing.
+ */
+function isCurrentVersion(r) {
+  return !r.superseded;
+}
+
+module.exports = { consolidateAmendments, isCurrentVersion, isAmendmentForm, baseForm };
@@ -0,0 +1,275 @@
+/**
+ * Command-line options for run-sec-matcher.js
+ *
+ * Precedence (highest first): CLI flags → --config JSON file → MAX_FILES env → defaults.
+ * Config file keys mirror the long flag names in camelCase, e.g.
+ *
+ *   {
+ *     "prospects": "data/prospects.csv",
+ *     "filings": ["mirror/2025-q4", "mirror/2026-q1"],
+ *     "output": "matches",
+ *     "formats": ["debug", "client", "rollup"],
+ *     "from": "2026-01-01",
+ *     "includeForms": ["4", "144", "8-K"]
+ *   }
+ *
+ * Relative paths in a config file resolve against the config file's directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PRICE_SOURCES: GIFT_PRICE_SOURCES } = require('./gifts');
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,       // Unexpected runtime error
+  USAGE: 2,         // Bad or missing flags / config
+  INPUT_MISSING: 3, // Prospects CSV or filings folder not found
+};
+
+const OUTPUT_FORMATS = ['debug', 'client', 'rollup', 'sales', 'json', 'timeline'];
+const TIMELINE_FORMATS = ['md', 'html'];
+
+const DEFAULTS = {
+  prospects: null,
+  filings: [],
+  output: path.join(__dirname, 'matches'),
+  formats: ['debug', 'client', 'rollup', 'sales'],
+  from: null,
+  to: null,
+  includeForms: [],
+  excludeForms: [],
+  maxFiles: null,
+  workers: 1,
+  ledger: null,
+  identityStore: null,
+  deltaFrom: null,
+  timelineFormat: 'md',
+  timelineMinFilings: 2,
+  pendingDays: 14,
+  signalRules: null,
+  adaptiveOverrides: null,
+  prospectColumns: null,
+  nicknames: null,
+  giftPriceSource: 'filing',
+  closingPrices: null,
+  giftInstitutions: null,
+};
+
+// flag -> { key, type }. "list" flags accept comma-separated values and may repeat.
+const FLAGS = {
+  '--prospects': { key: 'prospects', type: 'path' },
+  '--filings': { key: 'filings', type: 'pathList' },
+  '--output': { key: 'output', type: 'path' },
+  '--format': { key: 'formats', type: 'list' },
+  '--from': { key: 'from', type: 'date' },
+  '--to': { key: 'to', type: 'date' },
+  '--include-forms': { key: 'includeForms', type: 'list' },
+  '--exclude-forms': { key: 'excludeForms', type: 'list' },
+  '--max-files': { key: 'maxFiles', type: 'int' },
+  '--workers': { key: 'workers', type: 'int' },
+  '--ledger': { key: 'ledger', type: 'path' },
+  '--identity-store': { key: 'identityStore', type: 'path' },
+  '--delta-from': { key: 'deltaFrom', type: 'path' },
+  '--timeline-format': { key: 'timelineFormat', type: 'string' },
+  '--timeline-min-filings': { key: 'timelineMinFilings', type: 'int' },
+  '--pending-days': { key: 'pendingDays', type: 'int' },
+  '--signal-rules': { key: 'signalRules', type: 'path' },
+  '--adaptive-overrides': { key: 'adaptiveOverrides', type: 'path' },
+  '--prospect-columns': { key: 'prospectColumns', type: 'path' },
+  '--nicknames': { key: 'nicknames', type: 'path' },
+  '--gift-price-source': { key: 'giftPriceSource', type: 'string' },
+  '--closing-prices': { key: 'closingPrices', type: 'path' },
+  '--gift-institutions': { key: 'giftInstitutions', type: 'path' },
+  '--config': { key: 'config', type: 'path' },
+};
+
+const HELP_TEXT = `Usage: node run-sec-matcher.js --prospects <csv> --filings <dir> [options]
+
+Required:
+  --prospects <path>           Prospect CSV exported from the CRM
+  --filings <dir>              Folder of EDGAR .txt submissions (repeatable)
+
+Options:
+  --output <dir>               Output folder (default: apps/sec/matches)
+  --format <list>              Comma-separated: ${OUTPUT_FORMATS.join(', ')} (default: debug,client,rollup,sales)
+  --from <YYYY-MM-DD>          Only filings filed on or after this date
+  --to <YYYY-MM-DD>            Only filings filed on or before this date
+  --include-forms <list>       Only these form types, e.g. 4,144,8-K (amendments included)
+  --exclude-forms <list>       Skip these form types, e.g. 10-K,424B2
+  --max-files <n>              Process only the first n filings (testing)
+  --workers <n>                Worker threads for filing processing (default: 1)
+  --ledger <path>              Processed-filings ledger (JSONL); reruns only process new
+                               filings and interrupted runs resume where they stopped
+  --identity-store <path>      CIK identity store (JSON); CIKs of confirmed matches are
+                               remembered and match their prospect in later runs
+  --delta-from <path>          Previous run (JSON / debug CSV, or its output folder for the
+                               newest one); writes new / changed / disappeared matches
+  --timeline-format <md|html>  Per-prospect timeline file format with --format timeline (default: md)
+  --timeline-min-filings <n>   Only build timelines for prospects with n+ filings (default: 2)
+  --pending-days <n>           Flag Form 144 notices with no matching Form 4 sale after n days
+                               as liquidity pending (default: 14)
+  --signal-rules <path>        Signal tier rule file (default: config/signal-rules.json)
+  --adaptive-overrides <path>  Per-prospect adaptive matching overrides (JSON)
+  --prospect-columns <path>    Prospect CSV column map (default: config/prospect-columns.json)
+  --nicknames <path>           Nickname groups / pair weights layered on config/nicknames.json
+  --gift-price-source <${GIFT_PRICE_SOURCES.join('|')}>
+                               How to value unpriced stock gifts: nearest price in the same
+                               filing, or the closing price from --closing-prices (default: filing)
+  --closing-prices <path>      Closing-price CSV (ticker,date,close) for --gift-price-source closing
+  --gift-institutions <path>   Our institution and peers (JSON); flags stock gifts made to them
+  --config <path>              JSON file with any of the options above (camelCase keys)
+  -h, --help                   Show this help
+
+Exit codes:
+  ${EXIT_CODES.OK}  success (including runs with no matches)
+  ${EXIT_CODES.FAILURE}  unexpected error
+  ${EXIT_CODES.USAGE}  invalid flags or config
+  ${EXIT_CODES.INPUT_MISSING}  prospects CSV or filings folder not found
+`;
+
+function usageError(message) {
+  const err = new Error(message);
+  err.exitCode = EXIT_CODES.USAGE;
+  return err;
+}
+
+function splitList(value) {
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function coerce(flag, type, raw, baseDir) {
+  switch (type) {
+    case 'path':
+      return path.resolve(baseDir, String(raw));
+    case 'pathList':
+      return (Array.isArray(raw) ? raw : splitList(raw)).map(p => path.resolve(baseDir, String(p)));
+    case 'list':
+      return Array.isArray(raw) ? raw.map(String) : splitList(raw);
+    case 'int': {
+      const n = Number(raw);
+      if (!Number.isInteger(n) || n <= 0) throw usageError(`${flag} expects a positive integer, got "${raw}"`);
+      return n;
+    }
+    case 'date': {
+      const s = String(raw);
+      // Date.parse rolls impossible dates over (2026-02-31 → March 3), so round-trip it
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(s) || Number.isNaN(Date.parse(s)) || new Date(s).toISOString().slice(0, 10) !== s) {
+        throw usageError(`${flag} expects a date as YYYY-MM-DD, got "${raw}"`);
+      }
+      return s;
+    }
+    case 'string':
+      return String(raw);
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Parse argv (without node + script) into raw flag values.
+ * Accepts both "--flag value" and "--flag=value".
+ */
+function parseCliArgs(argv) {
+  const values = {};
+  let help = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+    if (token === '-h' || token === '--help') {
+      help = true;
+      continue;
+    }
+
+    let flag = token;
+    let value;
+    const eq = token.indexOf('=');
+    if (token.startsWith('--') && eq !== -1) {
+      flag = token.slice(0, eq);
+      value = token.slice(eq + 1);
+    }
+
+    const spec = FLAGS[flag];
+    if (!spec) throw usageError(`Unknown option: ${token}`);
+
+    if (value === undefined) {
+      value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) throw usageError(`${flag} requires a value`);
+      i++;
+    }
+
+    const coerced = coerce(flag, spec.type, value, process.cwd());
+    if (spec.type === 'pathList' || spec.type === 'list') {
+      values[spec.key] = [...(values[spec.key] || []), ...coerced];
+    } else {
+      values[spec.key] = coerced;
+    }
+  }
+
+  return { values, help };
+}
+
+/**
+ * Read a --config file and coerce its values like the matching flags.
+ */
+function loadConfigFile(configPath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (err) {
+    throw usageError(`Could not read config ${configPath}: ${err.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw usageError(`Config ${configPath} must be a JSON object`);
+  }
+
+  const baseDir = path.dirname(configPath);
+  const byKey = {};
+  for (const [flag, spec] of Object.entries(FLAGS)) byKey[spec.key] = { flag, ...spec };
+
+  const values = {};
+  for (const [key, raw] of Object.entries(data)) {
+    const spec = byKey[key];
+    if (!spec || key === 'config') throw usageError(`Unknown key "${key}" in config ${configPath}`);
+    if (raw == null) continue;
+    values[key] = coerce(`"${key}"`, spec.type, raw, baseDir);
+  }
+  return values;
+}
+
+/**
+ * Merge defaults, env, config file and CLI flags; validate the result.
+ */
+function resolveOptions(argv, env = process.env) {
+  const { values: cli, help } = parseCliArgs(argv);
+  if (help) return { help: true };
+
+  const fromConfig = cli.config ? loadConfigFile(cli.config) : {};
+  const fromEnv = {};
+  if (env.MAX_FILES) fromEnv.maxFiles = coerce('MAX_FILES', 'int', env.MAX_FILES, process.cwd());
+
+  const options = { ...DEFAULTS, ...fromEnv, ...fromConfig, ...cli };
+  delete options.config;
+
+  if (!options.prospects) throw usageError('Missing required option: --prospects <path>');
+  if (!options.filings || options.filings.length === 0) throw usageError('Missing required option: --filings <dir>');
+
+  const badFormat = options.formats.find(f => !OUTPUT_FORMATS.includes(f));
+  if (badFormat) throw usageError(`Unknown output format "${badFormat}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+  if (!TIMELINE_FORMATS.includes(options.timelineFormat)) {
+    throw usageError(`Unknown timeline format "${options.timelineFormat}" (expected ${TIMELINE_FORMATS.join(', ')})`);
+  }
+  if (!GIFT_PRICE_SOURCES.includes(options.giftPriceSource)) {
+    throw usageError(`Unknown gift price source "${options.giftPriceSource}" (expected ${GIFT_PRICE_SOURCES.join(', ')})`);
+  }
+  if (options.giftPriceSource === 'closing' && !options.closingPrices) {
+    throw usageError('--gift-price-source closing requires --closing-prices <path>');
+  }
+  if (options.from && options.to && options.from > options.to) {
+    throw usageError(`--from ${options.from} is after --to ${options.to}`);
+  }
+
+  return { help: false, options };
+}
+
+module.exports = { resolveOptions, parseCliArgs, loadConfigFile, HELP_TEXT, EXIT_CODES, OUTPUT_FORMATS };
@@ -0,0 +1,228 @@
+/**
+ * Delta Report — what changed since the previous run.
+ *
+ * Compares the current result set with a previous run's output, keyed by
+ * prospect_id + accession_number:
+ *
+ *   NEW          in this run only
+ *   CHANGED      in both, but match_verdict or match_confidence moved
+ *   DISAPPEARED  in the previous run only (prospect removed, matcher tightened...)
+ *
+ * The previous run can be a sec_matches_<ts>.json or sec_matches_debug_<ts>.csv
+ * written by run-sec-matcher.js, or the output folder itself (newest run wins).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { DEBUG_CSV_COLUMNS } = require('./UnifiedMatcher');
+const { isCurrentVersion } = require('./amendment-consolidator');
+
+const RUN_FILE_RE = /^sec_matches_(debug_)?(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2})\.(json|csv)$/;
+
+const CHANGE_ORDER = { NEW: 0, CHANGED: 1, DISAPPEARED: 2 };
+
+function resultKey(r) {
+  return `${r.prospect_id || ''}|${r.accession_number || ''}`;
+}
+
+/**
+ * Resolve a --delta-from target to a previous run file.
+ * A folder resolves to its newest timestamped JSON / debug CSV (JSON preferred
+ * for the same timestamp). Returns null when the folder has no previous run.
+ *
+ * @param {string} target - File or folder
+ */
+function findPreviousRun(target) {
+  if (!fs.existsSync(target)) return null;
+  if (!fs.statSync(target).isDirectory()) return target;
+
+  const candidates = fs.readdirSync(target)
+    .map(f => ({ f, m: f.match(RUN_FILE_RE) }))
+    .filter(({ m }) => m)
+    .sort((a, b) => {
+      if (a.m[2] !== b.m[2]) return b.m[2].localeCompare(a.m[2]);
+      return (a.m[3] === 'json' ? 0 : 1) - (b.m[3] === 'json' ? 0 : 1);
+    });
+
+  return candidates.length ? path.join(target, candidates[0].f) : null;
+}
+
+/**
+ * Load result records from a previous run's JSON or debug CSV.
+ * CSV column titles are mapped back to result field names.
+ */
+function loadRunResults(filePath) {
+  if (filePath.endsWith('.json')) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return Promise.resolve(Array.isArray(data) ? data : data.results || []);
+  }
+
+  const idByTitle = new Map(DEBUG_CSV_COLUMNS.map(c => [c.title, c.id]));
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('data', (row) => {
+        const record = {};
+        for (const [title, value] of Object.entries(row)) record[idByTitle.get(title) || title] = value;
+        if (record.match_confidence !== undefined && record.match_confidence !== '') {
+          record.match_confidence = Number(record.match_confidence);
+        }
+        if (record.signal_tier) record.signal_tier = Number(record.signal_tier);
+        if (record.superseded !== undefined) record.superseded = record.superseded === 'true';
+        rows.push(record);
+      })
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Diff two result sets. Rows superseded by an amendment are left out of both
+ * sides, so an amended filing shows up once, as its latest version.
+ * @returns {{ new: object[], changed: object[], disappeared: object[], unchanged: number }}
+ */
+function computeDelta(previousResults, currentResults) {
+  const previous = new Map();
+  for (const r of previousResults.filter(isCurrentVersion)) {
+    const key = resultKey(r);
+    if (!previous.has(key)) previous.set(key, r);
+  }
+
+  const delta = { new: [], changed: [], disappeared: [], unchanged: 0 };
+  const seen = new Set();
+  for (const r of currentResults.filter(isCurrentVersion)) {
+    const key = resultKey(r);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const before = previous.get(key);
+    if (!before) {
+      delta.new.push(r);
+      continue;
+    }
+
+    const changes = [];
+    if ((before.match_verdict || '') !== (r.match_verdict || '')) {
+      changes.push(`verdict ${before.match_verdict || 'none'} → ${r.match_verdict || 'none'}`);
+    }
+    if (Number(before.match_confidence) !== Number(r.match_confidence)) {
+      changes.push(`confidence ${before.match_confidence}% → ${r.match_confidence}%`);
+    }
+    if (changes.length) {
+      delta.changed.push({ ...r, previous_verdict: before.match_verdict, previous_confidence: before.match_confidence, changes });
+    } else {
+      delta.unchanged++;
+    }
+  }
+
+  for (const [key, r] of previous) {
+    if (!seen.has(key)) delta.disappeared.push(r);
+  }
+  return delta;
+}
+
+function deltaRows(delta) {
+  const rows = [
+    ...delta.new.map(r => ({ change_type: 'NEW', r, changes: [] })),
+    ...delta.changed.map(r => ({ change_type: 'CHANGED', r, changes: r.changes })),
+    ...delta.disappeared.map(r => ({ change_type: 'DISAPPEARED', r, changes: [] })),
+  ];
+  rows.sort((a, b) => {
+    if (a.change_type !== b.change_type) return CHANGE_ORDER[a.change_type] - CHANGE_ORDER[b.change_type];
+    if ((a.r.signal_tier || 9) !== (b.r.signal_tier || 9)) return (a.r.signal_tier || 9) - (b.r.signal_tier || 9);
+    return (a.r.prospect_name || '').localeCompare(b.r.prospect_name || '');
+  });
+
+  return rows.map(({ change_type, r, changes }) => {
+    // DISAPPEARED rows carry the previous run's record; CHANGED rows carry both
+    const previous = change_type === 'CHANGED'
+      ? { verdict: r.previous_verdict, confidence: r.previous_confidence }
+      : change_type === 'DISAPPEARED' ? { verdict: r.match_verdict, confidence: r.match_confidence } : {};
+    const current = change_type === 'DISAPPEARED' ? {} : { verdict: r.match_verdict, confidence: r.match_confidence };
+
+    return {
+      change_type,
+      prospect_id: r.prospect_id || '',
+      prospect_name: r.prospect_name || '',
+      accession_number: r.accession_number || '',
+      form_type: r.form_type || '',
+      filed_date: r.filed_date || '',
+      issuer_name: r.issuer_name || '',
+      signal_tier_label: r.signal_tier_label || '',
+      previous_verdict: previous.verdict || '',
+      current_verdict: current.verdict || '',
+      previous_confidence: previous.confidence ?? '',
+      current_confidence: current.confidence ?? '',
+      change_summary: changes.join('; '),
+      gift_officer_action: change_type === 'DISAPPEARED' ? '' : r.gift_officer_action || '',
+    };
+  });
+}
+
+async function exportDeltaCsv(delta, outputPath) {
+  const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+  const writer = createCsvWriter({
+    path: outputPath,
+    header: [
+      { id: 'change_type', title: 'Change' },
+      { id: 'prospect_id', title: 'Prospect ID' },
+      { id: 'prospect_name', title: 'Prospect Name' },
+      { id: 'accession_number', title: 'Accession Number' },
+      { id: 'form_type', title: 'Form Type' },
+      { id: 'filed_date', title: 'Filed Date' },
+      { id: 'issuer_name', title: 'Issuer/Company' },
+      { id: 'signal_tier_label', title: 'Signal Category' },
+      { id: 'previous_verdict', title: 'Previous Verdict' },
+      { id: 'current_verdict', title: 'Current Verdict' },
+      { id: 'previous_confidence', title: 'Previous Confidence' },
+      { id: 'current_confidence', title: 'Current Confidence' },
+      { id: 'change_summary', title: 'What Changed' },
+      { id: 'gift_officer_action', title: 'Gift Officer Action' },
+    ],
+  });
+  await writer.writeRecords(deltaRows(delta));
+  return outputPath;
+}
+
+function exportDeltaJson(delta, outputPath, previousPath) {
+  const data = {
+    comparedTo: previousPath,
+    summary: { new: delta.new.length, changed: delta.changed.length, disappeared: delta.disappeared.length, unchanged: delta.unchanged },
+    new: delta.new,
+    changed: delta.changed,
+    disappeared: delta.disappeared,
+  };
+  fs.writeFileSync(outputPath, JSON.stringify(data, null, 2), 'utf-8');
+  return outputPath;
+}
+
+function printDeltaSummary(delta, previousPath) {
+  console.log('\n' + '='.repeat(80));
+  console.log('CHANGES SINCE LAST RUN');
+  console.log('='.repeat(80));
+  console.log(`Compared to:               ${previousPath}`);
+  console.log(`  New matches:             ${delta.new.length}`);
+  console.log(`  Changed verdict/conf.:   ${delta.changed.length}`);
+  console.log(`  Disappeared:             ${delta.disappeared.length}`);
+  console.log(`  Unchanged:               ${delta.unchanged}`);
+
+  const highlights = deltaRows(delta).filter(r => r.change_type !== 'DISAPPEARED').slice(0, 10);
+  if (highlights.length) {
+    console.log('');
+    for (const r of highlights) {
+      const detail = r.change_type === 'NEW' ? `${r.current_verdict} ${r.current_confidence}%` : r.change_summary;
+      console.log(`  [${r.change_type}] ${r.prospect_name} | ${r.form_type} | ${r.issuer_name || 'N/A'} | ${detail}`);
+    }
+  }
+}
+
+module.exports = {
+  findPreviousRun,
+  loadRunResults,
+  computeDelta,
+  exportDeltaCsv,
+  exportDeltaJson,
+  printDeltaSummary,
+};
@@ -0,0 +1,117 @@
+/**
+ * Entity reporting owners — trusts, foundations, family offices, estates and
+ * holding companies that file in place of the person behind them.
+ *
+ *   "The John and Mary Smith Foundation"   foundation     john smith, mary smith
+ *   "SMITH JOHN A REVOCABLE TRUST"         trust          smith john a
+ *   "Trust FBO Jane Doe"                   trust          jane doe
+ *   "Estate of Robert Brown"               estate         robert brown
+ *   "Smith Family Office LLC"              family_office  family name: smith
+ *   "JS Capital LLC"                       company        (no names)
+ *
+ * parseEntityName() only reads the name. UnifiedMatcher links the personal
+ * names it finds to prospects, and recognizes entities listed on a prospect
+ * record (the "entities" column) by entityKey().
+ */
+
+const { foldText } = require('./text-normalize');
+
+// First kind whose pattern matches wins
+const ENTITY_KINDS = [
+  ['estate', /\bestate of\b/],
+  ['family_office', /\bfamily (office|offices|holdings|investments?|partners|partnership|capital|ventures|lp|llc)\b/],
+  ['trust', /\b(trusts?|trustees?|ttees?|revocable|irrevocable|grat|gst|fbo|f\/b\/o|u\/a|uad|dtd)\b/],
+  ['foundation', /\b(foundation|charitable|endowment|philanthropies)\b/],
+  ['company', /\b(llc|l l c|lp|l p|llp|ltd|limited|inc|incorporated|corp|corporation|co|company|partners|partnership|holdings?|capital|investments?|ventures|management|associates|advisors|fund|group)\b/],
+];
+
+// Where one name ends and another begins ("John Smith, Trustee of the Mary Smith Trust")
+const SEGMENT_BREAK_RE = /,|\bf\/b\/o\b|\bfbo\b|\bfor the benefit of\b|\btrustees?\b|\bttees?\b|\bas\b|\bunder\b/;
+
+// Descriptive words that are not part of anyone's name
+const ENTITY_WORDS = new Set([
+  'the', 'of', 'estate', 'trust', 'trusts', 'revocable', 'irrevocable', 'living', 'family', 'foundation',
+  'charitable', 'endowment', 'philanthropies', 'dated', 'dtd', 'uad', 'grat', 'gst', 'crt', 'crut', 'clat',
+  'qtip', 'exempt', 'nonexempt', 'marital', 'residuary', 'descendants', 'childrens', 'grandchildrens', 'agreement',
+  'declaration', 'office', 'offices', 'holding', 'holdings', 'investment', 'investments', 'partners',
+  'partnership', 'capital', 'ventures', 'management', 'associates', 'advisors', 'fund', 'group',
+  'llc', 'llp', 'lp', 'ltd', 'limited', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company',
+  'ii', 'iii', 'iv',
+]);
+
+// Legal forms dropped from an entity's name before comparing it with another
+const LEGAL_FORM_RE = /\b(the|llc|l l c|lp|l p|llp|ltd|limited|inc|incorporated|corp|corporation|co|company)\b/g;
+
+function normalize(name) {
+  return foldText(String(name || ''))
+    .toLowerCase()
+    .replace(/\bu\/a\b/g, ' ')
+    .replace(/\b\d{1,2}[/-]\d{1,2}[/-]\d{2,4}\b/g, ' ')
+    .replace(/[^\p{L}\p{N}\s,&/']/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Key for comparing entity names: folded, lower-case, no punctuation or legal
+ * form ("The JS Capital, L.L.C." → "js capital").
+ */
+function entityKey(name) {
+  return normalize(name)
+    .replace(/[,&/']/g, ' ')
+    .replace(LEGAL_FORM_RE, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split one segment into personal names. Given names listed before a shared
+ * surname take it ("john and mary smith"); in surname-first order they take
+ * it from the front ("smith john and mary" → "smith mary").
+ */
+function segmentPersons(tokens) {
+  const groups = [[]];
+  for (const token of tokens) {
+    if (token === 'and' || token === '&') groups.push([]);
+    else groups[groups.length - 1].push(token);
+  }
+  const named = groups.filter(g => g.length > 0);
+  const fullIndex = named.findIndex(g => g.length >= 2);
+  if (fullIndex === -1) return [];
+
+  return named.map((group, i) => {
+    if (group.length >= 2) return group.join(' ');
+    const full = named[fullIndex];
+    return i < fullIndex ? `${group[0]} ${full[full.length - 1]}` : `${full[0]} ${group[0]}`;
+  });
+}
+
+/**
+ * Read an entity reporting owner's name.
+ * @returns {{ kind: string, persons: string[], family: string|null } | null}
+ *   null when the name does not look like an entity
+ */
+function parseEntityName(name) {
+  const text = normalize(name);
+  const kind = ENTITY_KINDS.find(([, re]) => re.test(text))?.[0];
+  if (!kind) return null;
+
+  const persons = [];
+  const singles = [];
+  for (const segment of text.split(SEGMENT_BREAK_RE)) {
+    const tokens = segment.split(/[\s/]+/)
+      .map(t => t.replace(/'/g, ''))
+      .filter(t => t && !ENTITY_WORDS.has(t) && !/^\d+$/.test(t));
+    const words = tokens.filter(t => t !== 'and' && t !== '&');
+    if (words.length === 1) singles.push(words[0]);
+    else if (words.length > 1) persons.push(...segmentPersons(tokens));
+  }
+
+  // "Smith Family Trust": only a family name, and only for personal vehicles
+  const family = persons.length === 0 && kind !== 'company' && singles.length === 1 && singles[0].length >= 2
+    ? singles[0]
+    : null;
+  return { kind, persons: [...new Set(persons)].filter(p => p.replace(/\s/g, '').length >= 4), family };
+}
+
+module.exports = { parseEntityName, entityKey };
@@ -69,6 +69,12 @@ class FalsePositiveDetector {
             reasons.push(`Uncertain match flagged by matcher`);
         }
 
+        // Owner is a family trust / office matched on the family name alone
+        if (structuredType === 'entity_family') {
+            score += 25;
+            reasons.push(`Entity owner matched on family name only`);
+        }
+
         // Structured matches without company verification are higher risk
         if (matchMethod === 'structured' && !companyVerified) {
             score += 20;
@@ -165,8 +171,43 @@ class FalsePositiveDetector {
             reasons.push(`Filing pattern associated with encoded data`);
         }
 
-        // Cap at 100
-        score = Math.min(100, score);
+        // RULE 7: Reporting-owner address vs. prospect address (structured matches)
+        const addressMatch = (match.address_match || '').toString();
+        if (addressMatch === 'state_mismatch') {
+            score += 30;
+            reasons.push(`Filing address in a different state (${match.address_detail})`);
+        } else if (addressMatch === 'street' || addressMatch === 'zip') {
+            score -= 20;
+            reasons.push(`Filing address corroborates prospect (${addressMatch}: ${match.address_detail})`);
+        } else if (addressMatch === 'city_state') {
+            score -= 10;
+            reasons.push(`Filing address corroborates prospect (city/state: ${match.address_detail})`);
+        }
+
+        // RULE 8: Name matched only through an equivalence (romanization, joined
+        // given names, sound-alike spelling), not as the prospect spells it
+        const equivalence = (match.name_equivalence || '').toString();
+        if (equivalence === 'phonetic') {
+            score += 25;
+            reasons.push(`Name matched by sound only (phonetic equivalence)`);
+        } else if (equivalence === 'romanization') {
+            score += 10;
+            reasons.push(`Name matched through an alternative romanization`);
+        } else if (equivalence === 'given_names_joined') {
+            score += 5;
+            reasons.push(`Name matched with given names joined/split`);
+        }
+
+        // RULE 9: First name matched through an ambiguous nickname
+        // (christine → chris, when the filing's Chris is as often a Christopher)
+        const nicknameWeight = Number(match.nickname_weight);
+        if (match.nickname_pair && nicknameWeight < 1) {
+            score += Math.round((1 - nicknameWeight) * 20);
+            reasons.push(`Ambiguous nickname ${match.nickname_pair} (weight ${nicknameWeight})`);
+        }
+
+        // Clamp to 0-100
+        score = Math.max(0, Math.min(100, score));
 
         return {
             score,
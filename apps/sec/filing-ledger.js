@@ -0,0 +1,136 @@
+/**
+ * Filing Ledger — persistent record of filings already processed.
+ *
+ * Makes runs incremental and resumable. The ledger is a JSON Lines file:
+ *
+ *   {"type":"header","fingerprint":{...},"createdAt":"..."}
+ *   {"type":"filing","accessionNumber":"0000950170-24-000123","status":"processed",...,"results":[...],"stats":{...}}
+ *
+ * Each filing is appended as soon as it finishes, so an interrupted run loses at
+ * most the filing in flight. On the next run, filings already in the ledger are
+ * replayed (results + stats) instead of re-parsed, and only new ones are processed.
+ *
+ * The header fingerprint holds a hash of the prospect list, the matcher version and
+ * a hash of the rule files. If any of them differ from the current run, every
+ * recorded match is stale and the ledger starts over.
+ *
+ * Entries are keyed by accession number, taken from the EDGAR filename
+ * ("0000950170-24-000123.txt"). Filings skipped by date/form filters and filings
+ * that could not be read are not recorded, so they are reconsidered next run.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const LEDGER_FORMAT = 1;
+
+/**
+ * Stable SHA-256 of any JSON-serialisable value.
+ */
+function hashValue(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex');
+}
+
+/**
+ * Ledger key for a filing file: the accession number EDGAR uses as its filename.
+ */
+function accessionFromFilename(filename) {
+  return path.basename(filename).replace(/\.txt$/i, '');
+}
+
+class FilingLedger {
+  /**
+   * @param {string} ledgerPath - JSONL file (created if missing)
+   * @param {object} fingerprint - { prospectListHash, matcherVersion, rulesHash }
+   */
+  constructor(ledgerPath, fingerprint) {
+    this.path = ledgerPath;
+    this.fingerprint = fingerprint;
+    this.entries = new Map();
+    this.resetReason = null;
+  }
+
+  /**
+   * Load existing entries, or start a fresh ledger when the fingerprint changed.
+   * A truncated last line (crash mid-write) is ignored.
+   */
+  open() {
+    let lines = [];
+    if (fs.existsSync(this.path)) {
+      const content = fs.readFileSync(this.path, 'utf-8');
+      lines = content.split('\n').filter(Boolean);
+      // Terminate a torn last line so the next append starts on its own line
+      if (content && !content.endsWith('\n')) fs.appendFileSync(this.path, '\n');
+    }
+
+    let header = null;
+    const entries = new Map();
+    for (const line of lines) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (record.type === 'header') header = record;
+      else if (record.type === 'filing' && record.accessionNumber) entries.set(record.accessionNumber, record);
+    }
+
+    const staleField = header ? this._staleField(header) : null;
+    if (!header || staleField) {
+      this.resetReason = !header
+        ? (lines.length ? 'ledger header missing' : null)
+        : `${staleField} changed`;
+      this._rewrite();
+      return this;
+    }
+
+    this.entries = entries;
+    return this;
+  }
+
+  _staleField(header) {
+    if (header.format !== LEDGER_FORMAT) return 'ledger format';
+    for (const [key, value] of Object.entries(this.fingerprint)) {
+      if (header.fingerprint?.[key] !== value) return key;
+    }
+    return null;
+  }
+
+  _rewrite() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const header = { type: 'header', format: LEDGER_FORMAT, fingerprint: this.fingerprint, createdAt: new Date().toISOString() };
+    fs.writeFileSync(this.path, JSON.stringify(header) + '\n');
+    this.entries = new Map();
+  }
+
+  has(accessionNumber) {
+    return this.entries.has(accessionNumber);
+  }
+
+  get(accessionNumber) {
+    return this.entries.get(accessionNumber) || null;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Append one processed filing. Synchronous so the line is on disk before the
+   * next filing starts.
+   *
+   * @param {object} entry - { accessionNumber, filename, status, formType, filedDate,
+   *   parser, parseError, results, stats }
+   */
+  record(entry) {
+    const record = { type: 'filing', ...entry, processedAt: new Date().toISOString() };
+    fs.appendFileSync(this.path, JSON.stringify(record) + '\n');
+    this.entries.set(entry.accessionNumber, record);
+  }
+}
+
+module.exports = FilingLedger;
+module.exports.hashValue = hashValue;
+module.exports.accessionFromFilename = accessionFromFilename;
@@ -0,0 +1,31 @@
+/**
+ * Filing Worker — worker-thread side of UnifiedMatcher.processFilings({ workers }).
+ *
+ * Each worker rebuilds the prospect index and Aho-Corasick automaton from the
+ * prospects passed in workerData (the automaton itself can't be shared across
+ * threads), then answers one message per filing with the results and stats that
+ * filing produced. The main thread merges them back in filename order.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const UnifiedMatcher = require('./UnifiedMatcher');
+const { setSignalRules } = require('./signal-classifier');
+
+if (workerData.signalRules) setSignalRules(workerData.signalRules);
+
+const matcher = new UnifiedMatcher({
+  adaptiveOverrides: workerData.adaptiveOverrides,
+  nicknames: workerData.nicknames,
+  gifts: workerData.gifts,
+  learnedCiks: workerData.learnedCiks,
+  quiet: true,
+});
+matcher.prospects = workerData.prospects;
+matcher._buildIndex();
+
+const filter = matcher._buildFilingFilter(workerData.filterOptions);
+
+parentPort.on('message', (task) => {
+  const output = matcher._runFilingTask(task, filter);
+  parentPort.postMessage({ index: task.index, ...output });
+});
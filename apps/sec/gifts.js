@@ -0,0 +1,228 @@
+/**
+ * Stock gifts (Form 4 code G) — what they were worth and who received them.
+ *
+ * Gifts are usually reported without a price, so their value is estimated from
+ * one of two price sources:
+ *
+ *   filing   (default) the price of the open-market trade (code S, P or F) in
+ *            the same filing nearest in date to the gift, preferring the same
+ *            security; exercise, conversion and award prices are not market prices
+ *   closing  the issuer's closing price on the gift date (or the last close
+ *            within 5 days before it) from a local file, falling back to the
+ *            same-filing price when the file has no close for it
+ *
+ * The closing-price file (--closing-prices) is a CSV with a header row:
+ *
+ *   ticker,date,close
+ *   ACME,2024-01-03,101.25
+ *
+ * Donees are read from the footnotes on the gift ("a bona fide gift to the
+ * Smith Family Foundation") and, for shares received by a charitable vehicle
+ * the insider controls, from natureOfOwnership ("By Smith Family Foundation").
+ *
+ * An institutions file (--gift-institutions) flags gifts to our institution
+ * and to peers:
+ *
+ *   {
+ *     "institution": { "name": "Example University", "aliases": ["EU Foundation"] },
+ *     "peers": [{ "name": "Stanford University", "aliases": ["Leland Stanford Junior University"] }]
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { foldText } = require('./text-normalize');
+
+const PRICE_SOURCES = ['filing', 'closing'];
+const CLOSING_PRICE_LOOKBACK_DAYS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Codes whose reported price is the market price: open-market sale / purchase, tax withholding
+const MARKET_PRICE_CODES = new Set(['S', 'P', 'F']);
+
+// First type whose pattern matches wins
+const DONEE_TYPES = [
+  ['daf', /\bdonor[- ]?advised\b|\bdaf\b|\b(fidelity|schwab|vanguard|goldman sachs) charitable\b|\bnational philanthropic trust\b/],
+  ['family_foundation', /\bfamily (charitable )?foundation\b/],
+  ['university', /\buniversity\b|\bcollege\b|\binstitute of technology\b|\bschool\b|\bacademy\b/],
+  ['foundation', /\bfoundation\b/],
+  ['charity', /\bcharit|\bchurch\b|\bhospital\b|\bmuseum\b|\bsociety\b|\bministr|\bcommunity fund\b|\bunited way\b|\b501\s?\(?c\)?/],
+  ['family', /\bchild(ren)?\b|\bsons?\b|\bdaughters?\b|\bgrandchild|\bspouse\b|\bfamily member|\btrusts?\b/],
+];
+
+const CHARITABLE_CATEGORIES = new Set(['crt', 'foundation', 'daf']);
+
+/**
+ * Read a closing-price CSV into { TICKER: [[date, close], ...] } (dates ascending).
+ * Plain object so it hashes into the ledger fingerprint and crosses to workers.
+ */
+function loadClosingPrices(filePath) {
+  const resolved = path.resolve(filePath);
+  const lines = fs.readFileSync(resolved, 'utf-8').split(/\r?\n/).filter(line => line.trim());
+  const columns = (lines.shift() || '').toLowerCase().split(',').map(c => c.trim());
+  const [tickerAt, dateAt, closeAt] = ['ticker', 'date', 'close'].map(c => columns.indexOf(c));
+  if (tickerAt === -1 || dateAt === -1 || closeAt === -1) {
+    throw new Error(`Closing prices ${resolved}: header must include ticker, date and close`);
+  }
+
+  const prices = {};
+  lines.forEach((line, i) => {
+    const cells = line.split(',').map(c => c.trim());
+    const ticker = (cells[tickerAt] || '').toUpperCase();
+    const date = cells[dateAt];
+    const close = Number(cells[closeAt]);
+    if (!ticker || !/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !(close > 0)) {
+      throw new Error(`Closing prices ${resolved}: line ${i + 2} needs a ticker, a YYYY-MM-DD date and a positive close`);
+    }
+    (prices[ticker] = prices[ticker] || []).push([date, close]);
+  });
+  for (const rows of Object.values(prices)) rows.sort((a, b) => a[0].localeCompare(b[0]));
+  return prices;
+}
+
+/**
+ * Read and validate an institutions file ({ institution, peers }).
+ */
+function loadGiftInstitutions(filePath) {
+  const resolved = path.resolve(filePath);
+  const data = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  if (!data || typeof data !== 'object' || (data.peers !== undefined && !Array.isArray(data.peers))) {
+    throw new Error(`Gift institutions ${resolved}: expected { "institution": {...}, "peers": [...] }`);
+  }
+  for (const entry of [data.institution, ...(data.peers || [])].filter(e => e != null)) {
+    if (!entry.name || typeof entry.name !== 'string' || (entry.aliases !== undefined && !Array.isArray(entry.aliases))) {
+      throw new Error(`Gift institutions ${resolved}: each institution needs a "name" and optional "aliases" list (got ${JSON.stringify(entry)})`);
+    }
+  }
+  return data;
+}
+
+function institutionKey(name) {
+  return foldText(String(name || ''))
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\b(the|inc|incorporated)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Our institution or a peer named by a donee, or null.
+ * @returns {{ relation: 'ours'|'peer', name: string } | null}
+ */
+function matchInstitution(donee, institutions) {
+  if (!donee || !institutions) return null;
+  const key = ` ${institutionKey(donee)} `;
+  const candidates = [
+    ...(institutions.institution ? [['ours', institutions.institution]] : []),
+    ...(institutions.peers || []).map(peer => ['peer', peer]),
+  ];
+  for (const [relation, entry] of candidates) {
+    const names = [entry.name, ...(entry.aliases || [])].map(institutionKey).filter(Boolean);
+    if (names.some(name => key.includes(` ${name} `))) return { relation, name: entry.name };
+  }
+  return null;
+}
+
+/**
+ * Kind of donee: daf, family_foundation, university, foundation, charity, family or other.
+ * @param {string} donee
+ * @param {string[]} [familyNames] - Reporting owners' surnames ("Smith Foundation" is a family foundation)
+ */
+function classifyDonee(donee, familyNames = []) {
+  const text = institutionKey(donee);
+  const type = DONEE_TYPES.find(([, re]) => re.test(text))?.[0] || 'other';
+  if (type === 'foundation' && familyNames.some(name => name && new RegExp(`\\b${name}\\b`).test(text))) {
+    return 'family_foundation';
+  }
+  return type;
+}
+
+/**
+ * Who received a gift transaction, or null when the filing doesn't say.
+ */
+function identifyDonee(tx) {
+  if (tx.footnoteFacts?.donee) return tx.footnoteFacts.donee;
+  // Shares coming into a foundation / DAF / CRT the insider reports through
+  if (tx.acquiredDisposed === 'A' && CHARITABLE_CATEGORIES.has(tx.ownershipCategory)) {
+    const holder = tx.footnoteFacts?.indirectHolder || tx.natureOfOwnership;
+    if (holder) return holder.replace(/^\s*(by|through|held by)\s+(the\s+)?/i, '').replace(/\.\s*$/, '').trim() || null;
+  }
+  return null;
+}
+
+function daysBetween(a, b) {
+  return Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS;
+}
+
+/**
+ * Price of the market trade nearest the gift in date, same security first.
+ */
+function sameFilingPrice(gift, transactions) {
+  const priced = transactions.filter(t => MARKET_PRICE_CODES.has(t.code) && t.pricePerShare > 0);
+  if (priced.length === 0) return null;
+  const distance = (t) => (t.date && gift.date ? daysBetween(t.date, gift.date) : Infinity);
+  const sameSecurity = (t) => (t.securityTitle && t.securityTitle === gift.securityTitle ? 0 : 1);
+  const best = [...priced].sort((a, b) => sameSecurity(a) - sameSecurity(b) || distance(a) - distance(b))[0];
+  return best.pricePerShare;
+}
+
+/**
+ * Close on the gift date, or the last close within the lookback window before it.
+ */
+function closingPrice(closingPrices, ticker, date) {
+  const rows = closingPrices?.[(ticker || '').toUpperCase()];
+  if (!rows || !date) return null;
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const [day, close] = rows[i];
+    if (day > date) continue;
+    return daysBetween(day, date) <= CLOSING_PRICE_LOOKBACK_DAYS ? close : null;
+  }
+  return null;
+}
+
+/**
+ * Value and identify the recipients of a filing's code G transactions, in place.
+ * Each gift gets valueSource (reported | closing_price | same_filing | null),
+ * donee, doneeType and institution ({ relation, name } or null).
+ *
+ * @param {object} result - Parsed Form 4 (transactions, issuer, owners)
+ * @param {object} [options]
+ * @param {'filing'|'closing'} [options.priceSource='filing']
+ * @param {object} [options.closingPrices] - From loadClosingPrices()
+ * @param {object} [options.institutions] - From loadGiftInstitutions()
+ */
+function analyzeGifts(result, options = {}) {
+  const transactions = result.transactions || [];
+  // Form 4 owner names are surname first ("Smith Jane")
+  const familyNames = (result.owners || [])
+    .map(o => institutionKey(o.name).split(' ')[0])
+    .filter(name => name && name.length >= 2);
+
+  for (const gift of transactions.filter(t => t.code === 'G')) {
+    if (gift.value) {
+      gift.valueSource = 'reported';
+    } else if (gift.shares) {
+      const closing = options.priceSource === 'closing'
+        ? closingPrice(options.closingPrices, result.issuer?.ticker, gift.date)
+        : null;
+      const price = closing || sameFilingPrice(gift, transactions);
+      gift.valueSource = closing ? 'closing_price' : (price ? 'same_filing' : null);
+      if (price) gift.value = Math.round(gift.shares * price * 100) / 100;
+    } else {
+      gift.valueSource = null;
+    }
+
+    gift.donee = identifyDonee(gift);
+    gift.doneeType = gift.donee ? classifyDonee(gift.donee, familyNames) : null;
+    gift.institution = matchInstitution(gift.donee, options.institutions);
+  }
+}
+
+module.exports = {
+  analyzeGifts,
+  classifyDonee,
+  matchInstitution,
+  loadClosingPrices,
+  loadGiftInstitutions,
+  PRICE_SOURCES,
+};
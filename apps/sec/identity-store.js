@@ -0,0 +1,107 @@
+/**
+ * Identity Store — CIKs learned from confirmed matches.
+ *
+ * A reporting owner keeps one CIK across every filing, however their name is
+ * spelled ("SMITH JOHN M", "Smith, J. Michael", "Jack Smith"). Once a structured
+ * match is confirmed (LIKELY_VALID), the owner's CIK is remembered against the
+ * prospect so later filings carrying that CIK match deterministically.
+ *
+ * The store is a JSON file:
+ *
+ *   { "format": 1, "updatedAt": "...",
+ *     "identities": { "1234567": { "prospectId": "P1", "prospectName": "...",
+ *       "filingName": "SMITH JOHN M", "accessionNumber": "...", "learnedAt": "..." } } }
+ *
+ * A CIK is never reassigned: when a confirmed match would map a known CIK to a
+ * different prospect, the existing entry is kept and the conflict reported.
+ *
+ * Learning happens once a run has finished, so identities learned in a run apply
+ * from the next run on (and to filings a ledger has not recorded yet).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STORE_FORMAT = 1;
+
+/**
+ * CIKs are compared without leading zeros ("0001234567" === "1234567").
+ */
+function normalizeCik(cik) {
+  const digits = String(cik ?? '').trim().replace(/^0+/, '');
+  return /^\d+$/.test(digits) ? digits : null;
+}
+
+class IdentityStore {
+  /**
+   * @param {string} storePath - JSON file (created on first save)
+   */
+  constructor(storePath) {
+    this.path = storePath;
+    this.identities = new Map();
+  }
+
+  open() {
+    if (!fs.existsSync(this.path)) return this;
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.path, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Could not read identity store ${this.path}: ${err.message}`);
+    }
+    if (data.format !== STORE_FORMAT) {
+      throw new Error(`Identity store ${this.path} has unsupported format ${data.format}`);
+    }
+    for (const [cik, entry] of Object.entries(data.identities || {})) {
+      const key = normalizeCik(cik);
+      if (key && entry?.prospectId) this.identities.set(key, entry);
+    }
+    return this;
+  }
+
+  get size() {
+    return this.identities.size;
+  }
+
+  get(cik) {
+    return this.identities.get(normalizeCik(cik)) || null;
+  }
+
+  /**
+   * CIK -> prospect id, for UnifiedMatcher (and its worker threads).
+   */
+  toProspectMap() {
+    const map = {};
+    for (const [cik, entry] of this.identities) map[cik] = entry.prospectId;
+    return map;
+  }
+
+  /**
+   * Remember a CIK for a prospect.
+   *
+   * @param {string} cik
+   * @param {object} entry - { prospectId, prospectName, filingName, accessionNumber }
+   * @returns {'learned'|'known'|'conflict'|'invalid'}
+   */
+  learn(cik, entry) {
+    const key = normalizeCik(cik);
+    if (!key || !entry.prospectId) return 'invalid';
+    const existing = this.identities.get(key);
+    if (existing) return existing.prospectId === entry.prospectId ? 'known' : 'conflict';
+    this.identities.set(key, { ...entry, learnedAt: new Date().toISOString() });
+    return 'learned';
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const identities = Object.fromEntries([...this.identities].sort((a, b) => a[0].localeCompare(b[0])));
+    const data = { format: STORE_FORMAT, updatedAt: new Date().toISOString(), identities };
+    // Write-then-rename so an interrupted save never leaves a half-written store
+    const tmp = `${this.path}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(tmp, this.path);
+  }
+}
+
+module.exports = IdentityStore;
+module.exports.normalizeCik = normalizeCik;
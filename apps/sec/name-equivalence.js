@@ -0,0 +1,140 @@
+/**
+ * Name equivalence — romanization tables and a phonetic key.
+ *
+ * Chinese, Korean, Indian and Arabic names reach EDGAR in whichever
+ * romanization the filer used (Zhang / Chang / Cheung, Mohammed / Muhammad,
+ * Lee / Yi / Rhee), sometimes with given names run together ("Xiao Ming" /
+ * "Xiaoming"). Three kinds of equivalence, each recorded on the match so the
+ * false-positive detector can weigh it:
+ *
+ *   romanization        spellings listed together in config/romanizations.json
+ *   given_names_joined  given names written as one word or several
+ *   phonetic            same phonetic key (below), for spellings no table lists
+ *
+ * The phonetic key is a simplified Metaphone: consonant skeleton after folding
+ * sound-alike spellings (ph → f, sh/ch/zh → x, c → k/s, ...), plus the class of
+ * the first vowel where it falls, so Martin / Morton and Baron / Brown stay apart.
+ * Keys shorter than MIN_PHONETIC_KEY_LENGTH are too coarse to use.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ROMANIZATIONS_PATH = path.join(__dirname, 'config', 'romanizations.json');
+
+const MIN_PHONETIC_KEY_LENGTH = 4;
+
+// First vowel of a key, by class: open, front, rounded
+const VOWEL_CLASSES = { a: 'A', e: 'E', i: 'E', y: 'E', o: 'O', u: 'O' };
+
+// Penalties in false-positive-analyzer.js follow this order of trust
+const EQUIVALENCE_KINDS = ['romanization', 'given_names_joined', 'phonetic'];
+
+/**
+ * Load romanization groups into a lookup: spelling → other spellings
+ * (groups sharing a spelling are merged for that spelling, as nicknames are).
+ */
+function loadRomanizations(filePath = DEFAULT_ROMANIZATIONS_PATH) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  if (!data || !Array.isArray(data.groups)) {
+    throw new Error(`Romanization table ${filePath}: expected a "groups" array`);
+  }
+  const lookup = new Map();
+  for (const group of data.groups) {
+    const names = group.map(n => String(n).toLowerCase().trim()).filter(Boolean);
+    for (const name of names) {
+      if (!lookup.has(name)) lookup.set(name, new Set());
+      for (const other of names) {
+        if (other !== name) lookup.get(name).add(other);
+      }
+    }
+  }
+  return lookup;
+}
+
+const ROMANIZATIONS = loadRomanizations();
+
+/**
+ * Other romanizations of one lower-case name token.
+ */
+function romanizationsOf(token) {
+  return [...(ROMANIZATIONS.get(token) || [])];
+}
+
+/**
+ * Simplified Metaphone key of one name token.
+ */
+function phoneticKey(token) {
+  let s = String(token || '').toLowerCase().replace(/[^a-z]/g, '');
+  if (!s) return '';
+
+  // Pinyin xi- / qi- and Wade-Giles hs- sound as shi- / chi- / sh-
+  s = s.replace(/x(?=i)/g, 'sh').replace(/q(?=i)/g, 'ch').replace(/^hs/, 'sh');
+  s = s.replace(/^(kn|gn|pn|wr|ps)/, m => m[1]).replace(/^x/, 's');
+  s = s
+    .replace(/x/g, 'ks')
+    .replace(/ch(?=[rl])/g, 'k')
+    .replace(/ph/g, 'f')
+    .replace(/sch/g, 'sk')
+    .replace(/tch/g, 'x')
+    .replace(/(sh|ch|zh)/g, 'x')
+    .replace(/th/g, '0')
+    .replace(/ck/g, 'k')
+    .replace(/dg(?=[eiy])/g, 'j')
+    .replace(/dj/g, 'j')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/[cq]/g, 'k')
+    .replace(/kh/g, 'k')
+    .replace(/gh(?![aeiou])/g, '')
+    .replace(/g(?=[eiy])/g, 'j')
+    .replace(/z/g, 's')
+    .replace(/v/g, 'f')
+    .replace(/w(?![aeiou])/g, '')
+    .replace(/h(?![aeiou])/g, '');
+
+  // Keep the first vowel's class where it falls, drop the other vowels (y before a
+  // vowel is a consonant); collapse doubled letters
+  let key = '';
+  let vowelSeen = false;
+  for (let i = 0; i < s.length; i++) {
+    const isVowel = /[aeiou]/.test(s[i]) || (s[i] === 'y' && !/[aeiou]/.test(s[i + 1] || ''));
+    if (!isVowel) key += s[i];
+    else if (!vowelSeen) key += VOWEL_CLASSES[s[i]];
+    vowelSeen = vowelSeen || isVowel;
+  }
+  return key.replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * How two lower-case name tokens are equivalent: 'exact', 'romanization',
+ * 'phonetic', or null when they are not.
+ */
+function tokenEquivalence(a, b) {
+  if (a === b) return 'exact';
+  if (ROMANIZATIONS.get(a)?.has(b)) return 'romanization';
+  const key = phoneticKey(a);
+  if (key.length >= MIN_PHONETIC_KEY_LENGTH && key === phoneticKey(b)) return 'phonetic';
+  return null;
+}
+
+/**
+ * The least trusted of several equivalence kinds (null when none).
+ */
+function weakestEquivalence(kinds) {
+  let weakest = null;
+  for (const kind of kinds) {
+    if (EQUIVALENCE_KINDS.indexOf(kind) > EQUIVALENCE_KINDS.indexOf(weakest)) weakest = kind;
+  }
+  return weakest;
+}
+
+module.exports = {
+  loadRomanizations,
+  romanizationsOf,
+  phoneticKey,
+  tokenEquivalence,
+  weakestEquivalence,
+  EQUIVALENCE_KINDS,
+  MIN_PHONETIC_KEY_LENGTH,
+  DEFAULT_ROMANIZATIONS_PATH,
+};
@@ -0,0 +1,66 @@
+/**
+ * Name similarity for the fuzzy matching tier.
+ *
+ * Bounded edit distance (Levenshtein plus adjacent transpositions, so "Micheal"
+ * is one edit from "Michael") between single name tokens. The budget grows with
+ * the length of the shorter token, and short tokens never fuzz: "Li" vs "Lu" or
+ * "Ann" vs "Amy" are different people, not typos.
+ *
+ *   length < 5   exact only
+ *   5 – 7        1 edit   ("Micheal" / "Michael", "Johnsen" / "Johnson")
+ *   8 +          2 edits  ("McDonald" / "MacDonald", "Katherine" / "Katharine")
+ */
+
+const MIN_FUZZY_LENGTH = 5;
+
+/**
+ * Edits allowed between two tokens, from the shorter one's length.
+ */
+function maxEdits(a, b) {
+  const length = Math.min(a.length, b.length);
+  if (length < MIN_FUZZY_LENGTH) return 0;
+  return length >= 8 ? 2 : 1;
+}
+
+/**
+ * Optimal-string-alignment distance, giving up once it exceeds `max`.
+ * @returns {number} the distance, or max + 1 when over budget
+ */
+function editDistance(a, b, max) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return Math.min(prev[b.length], max + 1);
+}
+
+/**
+ * Edits between two name tokens within the guardrails, or null when they are
+ * too short to fuzz or too far apart.
+ */
+function tokenEdits(a, b) {
+  if (a === b) return 0;
+  const max = maxEdits(a, b);
+  if (max === 0) return null;
+  const d = editDistance(a, b, max);
+  return d <= max ? d : null;
+}
+
+module.exports = { editDistance, tokenEdits, maxEdits, MIN_FUZZY_LENGTH };
@@ -0,0 +1,112 @@
+/**
+ * Nickname dictionary — first names people go by in place of their given name.
+ *
+ * config/nicknames.json is the curated default; an institution can layer its
+ * own file on top (--nicknames) in the same format:
+ *
+ *   groups   interchangeable first names, formal name first
+ *            (["john", "jack", "johnny", "jon"])
+ *   weights  { "from -> to": weight } for one direction of a pair
+ *
+ * "from" is the first name on the prospect record, "to" the one in the filing.
+ * Pairs within a group default to 1 / (number of groups "to" belongs to): the
+ * filing's name is what may stand for someone else, so "john -> jack" is 1 while
+ * "christine -> chris" (that Chris may be a Christopher) is 0.5. A weight of 0
+ * removes the pair.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_NICKNAMES_PATH = path.join(__dirname, 'config', 'nicknames.json');
+
+const PAIR_KEY_RE = /^\s*([a-z'-]+)\s*->\s*([a-z'-]+)\s*$/;
+
+function validateNicknames(data, source) {
+  if (!data || typeof data !== 'object') {
+    throw new Error(`Nickname dictionary ${source}: expected an object`);
+  }
+  if (data.groups !== undefined && !Array.isArray(data.groups)) {
+    throw new Error(`Nickname dictionary ${source}: "groups" must be an array of name lists`);
+  }
+  for (const group of data.groups || []) {
+    if (!Array.isArray(group) || group.length < 2) {
+      throw new Error(`Nickname dictionary ${source}: each group needs at least two names (got ${JSON.stringify(group)})`);
+    }
+  }
+  for (const [key, weight] of Object.entries(data.weights || {})) {
+    if (!PAIR_KEY_RE.test(key.toLowerCase())) {
+      throw new Error(`Nickname dictionary ${source}: weight key "${key}" must look like "from -> to"`);
+    }
+    if (typeof weight !== 'number' || weight < 0 || weight > 1) {
+      throw new Error(`Nickname dictionary ${source}: weight for "${key}" must be a number from 0 to 1`);
+    }
+  }
+}
+
+/**
+ * Read and validate a nickname dictionary file.
+ */
+function loadNicknames(filePath = DEFAULT_NICKNAMES_PATH) {
+  const resolved = path.resolve(filePath);
+  const data = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  validateNicknames(data, resolved);
+  return data;
+}
+
+/**
+ * Merge dictionaries (later ones override earlier weights) into a lookup:
+ * prospect first name → Map(filing first name → weight).
+ */
+function buildNicknameTable(...dictionaries) {
+  const groups = [];
+  const weights = new Map();
+  for (const data of dictionaries.filter(Boolean)) {
+    validateNicknames(data, '(in-memory)');
+    for (const group of data.groups || []) {
+      groups.push([...new Set(group.map(n => String(n).toLowerCase().trim()).filter(Boolean))]);
+    }
+    for (const [key, weight] of Object.entries(data.weights || {})) {
+      const [, from, to] = key.toLowerCase().match(PAIR_KEY_RE);
+      weights.set(`${from} -> ${to}`, weight);
+    }
+  }
+
+  const groupCount = new Map();
+  for (const group of groups) {
+    for (const name of group) groupCount.set(name, (groupCount.get(name) || 0) + 1);
+  }
+
+  const table = new Map();
+  const setPair = (from, to, weight) => {
+    if (!table.has(from)) table.set(from, new Map());
+    const pairs = table.get(from);
+    if (weight > 0) pairs.set(to, weight);
+    else pairs.delete(to);
+  };
+  for (const group of groups) {
+    for (const from of group) {
+      for (const to of group) {
+        const weight = 1 / groupCount.get(to);
+        if (to !== from && !(table.get(from)?.get(to) >= weight)) setPair(from, to, weight);
+      }
+    }
+  }
+  for (const [key, weight] of weights) {
+    const [from, to] = key.split(' -> ');
+    setPair(from, to, weight);
+  }
+  return table;
+}
+
+let defaultDictionary = null;
+
+/**
+ * The default dictionary with an optional override dictionary on top.
+ */
+function nicknameTable(overrides = null) {
+  if (!defaultDictionary) defaultDictionary = loadNicknames();
+  return buildNicknameTable(defaultDictionary, overrides);
+}
+
+module.exports = { loadNicknames, buildNicknameTable, nicknameTable, DEFAULT_NICKNAMES_PATH };
@@ -12,9 +12,9 @@
  * For production, LLM augmentation is recommended for complex tables.
  */
 
-const { extractEmbeddedHtml, stripHtml, decodeEntities } = require('./xml-utils');
+const { extractEmbeddedHtml, stripHtml, decodeEntities, splitDocuments, primaryDocument } = require('./xml-utils');
 
-function parseDef14A(rawContent, header) {
+function parseDef14A(rawContent, header, documents = splitDocuments(rawContent, header.formType)) {
   const result = {
     formType: header.formType,
     filedDate: header.filedDate,
@@ -39,7 +39,9 @@ function parseDef14A(rawContent, header) {
     alerts: [],
   };
 
-  const html = extractEmbeddedHtml(rawContent);
+  // The proxy itself is the primary document; skip graphics and XBRL exhibits
+  const primary = primaryDocument(documents);
+  const html = primary ? (extractEmbeddedHtml(primary.body) || primary.body) : extractEmbeddedHtml(rawContent);
   if (!html) {
     return result;
   }
@@ -54,6 +56,7 @@ function parseDef14A(rawContent, header) {
     result.persons.push({
       name: neo.name,
       role: neo.title || 'Named Executive Officer',
+      title: neo.title || null,
       cik: null,
     });
   }
@@ -67,6 +70,7 @@ function parseDef14A(rawContent, header) {
       result.persons.push({
         name: dir.name,
         role: dir.title || 'Director',
+        title: dir.title || null,
         cik: null,
       });
     }
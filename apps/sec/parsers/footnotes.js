@@ -0,0 +1,134 @@
+/**
+ * Footnotes on ownership documents (Forms 3/4/5).
+ *
+ * Values in a transaction or holding point at footnotes with
+ * <footnoteId id="F1"/> inside the element they annotate:
+ *
+ *   <transactionPricePerShare><value>10.25</value><footnoteId id="F1"/></transactionPricePerShare>
+ *
+ * resolveFootnotes() turns those references into { id, field, text }, where
+ * field is the annotated element. extractFootnoteFacts() then reads the
+ * facts research asks about most from the usual footnote wording:
+ *
+ *   planAdoptionDate  "...pursuant to a Rule 10b5-1 trading plan adopted on March 3, 2023"
+ *   priceRange        "...in multiple transactions at prices ranging from $10.00 to $10.50"
+ *   donee             "Represents a bona fide gift to the Smith Family Foundation"
+ *   indirectHolder    "The shares are held by the Jane Smith 2020 Irrevocable Trust"
+ */
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+};
+
+const DATE_RE = /\b(?:(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})|(\d{1,2})\/(\d{1,2})\/(\d{2,4})|(\d{4})-(\d{2})-(\d{2}))\b/i;
+
+const AMOUNT = '\\$?\\s*([\\d,]+(?:\\.\\d+)?)';
+const PRICE_RANGE_RES = [
+  new RegExp(`prices?\\s+rang(?:ing|ed|e)\\s+from\\s+${AMOUNT}\\s+to\\s+${AMOUNT}`, 'i'),
+  new RegExp(`prices?\\s+(?:of\\s+)?between\\s+${AMOUNT}\\s+and\\s+${AMOUNT}`, 'i'),
+  new RegExp(`range\\s+of\\s+${AMOUNT}\\s+to\\s+${AMOUNT}`, 'i'),
+];
+
+// Up to the end of the clause: comma, semicolon, parenthesis or a sentence-ending period
+const PHRASE = "([^,;()]+?)(?=\\s*(?:[,;()]|\\.(?:\\s|$)|$| for (?:no|the benefit)| in (?:exchange|connection)| pursuant| without| and the reporting))";
+const DONEE_RE = new RegExp(`\\b(?:gift(?:ed|s)?|donat(?:ed|ion|ions))\\b[^.;]*?\\bto\\s+(?:the\\s+)?${PHRASE}`, 'i');
+const HOLDER_RE = new RegExp(`\\b(?:held|owned)\\s+(?:directly\\s+|indirectly\\s+|of record\\s+)?(?:by|through|in)\\s+(?:the\\s+)?${PHRASE}`, 'i');
+
+/**
+ * Footnotes referenced from one transaction or holding block, in document order.
+ * @param {string} blockXml - <nonDerivativeTransaction>, <derivativeHolding>, ...
+ * @param {Array<{id, text}>} footnotes - The filing's footnotes
+ * @returns {Array<{ id: string, field: string|null, text: string }>}
+ */
+function resolveFootnotes(blockXml, footnotes = []) {
+  const resolved = [];
+  const open = [];
+  const tagRe = /<(\/?)([A-Za-z][\w.-]*)([^>]*?)(\/?)>/g;
+  let match;
+  while ((match = tagRe.exec(blockXml)) !== null) {
+    const [, closing, tag, attrs, selfClosing] = match;
+    if (tag === 'footnoteId') {
+      const id = attrs.match(/id="([^"]+)"/)?.[1];
+      const note = id && footnotes.find(f => f.id === id);
+      // The <value> wrapper is not the field; the element around it is
+      const field = open.filter(t => t !== 'value').pop() || null;
+      if (note && !resolved.some(r => r.id === id && r.field === field)) {
+        resolved.push({ id, field, text: note.text });
+      }
+    } else if (closing) {
+      const at = open.lastIndexOf(tag);
+      if (at !== -1) open.length = at;
+    } else if (!selfClosing) {
+      open.push(tag);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * ISO date (YYYY-MM-DD) for the first date written in text, or null.
+ */
+function parseFootnoteDate(text) {
+  const m = String(text || '').match(DATE_RE);
+  if (!m) return null;
+  let year;
+  let month;
+  let day;
+  if (m[1]) [year, month, day] = [Number(m[3]), MONTHS[m[1].toLowerCase()], Number(m[2])];
+  else if (m[4]) [year, month, day] = [Number(m[6]), Number(m[4]), Number(m[5])];
+  else [year, month, day] = [Number(m[7]), Number(m[8]), Number(m[9])];
+  if (year < 100) year += 2000;
+  if (!month || month > 12 || day < 1) return null;
+  // Date.UTC rolls Feb 31 over into March; a real date survives the round trip
+  if (new Date(Date.UTC(year, month - 1, day)).getUTCDate() !== day) return null;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function parseAmount(text) {
+  const num = parseFloat(text.replace(/,/g, ''));
+  return isNaN(num) ? null : num;
+}
+
+function cleanPhrase(text) {
+  const phrase = text.replace(/\s+/g, ' ').trim();
+  return phrase.length >= 3 && phrase.length <= 120 ? phrase : null;
+}
+
+/**
+ * Structured facts read from footnote text. Missing facts are null.
+ * @param {string|string[]} texts - Footnote text(s) for one transaction or holding
+ * @returns {{ planAdoptionDate: string|null, priceRange: {low, high}|null, donee: string|null, indirectHolder: string|null }}
+ */
+function extractFootnoteFacts(texts) {
+  const facts = { planAdoptionDate: null, priceRange: null, donee: null, indirectHolder: null };
+  for (const text of [].concat(texts || [])) {
+    for (const sentence of String(text).split(/(?<=[a-z0-9)])\.\s+(?=[A-Z])/)) {
+      if (!facts.planAdoptionDate && /10b5-?1/i.test(sentence) && /\badopt/i.test(sentence)) {
+        facts.planAdoptionDate = parseFootnoteDate(sentence.slice(sentence.search(/\badopt/i)));
+      }
+      if (!facts.priceRange) {
+        const m = PRICE_RANGE_RES.map(re => sentence.match(re)).find(Boolean);
+        if (m) {
+          const [low, high] = [parseAmount(m[1]), parseAmount(m[2])].sort((a, b) => a - b);
+          if (low != null && high != null) facts.priceRange = { low, high };
+        }
+      }
+      if (!facts.donee) facts.donee = cleanPhrase(sentence.match(DONEE_RE)?.[1] || '');
+      if (!facts.indirectHolder) facts.indirectHolder = cleanPhrase(sentence.match(HOLDER_RE)?.[1] || '');
+    }
+  }
+  return facts;
+}
+
+/**
+ * { footnotes, footnoteFacts } for a transaction or holding block.
+ */
+function annotateWithFootnotes(blockXml, footnotes) {
+  const resolved = resolveFootnotes(blockXml, footnotes);
+  return {
+    footnotes: resolved,
+    footnoteFacts: extractFootnoteFacts([...new Set(resolved.map(r => r.text))]),
+  };
+}
+
+module.exports = { resolveFootnotes, extractFootnoteFacts, parseFootnoteDate, annotateWithFootnotes };
@@ -14,9 +14,9 @@
  * 13F-HR has an XML information table in newer filings.
  */
 
-const { extractEmbeddedXml, extractTag, extractNumber, extractAllBlocks, decodeEntities } = require('./xml-utils');
+const { extractEmbeddedXml, extractTag, extractNumber, extractAllBlocks, decodeEntities, splitDocuments } = require('./xml-utils');
 
-function parseForm13F(rawContent, header) {
+function parseForm13F(rawContent, header, documents = splitDocuments(rawContent, header.formType)) {
   const result = {
     formType: header.formType,
     filedDate: header.filedDate,
@@ -46,11 +46,11 @@ function parseForm13F(rawContent, header) {
   };
 
   // Try to extract the information table XML
-  // 13F-HR has primary doc + information table as separate documents
-  const xmlSections = rawContent.match(/<XML>([\s\S]*?)<\/XML>/g);
-  if (xmlSections) {
-    for (const section of xmlSections) {
-      const xml = section.replace(/<\/?XML>/g, '');
+  // 13F-HR has primary doc (cover page) + INFORMATION TABLE as separate documents
+  const xmlDocs = documents.filter(d => d.format === 'xml');
+  if (xmlDocs.length > 0) {
+    for (const doc of xmlDocs) {
+      const xml = extractEmbeddedXml(doc.body) || '';
 
       // Check if this is the cover page
       const formType = extractTag(xml, 'formType');
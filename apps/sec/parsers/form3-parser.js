@@ -10,7 +10,9 @@
  * but typically have holdings only (no transactions for Form 3).
  */
 
-const { extractTag, extractAllBlocks, extractNumber, extractBool, extractEmbeddedXml, decodeEntities } = require('./xml-utils');
+const { extractTag, extractAllBlocks, extractNumber, extractBool, extractEmbeddedXml, extractFootnotes, decodeEntities } = require('./xml-utils');
+const { parseOwnershipNature, detectOwnershipAlerts } = require('./ownership-nature');
+const { annotateWithFootnotes } = require('./footnotes');
 
 function parseForm3(rawContent, header) {
   const xml = extractEmbeddedXml(rawContent);
@@ -36,6 +38,7 @@ function parseForm3(rawContent, header) {
     derivativeHoldings: [],
     nonDerivativeTransactions: [],  // Form 5 may have transactions
     derivativeTransactions: [],
+    footnotes: extractFootnotes(xml),
 
     persons: [],
     transactions: [],
@@ -48,6 +51,10 @@ function parseForm3(rawContent, header) {
     const owner = {
       cik: extractTag(ownerXml, 'rptOwnerCik'),
       name: decodeEntities(extractTag(ownerXml, 'rptOwnerName')),
+      street1: extractTag(ownerXml, 'rptOwnerStreet1'),
+      city: extractTag(ownerXml, 'rptOwnerCity'),
+      state: extractTag(ownerXml, 'rptOwnerState'),
+      zip: extractTag(ownerXml, 'rptOwnerZipCode'),
       isDirector: extractBool(ownerXml, 'isDirector'),
       isOfficer: extractBool(ownerXml, 'isOfficer'),
       isTenPercentOwner: extractBool(ownerXml, 'isTenPercentOwner'),
@@ -64,7 +71,9 @@ function parseForm3(rawContent, header) {
       result.persons.push({
         name: owner.name,
         role: roleParts.join(', ') || 'Insider',
+        title: owner.officerTitle || null,
         cik: owner.cik,
+        address: { street1: owner.street1, city: owner.city, state: owner.state, zip: owner.zip },
       });
     }
   }
@@ -75,7 +84,8 @@ function parseForm3(rawContent, header) {
     result.nonDerivativeHoldings.push({
       securityTitle: extractTag(hXml, 'securityTitle'),
       sharesOwned: extractNumber(hXml, 'sharesOwnedFollowingTransaction'),
-      ownershipType: extractTag(hXml, 'directOrIndirectOwnership'),
+      ...parseOwnershipNature(hXml, result.footnotes),
+      ...annotateWithFootnotes(hXml, result.footnotes),
     });
   }
 
@@ -86,6 +96,8 @@ function parseForm3(rawContent, header) {
       exercisePrice: extractNumber(hXml, 'conversionOrExercisePrice'),
       expirationDate: extractTag(hXml, 'expirationDate'),
       sharesOwned: extractNumber(hXml, 'sharesOwnedFollowingTransaction'),
+      ...parseOwnershipNature(hXml, result.footnotes),
+      ...annotateWithFootnotes(hXml, result.footnotes),
     });
   }
 
@@ -104,6 +116,8 @@ function parseForm3(rawContent, header) {
       value: (shares && price) ? Math.round(shares * price * 100) / 100 : null,
       acquiredDisposed: extractTag(txXml, 'transactionAcquiredDisposedCode'),
       sharesAfter: extractNumber(txXml, 'sharesOwnedFollowingTransaction'),
+      ...parseOwnershipNature(txXml, result.footnotes),
+      ...annotateWithFootnotes(txXml, result.footnotes),
     };
     result.nonDerivativeTransactions.push(tx);
     result.transactions.push(tx);
@@ -117,6 +131,7 @@ function parseForm3(rawContent, header) {
       message: `New insider filing. ${result.persons.map(p => `${p.name} (${p.role})`).join('; ')} at ${result.issuer.name} (${result.issuer.ticker || 'N/A'}).`,
     });
   }
+  detectOwnershipAlerts(result);
 
   return result;
 }
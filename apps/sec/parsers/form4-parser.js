@@ -8,6 +8,10 @@
  *   - Transaction details (code, shares, price, date)
  *   - 10b5-1 plan indicator
  *   - Post-transaction holdings
+ *   - Nature of indirect ownership (spouse, trust, GRAT, CRT, foundation...)
+ *   - Footnotes, resolved onto the transactions and holdings they annotate
+ *     (price ranges, gift recipients, 10b5-1 adoption dates, indirect holders)
+ *   - Gift value and recipient for code G (see gifts.js)
  *   - Derivative table (options, RSUs)
  *
  * Transaction codes:
@@ -22,7 +26,10 @@
  *   J = Other acquisition/disposition
  */
 
-const { extractTag, extractAllBlocks, extractNumber, extractBool, extractEmbeddedXml, decodeEntities } = require('./xml-utils');
+const { extractTag, extractAllBlocks, extractNumber, extractBool, extractEmbeddedXml, extractFootnotes, decodeEntities } = require('./xml-utils');
+const { parseOwnershipNature, detectOwnershipAlerts } = require('./ownership-nature');
+const { annotateWithFootnotes } = require('./footnotes');
+const { analyzeGifts } = require('../gifts');
 
 const TRANSACTION_CODE_LABELS = {
   S: 'Sale (open market)',
@@ -39,7 +46,13 @@ const TRANSACTION_CODE_LABELS = {
   Z: 'Deposit/Withdrawal from Voting Trust',
 };
 
-function parseForm4(rawContent, header) {
+/**
+ * @param {string} rawContent - Full .txt submission
+ * @param {object} header - From parseHeader()
+ * @param {object} [options]
+ * @param {object} [options.gifts] - Gift valuation / institution options (see gifts.js)
+ */
+function parseForm4(rawContent, header, options = {}) {
   const xml = extractEmbeddedXml(rawContent);
   if (!xml) {
     return { parseError: 'No embedded XML found in Form 4 filing', persons: [], transactions: [] };
@@ -70,8 +83,8 @@ function parseForm4(rawContent, header) {
     derivativeTransactions: [],
     derivativeHoldings: [],
 
-    // Footnotes
-    footnotes: [],
+    // Footnotes (natureOfOwnership often points at one)
+    footnotes: extractFootnotes(xml),
 
     // Computed fields
     persons: [],       // Names found in this filing (for matching)
@@ -101,7 +114,9 @@ function parseForm4(rawContent, header) {
       result.persons.push({
         name: owner.name,
         role: describeRole(owner),
+        title: owner.officerTitle || null,
         cik: owner.cik,
+        address: { street1: owner.street1, city: owner.city, state: owner.state, zip: owner.zip },
       });
     }
   }
@@ -109,7 +124,7 @@ function parseForm4(rawContent, header) {
   // Parse non-derivative transactions
   const ndtBlocks = extractAllBlocks(xml, 'nonDerivativeTransaction');
   for (const txXml of ndtBlocks) {
-    const tx = parseTransaction(txXml);
+    const tx = parseTransaction(txXml, result.footnotes);
     result.nonDerivativeTransactions.push(tx);
     result.transactions.push(tx);
   }
@@ -120,14 +135,15 @@ function parseForm4(rawContent, header) {
     result.nonDerivativeHoldings.push({
       securityTitle: extractTag(hXml, 'securityTitle'),
       sharesOwned: extractNumber(hXml, 'sharesOwnedFollowingTransaction'),
-      ownershipType: extractTag(hXml, 'directOrIndirectOwnership'),
+      ...parseOwnershipNature(hXml, result.footnotes),
+      ...annotateWithFootnotes(hXml, result.footnotes),
     });
   }
 
   // Parse derivative transactions
   const dtBlocks = extractAllBlocks(xml, 'derivativeTransaction');
   for (const txXml of dtBlocks) {
-    const tx = parseDerivativeTransaction(txXml);
+    const tx = parseDerivativeTransaction(txXml, result.footnotes);
     result.derivativeTransactions.push(tx);
   }
 
@@ -143,29 +159,18 @@ function parseForm4(rawContent, header) {
         ? extractNumber(hXml, 'sharesOwnedFollowingTransaction')
         : null,
       sharesOwned: extractNumber(hXml, 'sharesOwnedFollowingTransaction'),
-      ownershipType: extractTag(hXml, 'directOrIndirectOwnership'),
-    });
-  }
-
-  // Parse footnotes
-  const fnBlocks = extractAllBlocks(xml, 'footnote');
-  // Also try by regex since footnotes have id attributes
-  const fnRegex = /<footnote\s+id="(F\d+)">([\s\S]*?)<\/footnote>/g;
-  let fnMatch;
-  while ((fnMatch = fnRegex.exec(xml)) !== null) {
-    result.footnotes.push({
-      id: fnMatch[1],
-      text: decodeEntities(fnMatch[2].trim()),
+      ...parseOwnershipNature(hXml, result.footnotes),
+      ...annotateWithFootnotes(hXml, result.footnotes),
     });
   }
 
   // Detect special signals
-  detectAlerts(result);
+  detectAlerts(result, options);
 
   return result;
 }
 
-function parseTransaction(txXml) {
+function parseTransaction(txXml, footnotes) {
   const code = extractTag(txXml, 'transactionCode');
   const shares = extractNumber(txXml, 'transactionShares');
   const price = extractNumber(txXml, 'transactionPricePerShare');
@@ -181,11 +186,12 @@ function parseTransaction(txXml) {
     value: (shares && price) ? Math.round(shares * price * 100) / 100 : null,
     acquiredDisposed,  // A = acquired, D = disposed
     sharesAfter: extractNumber(txXml, 'sharesOwnedFollowingTransaction'),
-    ownershipType: extractTag(txXml, 'directOrIndirectOwnership'),
+    ...parseOwnershipNature(txXml, footnotes),
+    ...annotateWithFootnotes(txXml, footnotes),
   };
 }
 
-function parseDerivativeTransaction(txXml) {
+function parseDerivativeTransaction(txXml, footnotes) {
   const code = extractTag(txXml, 'transactionCode');
   const shares = extractNumber(txXml, 'transactionShares');
   const price = extractNumber(txXml, 'transactionPricePerShare');
@@ -205,7 +211,8 @@ function parseDerivativeTransaction(txXml) {
     underlyingSecurityTitle: extractTag(txXml, 'underlyingSecurityTitle'),
     underlyingShares: extractNumber(txXml, 'underlyingSecurityShares'),
     sharesAfter: extractNumber(txXml, 'sharesOwnedFollowingTransaction'),
-    ownershipType: extractTag(txXml, 'directOrIndirectOwnership'),
+    ...parseOwnershipNature(txXml, footnotes),
+    ...annotateWithFootnotes(txXml, footnotes),
   };
 }
 
@@ -219,19 +226,34 @@ function describeRole(owner) {
   return parts.join(', ') || 'Insider';
 }
 
-function detectAlerts(result) {
+function detectAlerts(result, options = {}) {
   const txCodes = result.transactions.map(t => t.code);
   const txDates = result.transactions.map(t => t.date);
 
-  // Philanthropy signal: Code G (gift of securities)
+  // Philanthropy signal: Code G (gift of securities), valued and with its recipients
+  analyzeGifts(result, options.gifts);
   const giftTxs = result.transactions.filter(t => t.code === 'G');
   if (giftTxs.length > 0) {
     const totalGiftValue = giftTxs.reduce((sum, t) => sum + (t.value || 0), 0);
+    const estimated = giftTxs.some(t => t.valueSource === 'closing_price' || t.valueSource === 'same_filing');
+    const donees = [...new Set(giftTxs.filter(t => t.donee).map(t => `${t.donee} (${t.doneeType.replace('_', ' ')})`))];
     result.alerts.push({
       type: 'PHILANTHROPY_SIGNAL',
       severity: 'HIGH',
-      message: `Stock gift detected (Code G). ${giftTxs.length} gift transaction(s) totaling ${formatDollar(totalGiftValue)}.`,
+      message: `Stock gift detected (Code G). ${giftTxs.length} gift transaction(s) totaling ${formatDollar(totalGiftValue)}` +
+        (estimated ? ' (estimated from share price)' : '') + '.' +
+        (donees.length > 0 ? ` Recipient: ${donees.join('; ')}.` : ''),
     });
+
+    for (const [relation, type, label] of [['ours', 'GIFT_TO_INSTITUTION', 'our institution'], ['peer', 'GIFT_TO_PEER_INSTITUTION', 'a peer institution']]) {
+      const names = [...new Set(giftTxs.filter(t => t.institution?.relation === relation).map(t => t.institution.name))];
+      if (names.length === 0) continue;
+      result.alerts.push({
+        type,
+        severity: 'HIGH',
+        message: `Stock gift to ${label}: ${names.join('; ')}.`,
+      });
+    }
   }
 
   // Same-day sale: M + S on the same date
@@ -261,12 +283,15 @@ function detectAlerts(result) {
     });
   }
 
-  // 10b5-1 plan
+  // 10b5-1 plan (older filings only say so in a footnote)
+  const planAdoptionDate = result.transactions.map(t => t.footnoteFacts?.planAdoptionDate).find(Boolean) || null;
+  if (planAdoptionDate) result.is10b5_1 = true;
   if (result.is10b5_1) {
     result.alerts.push({
       type: '10B5_1_PLAN',
       severity: 'INFO',
-      message: 'Trade executed under a pre-planned 10b5-1 trading arrangement. May indicate recurring future sales.',
+      message: 'Trade executed under a pre-planned 10b5-1 trading arrangement' +
+        (planAdoptionDate ? ` adopted ${planAdoptionDate}` : '') + '. May indicate recurring future sales.',
     });
   }
 
@@ -280,6 +305,9 @@ function detectAlerts(result) {
       message: `Open market purchase totaling ${formatDollar(totalPurchaseValue)}. Confidence signal.`,
     });
   }
+
+  // Shares held through a CRT, foundation, DAF or estate-planning trust
+  detectOwnershipAlerts(result);
 }
 
 function formatDollar(amount) {
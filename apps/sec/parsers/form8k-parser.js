@@ -10,9 +10,11 @@
  *
  * 8-K content is HTML/XBRL — no clean XML schema.
  * We extract item types from the header and attempt to find names in the body.
+ * Appointments are often only named in the EX-99 press release, so personnel
+ * names are pulled from the primary document and every press-release exhibit.
  */
 
-const { extractEmbeddedHtml, stripHtml, decodeEntities } = require('./xml-utils');
+const { extractEmbeddedHtml, stripHtml, decodeEntities, splitDocuments, describeDocument } = require('./xml-utils');
 
 // Map item codes to categories
 const ITEM_CATEGORIES = {
@@ -31,7 +33,7 @@ const ITEM_CATEGORIES = {
   'Financial Statements and Exhibits': { code: '9.01', category: 'EXHIBITS' },
 };
 
-function parseForm8K(rawContent, header) {
+function parseForm8K(rawContent, header, documents = splitDocuments(rawContent, header.formType)) {
   const result = {
     formType: header.formType,
     filedDate: header.filedDate,
@@ -51,6 +53,7 @@ function parseForm8K(rawContent, header) {
 
     // Names extracted from the body text (best-effort)
     mentionedNames: [],
+    pressReleases: [],
 
     persons: [],
     transactions: [],
@@ -74,18 +77,25 @@ function parseForm8K(rawContent, header) {
   result.isMAEvent = result.categories.includes('M&A');
   result.isEarningsEvent = result.categories.includes('EARNINGS');
 
-  // Try to extract names from the HTML body for personnel events
+  // Press releases attached as EX-99 exhibits
+  result.pressReleases = documents.filter(d => d.role === 'press_release').map(describeDocument);
+
+  // Try to extract names from the primary document and press releases for personnel events
   if (result.isPersonnelEvent) {
-    const html = extractEmbeddedHtml(rawContent);
-    if (html) {
-      const text = stripHtml(html);
-      const names = extractPersonnelNames(text);
-      result.mentionedNames = names;
-      for (const n of names) {
+    const sources = documents.filter(d => d.role === 'primary' || d.role === 'press_release');
+    const seen = new Set();
+    for (const doc of sources) {
+      const text = decodeEntities(stripHtml(extractEmbeddedHtml(doc.body) || doc.body));
+      for (const n of extractPersonnelNames(text)) {
+        if (seen.has(n.name)) continue;
+        seen.add(n.name);
+        n.sourceDocument = describeDocument(doc);
+        result.mentionedNames.push(n);
         result.persons.push({
           name: n.name,
           role: n.role || 'Person mentioned in 8-K',
           cik: null,
+          sourceDocument: n.sourceDocument,
         });
       }
     }
@@ -160,9 +170,9 @@ function extractPersonnelNames(text) {
 
   // Common patterns in 8-K personnel disclosures
   const patterns = [
-    /(?:appointed|hired|named|elected|promoted)\s+([A-Z][a-z]+(?:\s+[A-Z]\.?\s+)?[A-Z][a-z]+(?:\s+(?:Jr\.|Sr\.|III|IV|II))?)/g,
-    /(?:departure|resignation|retirement|termination)\s+of\s+([A-Z][a-z]+(?:\s+[A-Z]\.?\s+)?[A-Z][a-z]+(?:\s+(?:Jr\.|Sr\.|III|IV|II))?)/g,
-    /(?:Mr\.|Ms\.|Mrs\.|Dr\.)\s+([A-Z][a-z]+(?:\s+[A-Z]\.?\s+)?[A-Z][a-z]+)/g,
+    /(?:appointed|hired|named|elected|promoted)\s+([A-Z][a-z]+(?:\s+[A-Z]\.?)?\s+[A-Z][a-z]+(?:\s+(?:Jr\.|Sr\.|III|IV|II))?)/g,
+    /(?:departure|resignation|retirement|termination)\s+of\s+([A-Z][a-z]+(?:\s+[A-Z]\.?)?\s+[A-Z][a-z]+(?:\s+(?:Jr\.|Sr\.|III|IV|II))?)/g,
+    /(?:Mr\.|Ms\.|Mrs\.|Dr\.)\s+([A-Z][a-z]+(?:\s+[A-Z]\.?)?\s+[A-Z][a-z]+)/g,
   ];
 
   for (const pattern of patterns) {
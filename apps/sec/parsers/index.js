@@ -6,6 +6,11 @@
  *   1. Header parsing (common metadata)
  *   2. Specialized parsing (form-type-specific structured data)
  *   3. A normalized result with { persons, transactions, alerts }
+ *
+ * The submission is split into its <DOCUMENT> blocks first; parsers that care
+ * (8-K press releases, 13F information table, proxies) receive the list as a
+ * third argument, and the result carries document metadata (no bodies) so the
+ * matcher can report which exhibit a name came from.
  */
 
 const { parseHeader, normalizeFormType, extractRawText } = require('./header-parser');
@@ -18,23 +23,27 @@ const { parseSchedule13 } = require('./schedule13-parser');
 const { parseForm13F } = require('./form13f-parser');
 const { parseDef14A } = require('./def14a-parser');
 const { parseGeneric } = require('./generic-parser');
+const { splitDocuments } = require('./xml-utils');
 
 /**
  * Parse a single SEC filing. Returns a structured result object.
  *
  * @param {string} rawContent - Full text content of the .txt filing
  * @param {string} filename - Original filename (accession number)
+ * @param {object} [options]
+ * @param {object} [options.gifts] - Form 4 gift valuation / institution options (see gifts.js)
  * @returns {object} Parsed filing with header, structured data, persons, transactions, alerts
  */
-function parseFiling(rawContent, filename) {
+function parseFiling(rawContent, filename, options = {}) {
   const header = parseHeader(rawContent);
   const normalizedType = normalizeFormType(header.formType);
+  const documents = splitDocuments(rawContent, header.formType);
 
   let parsed;
   try {
     switch (normalizedType) {
       case 'FORM4':
-        parsed = parseForm4(rawContent, header);
+        parsed = parseForm4(rawContent, header, options);
         break;
       case 'FORM3':
       case 'FORM5':
@@ -47,15 +56,15 @@ function parseFiling(rawContent, filename) {
         parsed = parseFormD(rawContent, header);
         break;
       case '8K':
-        parsed = parseForm8K(rawContent, header);
+        parsed = parseForm8K(rawContent, header, documents);
         break;
       case 'SC13D':
       case 'SC13G':
-        parsed = parseSchedule13(rawContent, header);
+        parsed = parseSchedule13(rawContent, header, documents);
         break;
       case '13FHR':
       case '13FNT':
-        parsed = parseForm13F(rawContent, header);
+        parsed = parseForm13F(rawContent, header, documents);
         break;
       case 'DEF14A':
       case 'DEFA14A':
@@ -63,7 +72,7 @@ function parseFiling(rawContent, filename) {
       case 'DEFM14A':
       case 'PRE14A':
       case 'PREM14A':
-        parsed = parseDef14A(rawContent, header);
+        parsed = parseDef14A(rawContent, header, documents);
         break;
       default:
         parsed = parseGeneric(rawContent, header);
@@ -82,6 +91,7 @@ function parseFiling(rawContent, filename) {
     normalizedType,
     filedDate: header.filedDate,
     header,
+    documents: documents.map(({ body, ...meta }) => meta),
     ...parsed,
   };
 }
@@ -0,0 +1,160 @@
+/**
+ * Nature of indirect ownership on Forms 3/4/5.
+ *
+ * Shares held indirectly carry a free-text <natureOfOwnership> ("By Spouse",
+ * "By GRAT", "See footnote 2"). normalizeOwnershipNature() reduces it to a
+ * category; footnote references are resolved to the footnote text first.
+ *
+ *   direct             held in the insider's own name (ownership code D)
+ *   retirement         401(k), IRA, deferred compensation
+ *   spouse             spouse's name or account
+ *   family             children, custodial (UTMA/UGMA) accounts, other household members
+ *   grat               grantor retained annuity trusts
+ *   irrevocable_trust  irrevocable, dynasty, GST and QTIP trusts
+ *   revocable_trust    revocable and living trusts
+ *   trust              other trusts (family, "By Trust", trustee accounts)
+ *   crt                charitable remainder (and lead) trusts
+ *   foundation         private or family foundations
+ *   daf                donor-advised funds
+ *   llc                LLCs and holding companies
+ *   partnership        limited / family limited partnerships
+ *   other              indirect, nature not recognized
+ *
+ * Personal and household value follow from the category: direct and
+ * retirement holdings are the insider's own; spouse, family, trust and entity
+ * holdings belong to the household; CRT, foundation and DAF holdings have been
+ * given away and signal planned giving instead. GRATs and irrevocable trusts
+ * are estate-planning vehicles; a revocable trust is the insider's own
+ * probate-avoidance account and raises no alert.
+ */
+
+const { extractTag } = require('./xml-utils');
+const { resolveFootnotes } = require('./footnotes');
+const { foldText } = require('../text-normalize');
+
+// First category whose pattern matches wins, so the specific vehicles come first
+const NATURE_PATTERNS = [
+  ['crt', /\bcharitable (remainder|lead)\b|\bc(r|l)(a|u)?t\b/],
+  ['daf', /\bdonor[- ]?advised\b|\bdaf\b|\b(fidelity|schwab|vanguard) charitable\b/],
+  ['foundation', /\bfoundation\b|\bcharitable\b|\bphilanthrop/],
+  ['grat', /\bgrats?\b|\bgrantor retained annuity\b/],
+  ['retirement', /\b401 ?\(?k\)?|\bira\b|\bretirement\b|\bpension\b|\bprofit[- ]sharing\b|\besop\b|\bdeferred comp/],
+  ['irrevocable_trust', /\birrevocable\b|\bdynasty\b|\bgst\b|\bgeneration[- ]skipping\b|\bqtip\b/],
+  ['revocable_trust', /\brevocable\b|\bliving trust\b/],
+  ['trust', /\btrusts?\b|\btrustees?\b|\bttees?\b/],
+  ['llc', /\bllc\b|\bl l c\b|\blimited liability\b|\binc\b|\bcorp(oration)?\b|\bholdings?\b|\bcompany\b/],
+  ['partnership', /\bpartnership\b|\bpartners\b|\bflp\b|\blp\b|\bl p\b/],
+  ['spouse', /\bspouse\b|\bwife\b|\bhusband\b|\bspousal\b/],
+  ['family', /\bchild(ren)?\b|\bsons?\b|\bdaughters?\b|\bminor\b|\butma\b|\bugma\b|\bcustodian\b|\bhousehold\b|\bfamily\b/],
+];
+
+const PERSONAL_CATEGORIES = new Set(['direct', 'retirement']);
+const HOUSEHOLD_CATEGORIES = new Set([
+  'direct', 'retirement', 'spouse', 'family', 'trust', 'revocable_trust', 'irrevocable_trust', 'grat', 'llc', 'partnership', 'other',
+]);
+const CHARITABLE_CATEGORIES = new Set(['crt', 'foundation', 'daf']);
+const ESTATE_PLANNING_CATEGORIES = new Set(['grat', 'irrevocable_trust']);
+
+const CATEGORY_LABELS = {
+  crt: 'charitable remainder trust',
+  foundation: 'foundation',
+  daf: 'donor-advised fund',
+  grat: 'GRAT',
+  irrevocable_trust: 'irrevocable trust',
+  revocable_trust: 'revocable trust',
+  trust: 'trust',
+};
+
+/**
+ * Category for a nature-of-ownership text.
+ * @param {string|null} nature - Text of <natureOfOwnership> (footnotes resolved)
+ * @param {string|null} ownershipType - D (direct) or I (indirect)
+ */
+function normalizeOwnershipNature(nature, ownershipType = null) {
+  const text = foldText(String(nature || '')).toLowerCase().replace(/[.,]/g, ' ').trim();
+  if (text) {
+    const match = NATURE_PATTERNS.find(([, re]) => re.test(text));
+    if (match) return match[0];
+  }
+  if (ownershipType === 'D' || (!text && ownershipType !== 'I')) return 'direct';
+  return 'other';
+}
+
+/**
+ * Ownership fields for one transaction or holding block:
+ * { ownershipType, natureOfOwnership, ownershipCategory }.
+ *
+ * @param {string} blockXml - <nonDerivativeTransaction>, <derivativeHolding>, ...
+ * @param {Array<{id, text}>} [footnotes] - The filing's footnotes
+ */
+function parseOwnershipNature(blockXml, footnotes = []) {
+  const ownershipType = extractTag(blockXml, 'directOrIndirectOwnership');
+
+  let nature = extractTag(blockXml, 'natureOfOwnership');
+  if (nature && nature.includes('<')) nature = null;
+  if (!nature || /^see (footnote|note)/i.test(nature)) {
+    const notes = resolveFootnotes(blockXml, footnotes).filter(r => r.field === 'natureOfOwnership');
+    if (notes.length > 0) nature = notes.map(r => r.text).join(' ');
+  }
+
+  return {
+    ownershipType,
+    natureOfOwnership: nature || null,
+    ownershipCategory: normalizeOwnershipNature(nature, ownershipType),
+  };
+}
+
+/**
+ * Split transaction value by whom it belongs to.
+ * @returns {{ personal: number|null, household: number|null, charitable: number|null }}
+ */
+function attributeOwnershipValue(transactions) {
+  const sum = (categories) => (transactions || [])
+    .filter(t => categories.has(t.ownershipCategory || 'direct'))
+    .reduce((total, t) => total + (t.value || 0), 0) || null;
+  return {
+    personal: sum(PERSONAL_CATEGORIES),
+    household: sum(HOUSEHOLD_CATEGORIES),
+    charitable: sum(CHARITABLE_CATEGORIES),
+  };
+}
+
+/**
+ * Alerts for shares held through giving and estate-planning vehicles.
+ * Reads result.transactions plus the derivative and holding tables.
+ */
+function detectOwnershipAlerts(result) {
+  const positions = [
+    ...(result.transactions || []),
+    ...(result.derivativeTransactions || []),
+    ...(result.nonDerivativeHoldings || []),
+    ...(result.derivativeHoldings || []),
+  ];
+  const describe = (list) => [...new Set(list.map(p => p.natureOfOwnership || CATEGORY_LABELS[p.ownershipCategory]))].join('; ');
+
+  const charitable = positions.filter(p => CHARITABLE_CATEGORIES.has(p.ownershipCategory));
+  if (charitable.length > 0) {
+    const kinds = [...new Set(charitable.map(p => CATEGORY_LABELS[p.ownershipCategory]))].join(', ');
+    result.alerts.push({
+      type: 'PLANNED_GIVING_VEHICLE',
+      severity: 'HIGH',
+      message: `Shares held through a ${kinds}: ${describe(charitable)}. Planned-giving vehicle already in place.`,
+    });
+  }
+
+  const estate = positions.filter(p => ESTATE_PLANNING_CATEGORIES.has(p.ownershipCategory));
+  if (estate.length > 0) {
+    result.alerts.push({
+      type: 'ESTATE_PLANNING_VEHICLE',
+      severity: 'MEDIUM',
+      message: `Shares held in estate-planning trusts: ${describe(estate)}.`,
+    });
+  }
+}
+
+module.exports = {
+  normalizeOwnershipNature,
+  parseOwnershipNature,
+  attributeOwnershipValue,
+  detectOwnershipAlerts,
+};
@@ -11,9 +11,9 @@
  * and body text.
  */
 
-const { extractEmbeddedHtml, stripHtml, extractEmbeddedXml, extractTag, extractNumber, decodeEntities } = require('./xml-utils');
+const { extractEmbeddedHtml, stripHtml, extractEmbeddedXml, extractTag, extractNumber, decodeEntities, splitDocuments, primaryDocument } = require('./xml-utils');
 
-function parseSchedule13(rawContent, header) {
+function parseSchedule13(rawContent, header, documents = splitDocuments(rawContent, header.formType)) {
   const is13D = (header.formType || '').includes('13D');
   const isAmendment = (header.formType || '').includes('/A');
 
@@ -70,8 +70,10 @@ function parseSchedule13(rawContent, header) {
     result.reportingPerson.cik = header.filer.cik;
   }
 
-  // Try to extract ownership percentage from body text
-  const html = extractEmbeddedHtml(rawContent);
+  // Try to extract ownership percentage from the cover page (primary document only —
+  // exhibits such as joint filing agreements carry unrelated percentages)
+  const primary = primaryDocument(documents);
+  const html = primary ? (extractEmbeddedHtml(primary.body) || primary.body) : extractEmbeddedHtml(rawContent);
   if (html) {
     const text = stripHtml(html);
     // Look for ownership percentage
@@ -59,6 +59,20 @@ function extractEmbeddedXml(rawContent) {
   return match ? match[1] : null;
 }
 
+/**
+ * Footnotes of an ownershipDocument: [{ id: 'F1', text }].
+ * Transactions and holdings point at them with <footnoteId id="F1"/>.
+ */
+function extractFootnotes(xml) {
+  const footnotes = [];
+  const regex = /<footnote\s+id="(F\d+)">([\s\S]*?)<\/footnote>/g;
+  let match;
+  while ((match = regex.exec(xml)) !== null) {
+    footnotes.push({ id: match[1], text: decodeEntities(match[2].trim()) });
+  }
+  return footnotes;
+}
+
 /**
  * Extract embedded HTML content from a .txt SEC filing.
  * For forms like 8-K, DEF 14A that contain HTML.
@@ -76,17 +90,217 @@ function extractEmbeddedHtml(rawContent) {
 }
 
 /**
- * Decode HTML entities commonly found in SEC filings.
+ * Split a full EDGAR submission into its <DOCUMENT> blocks.
+ *
+ * Each document carries its TYPE / SEQUENCE / FILENAME / DESCRIPTION, the body
+ * inside <TEXT>, the body's offsets in rawContent (so text-match positions can be
+ * mapped back to an exhibit), a detected body format
+ * (xml | pdf | uuencoded | base64 | html | text), and a coarse role:
+ *   primary | press_release | employment_agreement | material_contract |
+ *   information_table | graphic | xbrl | exhibit | other
+ *
+ * Submissions without <DOCUMENT> wrappers yield a single primary document.
+ *
+ * @param {string} rawContent - Full .txt submission
+ * @param {string} [formType] - Submission type from the header (helps pick the primary)
+ * @returns {Array<object>}
+ */
+function splitDocuments(rawContent, formType) {
+  if (!rawContent) return [];
+  const docs = [];
+  const docRegex = /<DOCUMENT>([\s\S]*?)<\/DOCUMENT>/g;
+  let match;
+  while ((match = docRegex.exec(rawContent)) !== null) {
+    const block = match[1];
+    const blockStart = match.index + '<DOCUMENT>'.length;
+
+    const textOpen = block.indexOf('<TEXT>');
+    const textClose = block.lastIndexOf('</TEXT>');
+    const bodyStartInBlock = textOpen === -1 ? 0 : textOpen + '<TEXT>'.length;
+    const bodyEndInBlock = textClose === -1 || textClose < bodyStartInBlock ? block.length : textClose;
+    const preamble = textOpen === -1 ? block : block.slice(0, textOpen);
+
+    docs.push({
+      type: readDocumentField(preamble, 'TYPE'),
+      sequence: readDocumentField(preamble, 'SEQUENCE'),
+      filename: readDocumentField(preamble, 'FILENAME'),
+      description: readDocumentField(preamble, 'DESCRIPTION'),
+      body: block.slice(bodyStartInBlock, bodyEndInBlock),
+      start: blockStart + bodyStartInBlock,
+      end: blockStart + bodyEndInBlock,
+    });
+  }
+
+  if (docs.length === 0) {
+    docs.push({ type: formType || null, sequence: '1', filename: null, description: null, body: rawContent, start: 0, end: rawContent.length });
+  }
+
+  const submissionType = (formType || '').toUpperCase().trim();
+  docs.forEach((doc, i) => {
+    doc.format = detectDocumentFormat(doc.body);
+    doc.role = classifyDocumentRole(doc, i, submissionType);
+  });
+  return docs;
+}
+
+function readDocumentField(preamble, field) {
+  const m = preamble.match(new RegExp(`<${field}>([^\\r\\n<]*)`));
+  return m ? m[1].trim() || null : null;
+}
+
+function detectDocumentFormat(body) {
+  const head = body.slice(0, 2000);
+  if (/^\s*<XML>/i.test(head)) return 'xml';
+  if (/^\s*<PDF>/i.test(head)) return 'pdf';
+  if (/^begin [0-7]{3} \S+/m.test(head)) return 'uuencoded';
+  if (/(?:^[A-Za-z0-9+\/=]{60,}\r?\n){5}/m.test(head)) return 'base64';
+  if (/<html|<body|<div|<p[\s>]|<table/i.test(head)) return 'html';
+  return 'text';
+}
+
+function classifyDocumentRole(doc, index, submissionType) {
+  const type = (doc.type || '').toUpperCase();
+  const desc = (doc.description || '').toLowerCase();
+  const file = (doc.filename || '').toLowerCase();
+
+  if (index === 0 || (submissionType && type === submissionType)) return 'primary';
+  if (type === 'INFORMATION TABLE') return 'information_table';
+  if (type === 'GRAPHIC' || /\.(jpe?g|gif|png|bmp)$/.test(file)) return 'graphic';
+  if (/^EX-101/.test(type) || type === 'XML' || type === 'JSON' || /^R\d+\.htm$/i.test(file)) return 'xbrl';
+  if (/^EX-99/.test(type)) return /press|news|release|announce/.test(desc) || !desc ? 'press_release' : 'exhibit';
+  if (/^EX-10/.test(type)) {
+    return /employ|severance|separation|offer letter|retention|consulting|transition|compensat|change in control/.test(desc)
+      ? 'employment_agreement'
+      : 'material_contract';
+  }
+  if (/^EX-/.test(type)) return 'exhibit';
+  return 'other';
+}
+
+/**
+ * The submission's main document (falls back to the first document).
+ */
+function primaryDocument(documents) {
+  if (!documents || documents.length === 0) return null;
+  return documents.find(d => d.role === 'primary') || documents[0];
+}
+
+/**
+ * Short human-readable label for a document, e.g. "EX-99.1 (d123ex991.htm)".
+ */
+function describeDocument(doc) {
+  if (!doc) return null;
+  const type = doc.type || 'DOCUMENT';
+  return doc.filename ? `${type} (${doc.filename})` : type;
+}
+
+/**
+ * Find the document whose body contains a character offset of rawContent.
+ */
+function findDocumentAt(documents, position) {
+  if (!documents || position == null) return null;
+  return documents.find(d => position >= d.start && position < d.end) || null;
+}
+
+const BINARY_FORMATS = new Set(['pdf', 'uuencoded', 'base64']);
+const BINARY_EXTENSIONS_RE = /\.(jpe?g|gif|png|bmp|pdf|zip|xlsx?|docx?|pptx?)$/i;
+
+/**
+ * True for document bodies that are encoded binaries (GRAPHIC, PDF, ZIP, XLSX...)
+ * rather than readable text. Their bytes only ever produce garbage name hits.
+ */
+function isBinaryDocument(doc) {
+  if (!doc) return false;
+  return BINARY_FORMATS.has(doc.format) || doc.role === 'graphic' || BINARY_EXTENSIONS_RE.test(doc.filename || '');
+}
+
+/**
+ * Spans of the submission left to text-search once binary document bodies are
+ * cut out. Spans are [start, end) offsets into rawContent, so text-match positions
+ * still map back to documents via findDocumentAt.
+ *
+ * @param {string} rawContent - Full .txt submission
+ * @param {Array<object>} documents - splitDocuments() output (bodies not required)
+ * @returns {{ ranges: Array<[number, number]>, bytesSkipped: number, documentsSkipped: number }}
+ */
+function searchableRanges(rawContent, documents) {
+  const binary = (documents || []).filter(isBinaryDocument).sort((a, b) => a.start - b.start);
+  const ranges = [];
+  let cursor = 0;
+  let bytesSkipped = 0;
+  for (const doc of binary) {
+    if (doc.start < cursor) continue;
+    if (doc.start > cursor) ranges.push([cursor, doc.start]);
+    bytesSkipped += Buffer.byteLength(rawContent.slice(doc.start, doc.end));
+    cursor = doc.end;
+  }
+  if (cursor < rawContent.length || ranges.length === 0) ranges.push([cursor, rawContent.length]);
+  return { ranges, bytesSkipped, documentsSkipped: binary.length };
+}
+
+// HTML 4 named entities (plus &apos;), name -> code point. Latin-1 and Greek are
+// listed in code point order from their first character. No prototype, so
+// "&toString;" is an unknown entity rather than an Object method.
+const NAMED_ENTITIES = Object.assign(Object.create(null), { amp: 38, lt: 60, gt: 62, quot: 34, apos: 39 });
+function addEntityRun(names, firstCodePoint) {
+  names.split(' ').forEach((name, i) => {
+    if (name !== '_') NAMED_ENTITIES[name] = firstCodePoint + i;
+  });
+}
+addEntityRun(
+  'nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr ' +
+  'deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest ' +
+  'Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ' +
+  'ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig ' +
+  'agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml ' +
+  'eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml', 160);
+addEntityRun('Alpha Beta Gamma Delta Epsilon Zeta Eta Theta Iota Kappa Lambda Mu Nu Xi Omicron Pi Rho _ ' +
+  'Sigma Tau Upsilon Phi Chi Psi Omega', 913);
+addEntityRun('alpha beta gamma delta epsilon zeta eta theta iota kappa lambda mu nu xi omicron pi rho ' +
+  'sigmaf sigma tau upsilon phi chi psi omega', 945);
+Object.assign(NAMED_ENTITIES, {
+  OElig: 338, oelig: 339, Scaron: 352, scaron: 353, Yuml: 376, fnof: 402, circ: 710, tilde: 732,
+  thetasym: 977, upsih: 978, piv: 982,
+  ensp: 8194, emsp: 8195, thinsp: 8201, zwnj: 8204, zwj: 8205, lrm: 8206, rlm: 8207,
+  ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, sbquo: 8218, ldquo: 8220, rdquo: 8221, bdquo: 8222,
+  dagger: 8224, Dagger: 8225, bull: 8226, hellip: 8230, permil: 8240, prime: 8242, Prime: 8243,
+  lsaquo: 8249, rsaquo: 8250, oline: 8254, frasl: 8260, euro: 8364, image: 8465, weierp: 8472,
+  real: 8476, trade: 8482, alefsym: 8501, larr: 8592, uarr: 8593, rarr: 8594, darr: 8595, harr: 8596,
+  crarr: 8629, lArr: 8656, uArr: 8657, rArr: 8658, dArr: 8659, hArr: 8660, forall: 8704, part: 8706,
+  exist: 8707, empty: 8709, nabla: 8711, isin: 8712, notin: 8713, ni: 8715, prod: 8719, sum: 8721,
+  minus: 8722, lowast: 8727, radic: 8730, prop: 8733, infin: 8734, ang: 8736, and: 8743, or: 8744,
+  cap: 8745, cup: 8746, int: 8747, there4: 8756, sim: 8764, cong: 8773, asymp: 8776, ne: 8800,
+  equiv: 8801, le: 8804, ge: 8805, sub: 8834, sup: 8835, nsub: 8836, sube: 8838, supe: 8839,
+  oplus: 8853, otimes: 8855, perp: 8869, sdot: 8901, lceil: 8968, rceil: 8969, lfloor: 8970,
+  rfloor: 8971, lang: 9001, rang: 9002, loz: 9674, spades: 9824, clubs: 9827, hearts: 9829, diams: 9830,
+});
+
+const ENTITY_RE = /&(?:#(\d{1,7})|#[xX]([0-9a-fA-F]{1,6})|([A-Za-z][A-Za-z0-9]{1,8}));/g;
+
+function codePointToString(codePoint) {
+  if (!Number.isFinite(codePoint) || codePoint <= 0 || codePoint > 0x10ffff) return null;
+  if (codePoint >= 0xd800 && codePoint <= 0xdfff) return null;
+  return String.fromCodePoint(codePoint);
+}
+
+/**
+ * Decode one entity match (groups from ENTITY_RE); null when unknown.
+ */
+function decodeEntityMatch(decimal, hex, name) {
+  if (decimal) return codePointToString(parseInt(decimal, 10));
+  if (hex) return codePointToString(parseInt(hex, 16));
+  const codePoint = NAMED_ENTITIES[name] ?? NAMED_ENTITIES[name.toLowerCase()];
+  return codePoint ? String.fromCodePoint(codePoint) : null;
+}
+
+/**
+ * Decode HTML entities: all HTML 4 named entities and numeric references
+ * (decimal and hex). Single pass, so "&amp;lt;" stays "&lt;". Unknown
+ * entities are left as written.
  */
 function decodeEntities(text) {
   if (!text) return text;
-  return text
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&apos;/g, "'");
+  return text.replace(ENTITY_RE, (m, decimal, hex, name) => decodeEntityMatch(decimal, hex, name) ?? m);
 }
 
 /**
@@ -104,6 +318,15 @@ module.exports = {
   extractBool,
   extractEmbeddedXml,
   extractEmbeddedHtml,
+  extractFootnotes,
+  splitDocuments,
+  primaryDocument,
+  describeDocument,
+  findDocumentAt,
+  isBinaryDocument,
+  searchableRanges,
   decodeEntities,
+  decodeEntityMatch,
+  ENTITY_RE,
   stripHtml,
 };
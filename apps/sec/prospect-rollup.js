@@ -0,0 +1,167 @@
+/**
+ * Prospect Rollup — one row per prospect across every matched filing.
+ *
+ * The debug and client CSVs have one row per filing match, so a prolific
+ * insider shows up as dozens of rows. The rollup collapses them:
+ *
+ *   best verdict / confidence, filings counted by form type, total sale,
+ *   purchase and gift value, latest filing date, most recent role and title,
+ *   issuers involved, and one recommended action from the strongest signal.
+ *
+ * Dollar totals, role and the recommended action only use matches that are not
+ * LIKELY_FALSE_POSITIVE, and dollar totals only use structured matches — a text
+ * mention doesn't make the filing's transactions the prospect's. Sale / purchase
+ * / gift values are Form 4 codes S / P / G; 144 notices are intent, not sales.
+ * Versions superseded by a later amendment are left out entirely.
+ */
+
+const { isCurrentVersion } = require('./amendment-consolidator');
+
+const VERDICT_RANK = { LIKELY_VALID: 0, NEEDS_REVIEW: 1, MENTION_ONLY: 2, LIKELY_FALSE_POSITIVE: 3 };
+const URGENCY_RANK = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+
+const ROLLUP_CSV_COLUMNS = [
+  { id: 'strongest_tier', title: 'Signal Tier' },
+  { id: 'prospect_name', title: 'Prospect Name' },
+  { id: 'prospect_company', title: 'Prospect Company' },
+  { id: 'prospect_id', title: 'Prospect ID' },
+  { id: 'team_name', title: 'Team Name' },
+  { id: 'best_verdict', title: 'Best Verdict' },
+  { id: 'best_confidence', title: 'Best Confidence' },
+  { id: 'filing_count', title: 'Filings' },
+  { id: 'filings_by_form', title: 'Filings by Form' },
+  { id: 'total_sale_value', title: 'Total Sales ($)' },
+  { id: 'total_purchase_value', title: 'Total Purchases ($)' },
+  { id: 'total_gift_value', title: 'Total Gifts ($)' },
+  { id: 'total_personal_value', title: 'Personal Value ($)' },
+  { id: 'total_household_value', title: 'Household Value ($)' },
+  { id: 'total_charitable_value', title: 'Charitable Vehicle Value ($)' },
+  { id: 'latest_filed_date', title: 'Latest Filing' },
+  { id: 'latest_role', title: 'Most Recent Role' },
+  { id: 'latest_title', title: 'Most Recent Title' },
+  { id: 'issuers', title: 'Issuers' },
+  { id: 'strongest_signal', title: 'Strongest Signal' },
+  { id: 'recommended_action', title: 'Recommended Action' },
+];
+
+function verdictRank(r) {
+  return VERDICT_RANK[r.match_verdict] ?? 4;
+}
+
+function isCountable(r) {
+  return r.match_verdict !== 'LIKELY_FALSE_POSITIVE';
+}
+
+// Strongest first: lowest tier, highest urgency, best verdict, biggest value
+function compareSignal(a, b) {
+  if ((a.signal_tier || 9) !== (b.signal_tier || 9)) return (a.signal_tier || 9) - (b.signal_tier || 9);
+  const urgency = (URGENCY_RANK[a.urgency] ?? 3) - (URGENCY_RANK[b.urgency] ?? 3);
+  if (urgency !== 0) return urgency;
+  if (verdictRank(a) !== verdictRank(b)) return verdictRank(a) - verdictRank(b);
+  return (b.total_value || 0) - (a.total_value || 0);
+}
+
+function formatDate(yyyymmdd) {
+  const d = yyyymmdd || '';
+  return d.length === 8 ? `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}` : d;
+}
+
+function rollupOne(rows) {
+  const first = rows[0];
+  const countable = rows.filter(isCountable);
+  const pool = countable.length ? countable : rows;
+
+  const best = [...rows].sort((a, b) => verdictRank(a) - verdictRank(b) || (b.match_confidence || 0) - (a.match_confidence || 0))[0];
+  const strongest = [...pool].sort(compareSignal)[0];
+
+  // One count per filing, even when a filing matched through several names
+  const filings = new Map();
+  for (const r of rows) filings.set(r.accession_number || r.filename, r.form_type || 'Unknown');
+  const byForm = {};
+  for (const form of filings.values()) byForm[form] = (byForm[form] || 0) + 1;
+
+  let sale = 0;
+  let purchase = 0;
+  let gift = 0;
+  let personal = 0;
+  let household = 0;
+  let charitable = 0;
+  const counted = new Set();
+  for (const r of countable) {
+    const key = r.accession_number || r.filename;
+    if (r.match_method !== 'structured' || counted.has(key)) continue;
+    counted.add(key);
+    sale += r.sale_value || 0;
+    purchase += r.purchase_value || 0;
+    gift += r.gift_value || 0;
+    personal += r.personal_value || 0;
+    household += r.household_value || 0;
+    charitable += r.charitable_value || 0;
+  }
+
+  const byDateDesc = [...pool].sort((a, b) => (b.filed_date || '').localeCompare(a.filed_date || ''));
+  const latestWithRole = byDateDesc.find(r => r.filing_person_role);
+  const latestWithTitle = byDateDesc.find(r => r.filing_person_title);
+
+  const issuers = [];
+  for (const r of byDateDesc) {
+    if (!r.issuer_name) continue;
+    const label = r.issuer_ticker ? `${r.issuer_name} (${r.issuer_ticker})` : r.issuer_name;
+    if (!issuers.includes(label)) issuers.push(label);
+  }
+
+  return {
+    prospect_id: first.prospect_id,
+    prospect_name: first.prospect_name,
+    prospect_company: first.prospect_company || '',
+    team_name: first.team_name || '',
+    best_verdict: best.match_verdict || '',
+    best_confidence: best.match_confidence ?? '',
+    match_count: rows.length,
+    filing_count: filings.size,
+    filings_by_form: Object.entries(byForm)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([form, n]) => `${form}: ${n}`)
+      .join('; '),
+    total_sale_value: sale || '',
+    total_purchase_value: purchase || '',
+    total_gift_value: gift || '',
+    total_personal_value: personal || '',
+    total_household_value: household || '',
+    total_charitable_value: charitable || '',
+    latest_filed_date: formatDate(byDateDesc[0]?.filed_date),
+    latest_role: latestWithRole?.filing_person_role || '',
+    latest_title: latestWithTitle?.filing_person_title || '',
+    issuers: issuers.join('; '),
+    strongest_tier: strongest.signal_tier,
+    strongest_signal: strongest.signal_tier_label || '',
+    recommended_action: strongest.gift_officer_action || '',
+  };
+}
+
+/**
+ * Collapse per-filing results into one record per prospect, strongest first.
+ * @param {object[]} results - UnifiedMatcher results
+ * @returns {object[]}
+ */
+function buildProspectRollup(results) {
+  const byProspect = new Map();
+  for (const r of results) {
+    if (!isCurrentVersion(r)) continue;
+    const key = r.prospect_id || r.prospect_name;
+    if (!byProspect.has(key)) byProspect.set(key, []);
+    byProspect.get(key).push(r);
+  }
+
+  const verdictOrder = (v) => VERDICT_RANK[v] ?? 4;
+  return Array.from(byProspect.values(), rollupOne).sort((a, b) => {
+    if ((a.strongest_tier || 9) !== (b.strongest_tier || 9)) return (a.strongest_tier || 9) - (b.strongest_tier || 9);
+    if (verdictOrder(a.best_verdict) !== verdictOrder(b.best_verdict)) return verdictOrder(a.best_verdict) - verdictOrder(b.best_verdict);
+    const valueA = (a.total_sale_value || 0) + (a.total_gift_value || 0);
+    const valueB = (b.total_sale_value || 0) + (b.total_gift_value || 0);
+    if (valueA !== valueB) return valueB - valueA;
+    return (a.prospect_name || '').localeCompare(b.prospect_name || '');
+  });
+}
+
+module.exports = { buildProspectRollup, ROLLUP_CSV_COLUMNS };
@@ -0,0 +1,282 @@
+/**
+ * Prospect CSV schema — column mapping and pre-flight validation.
+ *
+ * CRM exports differ in how they name and split columns. config/prospect-columns.json
+ * maps each prospect field to the header names it may appear under (first present
+ * header wins, compared case-insensitively):
+ *
+ *   id, name                     — or firstName / middleName / lastName / suffix
+ *   nickname, maidenName         — extra name forms to match ("Bill", "Jones")
+ *   aliases                      — other full names (legal name, former name)
+ *   company, otherCompanies      — primary employer plus any others
+ *   entities                     — trusts, foundations, holding companies the prospect
+ *                                  owns or controls ("JS Capital LLC")
+ *   teamName, street, city, state, zip, cik
+ *
+ * nickname, maidenName, aliases, otherCompanies, entities and cik accept several values
+ * separated by ";" or "|".
+ *
+ * Every row is checked before matching starts; the validation report lists rows
+ * without an id, duplicate ids, duplicate names, names too short to match and
+ * rows that could not be read. Prospect ids must be unique for matching, so a
+ * blank id becomes "auto-<hash of name and company>" (stable when rows are added
+ * or reordered, so ledgers and identity stores keep working) and a repeated id
+ * gets a "#<n>" suffix; the report says which ids were assigned.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { normalizeCik } = require('./identity-store');
+const { hashValue } = require('./filing-ledger');
+const { foldText } = require('./text-normalize');
+
+const DEFAULT_COLUMNS_PATH = path.join(__dirname, 'config', 'prospect-columns.json');
+
+const FIELDS = [
+  'id', 'name', 'firstName', 'middleName', 'lastName', 'suffix', 'nickname', 'maidenName',
+  'aliases', 'company', 'otherCompanies', 'entities', 'teamName', 'street', 'city', 'state', 'zip', 'cik',
+];
+
+// Names shorter than this never reach the matcher's index
+const MIN_NAME_LENGTH = 4;
+
+/**
+ * Load and validate a column map file.
+ * @returns {{ [field]: string[] }}
+ */
+function loadColumnMap(filePath = DEFAULT_COLUMNS_PATH) {
+  const resolved = path.resolve(filePath);
+  const data = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  if (!data || typeof data.columns !== 'object' || Array.isArray(data.columns)) {
+    throw new Error(`Prospect column map ${resolved}: expected a "columns" object`);
+  }
+
+  const columns = {};
+  for (const [field, headers] of Object.entries(data.columns)) {
+    if (!FIELDS.includes(field)) {
+      throw new Error(`Prospect column map ${resolved}: unknown field "${field}" (expected one of ${FIELDS.join(', ')})`);
+    }
+    const list = Array.isArray(headers) ? headers : [headers];
+    if (!list.every(h => typeof h === 'string' && h.trim())) {
+      throw new Error(`Prospect column map ${resolved}: "${field}" must be a header name or a list of them`);
+    }
+    columns[field] = list;
+  }
+  if (!columns.name && !(columns.firstName && columns.lastName)) {
+    throw new Error(`Prospect column map ${resolved}: map "name", or "firstName" and "lastName"`);
+  }
+  return columns;
+}
+
+function headerKey(header) {
+  return String(header).replace(/^\uFEFF/, '').trim().toLowerCase();
+}
+
+/**
+ * Pick the CSV header used for each field.
+ * @returns {{ columns: { [field]: string }, unmapped: string[] }}
+ */
+function resolveColumns(headers, columnMap) {
+  const byKey = new Map(headers.map(h => [headerKey(h), h]));
+  const columns = {};
+  for (const [field, candidates] of Object.entries(columnMap)) {
+    const found = candidates.map(headerKey).find(k => byKey.has(k));
+    if (found) columns[field] = byKey.get(found);
+  }
+  const used = new Set(Object.values(columns));
+  return { columns, unmapped: headers.filter(h => !used.has(h) && h.trim()) };
+}
+
+function splitValues(value) {
+  return String(value || '').split(/[;|]/).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Build a prospect from one CSV row.
+ * @returns {{ prospect: object|null, problem: string|null }}
+ */
+function rowToProspect(row, columns) {
+  const value = (field) => (columns[field] ? String(row[columns[field]] ?? '').trim() : '');
+
+  const first = value('firstName');
+  const last = value('lastName');
+  const name = (value('name') || [first, value('middleName'), last, value('suffix')].filter(Boolean).join(' '))
+    .replace(/\s+/g, ' ');
+  if (!name) return { prospect: null, problem: 'no name' };
+  if (!/\p{L}/u.test(name)) return { prospect: null, problem: `name has no letters ("${name}")` };
+
+  const nameParts = name.replace(/,/g, '').split(' ');
+  const firstName = first || nameParts[0];
+  const rest = nameParts.slice(1).join(' ');
+
+  // Extra name forms, matched like the main name: "Bill Michael Smith", "Mary Jones"
+  const aliases = new Set(splitValues(value('aliases')).map(a => a.replace(/\s+/g, ' ')));
+  for (const nick of splitValues(value('nickname'))) {
+    if (rest) aliases.add(`${nick} ${rest}`);
+  }
+  for (const maiden of splitValues(value('maidenName'))) {
+    aliases.add([firstName, value('middleName'), maiden].filter(Boolean).join(' '));
+  }
+  aliases.delete(name);
+
+  const companies = [...new Set([value('company'), ...splitValues(value('otherCompanies'))].filter(Boolean))];
+  const entities = [...new Set(splitValues(value('entities')).map(e => e.replace(/\s+/g, ' ')))];
+  const ciks = [...new Set(splitValues(value('cik').replace(/,/g, ';')).map(normalizeCik).filter(Boolean))];
+  const address = { street: value('street'), city: value('city'), state: value('state'), zip: value('zip') };
+
+  const prospect = { id: value('id'), name, company: companies[0] || '', teamName: value('teamName') };
+  if (companies.length > 1) prospect.otherCompanies = companies.slice(1);
+  if (aliases.size > 0) prospect.aliases = [...aliases];
+  if (entities.length > 0) prospect.entities = entities;
+  if (ciks.length > 0) prospect.ciks = ciks;
+  if (Object.values(address).some(Boolean)) prospect.address = address;
+  return { prospect, problem: null };
+}
+
+function normalizeName(name) {
+  return foldText(name).toLowerCase().replace(/[,.]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Id for a row that has none, derived from its name and company.
+ */
+function derivedProspectId(prospect) {
+  return `auto-${hashValue([normalizeName(prospect.name), normalizeName(prospect.company || '')]).slice(0, 12)}`;
+}
+
+/**
+ * Validate parsed rows, make ids unique and build the report.
+ *
+ * @param {Array<{ line: number, prospect: object|null, problem: string|null }>} rows
+ * @param {object} [meta] - { columns, unmapped } from resolveColumns
+ * @returns {{ prospects: object[], report: object }}
+ */
+function validateProspects(rows, meta = {}) {
+  const report = {
+    totalRows: rows.length,
+    loaded: 0,
+    columns: meta.columns || {},
+    unmappedColumns: meta.unmapped || [],
+    missingIds: [],
+    duplicateIds: [],
+    duplicateNames: [],
+    shortNames: [],
+    unparseable: [],
+  };
+
+  const prospects = [];
+  const idCounts = new Map();
+  const linesById = new Map();
+  const byName = new Map();
+
+  for (const { line, prospect, problem } of rows) {
+    if (!prospect) {
+      report.unparseable.push({ line, reason: problem });
+      continue;
+    }
+
+    const missing = !prospect.id;
+    const original = prospect.id || derivedProspectId(prospect);
+    const seen = idCounts.get(original) || 0;
+    idCounts.set(original, seen + 1);
+    prospect.id = seen > 0 ? `${original}#${seen + 1}` : original;
+    if (missing) {
+      report.missingIds.push({ line, name: prospect.name, assignedId: prospect.id });
+    } else {
+      if (!linesById.has(original)) linesById.set(original, []);
+      linesById.get(original).push({ line, name: prospect.name, assignedId: prospect.id });
+    }
+
+    const compact = prospect.name.replace(/,/g, '').trim();
+    if (compact.length < MIN_NAME_LENGTH) {
+      report.shortNames.push({ line, id: prospect.id, name: prospect.name, reason: `under ${MIN_NAME_LENGTH} characters` });
+    } else if (!compact.includes(' ')) {
+      report.shortNames.push({ line, id: prospect.id, name: prospect.name, reason: 'single word' });
+    }
+
+    const key = normalizeName(prospect.name);
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push({ line, id: prospect.id, name: prospect.name, company: prospect.company });
+
+    prospects.push(prospect);
+  }
+
+  for (const [id, entries] of linesById) {
+    if (entries.length > 1) report.duplicateIds.push({ id, rows: entries });
+  }
+  for (const entries of byName.values()) {
+    if (entries.length > 1) report.duplicateNames.push({ name: entries[0].name, rows: entries });
+  }
+
+  report.loaded = prospects.length;
+  return { prospects, report };
+}
+
+/**
+ * Read a prospect CSV with a column map.
+ * @returns {Promise<{ prospects: object[], report: object }>}
+ */
+function readProspectCsv(csvPath, columnMap = loadColumnMap()) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    let headers = [];
+    let resolved = { columns: {}, unmapped: [] };
+    let line = 1;
+
+    fs.createReadStream(csvPath)
+      .pipe(csv())
+      .on('headers', (h) => {
+        headers = h;
+        resolved = resolveColumns(h, columnMap);
+      })
+      .on('data', (row) => {
+        line++;
+        // csv-parser names surplus fields _<index> and omits missing trailing ones
+        const fieldCount = Object.keys(row).length;
+        if (fieldCount !== headers.length) {
+          rows.push({ line, prospect: null, problem: `expected ${headers.length} fields, found ${fieldCount}` });
+          return;
+        }
+        rows.push({ line, ...rowToProspect(row, resolved.columns) });
+      })
+      .on('end', () => resolve(validateProspects(rows, resolved)))
+      .on('error', reject);
+  });
+}
+
+function hasProblems(report) {
+  return ['missingIds', 'duplicateIds', 'duplicateNames', 'shortNames', 'unparseable'].some(k => report[k].length > 0);
+}
+
+function printValidationReport(report, limit = 5) {
+  console.log('Prospect validation:');
+  console.log(`  Rows read:               ${report.totalRows} (${report.loaded} loaded)`);
+  const mapped = Object.entries(report.columns).map(([field, header]) => `${field}=${header}`).join(', ');
+  console.log(`  Columns:                 ${mapped || '(none recognised)'}`);
+  if (report.unmappedColumns.length) console.log(`  Ignored columns:         ${report.unmappedColumns.join(', ')}`);
+
+  const section = (label, items, describe) => {
+    if (!items.length) return;
+    console.log(`  ${label.padEnd(24)} ${items.length}`);
+    for (const item of items.slice(0, limit)) console.log(`    ${describe(item)}`);
+    if (items.length > limit) console.log(`    … ${items.length - limit} more`);
+  };
+  section('Missing ids:', report.missingIds, i => `line ${i.line}: ${i.name} → ${i.assignedId}`);
+  section('Duplicate ids:', report.duplicateIds, i => `${i.id}: ${i.rows.map(r => `line ${r.line} ${r.name} → ${r.assignedId}`).join('; ')}`);
+  section('Duplicate names:', report.duplicateNames, i => `${i.name}: ${i.rows.map(r => `${r.id}${r.company ? ` (${r.company})` : ''}`).join(', ')}`);
+  section('Too-short names:', report.shortNames, i => `line ${i.line}: "${i.name}" (${i.reason})`);
+  section('Unparseable rows:', report.unparseable, i => `line ${i.line}: ${i.reason}`);
+  if (!hasProblems(report)) console.log('  No problems found.');
+}
+
+module.exports = {
+  loadColumnMap,
+  resolveColumns,
+  rowToProspect,
+  validateProspects,
+  readProspectCsv,
+  printValidationReport,
+  hasProblems,
+  DEFAULT_COLUMNS_PATH,
+};
@@ -0,0 +1,271 @@
+/**
+ * Prospect Timeline — chronological activity per prospect.
+ *
+ * Turns a prospect's matched filings into an ordered list of events, e.g.
+ *
+ *   Form 3 (became insider) → Form 4 award → Form 144 notice → Form 4 sale → 8-K departure
+ *
+ * Structured matches contribute one event per parsed transaction, carrying
+ * shares / price / value / sharesAfter; filings without transactions (Form 3,
+ * 8-K, text mentions) contribute one filing-level event. LIKELY_FALSE_POSITIVE
+ * matches and filings superseded by an amendment are left out. Each event links
+ * to its filing on EDGAR.
+ *
+ * Written as one JSON file plus one Markdown (or HTML) file per prospect.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { isCurrentVersion } = require('./amendment-consolidator');
+
+// Transaction code -> event type
+const EVENT_BY_CODE = {
+  A: 'AWARD',
+  S: 'SALE',
+  P: 'PURCHASE',
+  G: 'GIFT',
+  M: 'OPTION_EXERCISE',
+  C: 'OPTION_EXERCISE',
+  X: 'OPTION_EXERCISE',
+  F: 'TAX_WITHHOLDING',
+  D: 'DISPOSITION_TO_ISSUER',
+  '144_NOTICE': 'SALE_NOTICE',
+  FORM_D: 'PRIVATE_OFFERING',
+  SC13D: 'OWNERSHIP_STAKE',
+  SC13G: 'OWNERSHIP_STAKE',
+  '13F': 'HOLDINGS_REPORT',
+};
+
+// Filing-level events for forms without transactions
+const EVENT_BY_FORM = {
+  FORM3: 'BECAME_INSIDER',
+  '8K': 'CORPORATE_EVENT',
+  DEF14A: 'PROXY_DISCLOSURE',
+};
+
+// Same-day tie-break: how the story reads (insider status before trades, notices before sales)
+const EVENT_ORDER = [
+  'BECAME_INSIDER', 'AWARD', 'OPTION_EXERCISE', 'TAX_WITHHOLDING', 'SALE_NOTICE', 'SALE',
+  'PURCHASE', 'GIFT', 'DISPOSITION_TO_ISSUER', 'OWNERSHIP_STAKE', 'PRIVATE_OFFERING',
+  'HOLDINGS_REPORT', 'PROXY_DISCLOSURE', 'CORPORATE_EVENT', 'TRANSACTION', 'MENTION', 'FILING',
+];
+
+/**
+ * Normalise the date shapes found in filings (YYYYMMDD, YYYY-MM-DD, MM/DD/YYYY) to YYYY-MM-DD.
+ */
+function normalizeDate(value) {
+  const s = String(value || '').trim();
+  let m = s.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (m) return `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+  return null;
+}
+
+/**
+ * EDGAR filing index URL for an accession number (needs any CIK on the filing).
+ */
+function edgarFilingUrl(accessionNumber, cik) {
+  if (!accessionNumber || !cik) return null;
+  const cikNum = String(cik).replace(/^0+/, '');
+  return `https://www.sec.gov/Archives/edgar/data/${cikNum}/${accessionNumber.replace(/-/g, '')}/${accessionNumber}-index.htm`;
+}
+
+function filingFields(r) {
+  return {
+    filed_date: normalizeDate(r.filed_date),
+    form_type: r.form_type || '',
+    issuer: r.issuer_name || '',
+    role: r.filing_person_role || '',
+    accession_number: r.accession_number || '',
+    url: edgarFilingUrl(r.accession_number, r.issuer_cik),
+    match_method: r.match_method,
+    match_verdict: r.match_verdict,
+    match_confidence: r.match_confidence,
+  };
+}
+
+function eventsForResult(r) {
+  const base = filingFields(r);
+  const label = (r.signal_tier_label || '').replace(/^Tier \d:\s*/, '');
+
+  if (r.match_method === 'structured' && r.transactions && r.transactions.length) {
+    return r.transactions.map(t => ({
+      date: normalizeDate(t.date) || base.filed_date,
+      event_type: EVENT_BY_CODE[t.code] || 'TRANSACTION',
+      description: t.label || t.code,
+      transaction_code: t.code,
+      shares: t.shares,
+      price_per_share: t.pricePerShare,
+      value: t.value,
+      shares_after: t.sharesAfter,
+      ...base,
+    }));
+  }
+
+  const eventType = r.match_method === 'structured'
+    ? EVENT_BY_FORM[r.normalized_type] || 'FILING'
+    : 'MENTION';
+  const description = eventType === 'MENTION'
+    ? `Named in ${r.form_type || 'filing'}${r.source_document ? ` — ${r.source_document}` : ''}`
+    : [label, base.role].filter(Boolean).join(' — ') || r.form_type;
+
+  return [{
+    date: base.filed_date,
+    event_type: eventType,
+    description,
+    transaction_code: null,
+    shares: null,
+    price_per_share: null,
+    value: null,
+    shares_after: null,
+    ...base,
+  }];
+}
+
+function compareEvents(a, b) {
+  if ((a.date || '') !== (b.date || '')) return (a.date || '').localeCompare(b.date || '');
+  const order = EVENT_ORDER.indexOf(a.event_type) - EVENT_ORDER.indexOf(b.event_type);
+  if (order !== 0) return order;
+  return (a.accession_number || '').localeCompare(b.accession_number || '');
+}
+
+/**
+ * Build timelines for prospects with at least minFilings matched filings.
+ *
+ * @param {object[]} results - UnifiedMatcher results
+ * @param {object} [options]
+ * @param {number} [options.minFilings=2]
+ * @returns {Array<{ prospect_id, prospect_name, prospect_company, filing_count, events: object[] }>}
+ */
+function buildTimelines(results, options = {}) {
+  const minFilings = options.minFilings ?? 2;
+  const byProspect = new Map();
+  for (const r of results) {
+    if (r.match_verdict === 'LIKELY_FALSE_POSITIVE' || !isCurrentVersion(r)) continue;
+    const key = r.prospect_id || r.prospect_name;
+    if (!byProspect.has(key)) byProspect.set(key, []);
+    byProspect.get(key).push(r);
+  }
+
+  const timelines = [];
+  for (const rows of byProspect.values()) {
+    // One entry per filing; a structured match beats a text mention of the same filing
+    const filings = new Map();
+    for (const r of rows) {
+      const key = r.accession_number || r.filename;
+      const existing = filings.get(key);
+      if (!existing || (existing.match_method !== 'structured' && r.match_method === 'structured')) filings.set(key, r);
+    }
+    if (filings.size < minFilings) continue;
+    timelines.push({
+      prospect_id: rows[0].prospect_id,
+      prospect_name: rows[0].prospect_name,
+      prospect_company: rows[0].prospect_company || '',
+      filing_count: filings.size,
+      events: Array.from(filings.values()).flatMap(eventsForResult).sort(compareEvents),
+    });
+  }
+  return timelines.sort((a, b) => (a.prospect_name || '').localeCompare(b.prospect_name || ''));
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+function fmtNumber(n) {
+  return n == null ? '' : Number(n).toLocaleString('en-US');
+}
+
+function fmtDollar(n) {
+  return n == null ? '' : '$' + Number(n).toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+function eventCells(e) {
+  return {
+    date: e.date || '',
+    form: e.form_type,
+    event: e.event_type.replace(/_/g, ' ').toLowerCase(),
+    detail: [e.description, e.issuer].filter(Boolean).join(' — '),
+    shares: fmtNumber(e.shares),
+    price: fmtDollar(e.price_per_share),
+    value: fmtDollar(e.value),
+    after: fmtNumber(e.shares_after),
+  };
+}
+
+function renderMarkdown(timeline) {
+  const escape = (s) => String(s).replace(/\|/g, '\\|');
+  const lines = [
+    `# ${timeline.prospect_name}${timeline.prospect_company ? ` (${timeline.prospect_company})` : ''}`,
+    '',
+    `Prospect ID: ${timeline.prospect_id || 'n/a'} · ${timeline.filing_count} filings · ${timeline.events.length} events`,
+    '',
+    '| Date | Form | Event | Detail | Shares | Price | Value | Shares After | Filing |',
+    '|---|---|---|---|---:|---:|---:|---:|---|',
+  ];
+  for (const e of timeline.events) {
+    const c = eventCells(e);
+    const filing = e.url ? `[${e.accession_number}](${e.url})` : e.accession_number;
+    lines.push(`| ${[c.date, c.form, c.event, c.detail, c.shares, c.price, c.value, c.after, filing].map(escape).join(' | ')} |`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function renderHtml(timeline) {
+  const escape = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const title = `${timeline.prospect_name}${timeline.prospect_company ? ` (${timeline.prospect_company})` : ''}`;
+  const rows = timeline.events.map((e) => {
+    const c = eventCells(e);
+    const filing = e.url ? `<a href="${escape(e.url)}">${escape(e.accession_number)}</a>` : escape(e.accession_number);
+    const cells = [c.date, c.form, c.event, c.detail].map(v => `<td>${escape(v)}</td>`)
+      .concat([c.shares, c.price, c.value, c.after].map(v => `<td class="num">${escape(v)}</td>`));
+    return `    <tr>${cells.join('')}<td>${filing}</td></tr>`;
+  });
+  return [
+    '<!DOCTYPE html>',
+    '<html><head><meta charset="utf-8">',
+    `<title>${escape(title)} — SEC activity</title>`,
+    '<style>body{font-family:sans-serif;margin:2em}table{border-collapse:collapse}td,th{border:1px solid #ccc;padding:4px 8px}.num{text-align:right}</style>',
+    '</head><body>',
+    `<h1>${escape(title)}</h1>`,
+    `<p>Prospect ID: ${escape(timeline.prospect_id || 'n/a')} · ${timeline.filing_count} filings · ${timeline.events.length} events</p>`,
+    '<table>',
+    '  <thead><tr><th>Date</th><th>Form</th><th>Event</th><th>Detail</th><th>Shares</th><th>Price</th><th>Value</th><th>Shares After</th><th>Filing</th></tr></thead>',
+    '  <tbody>',
+    ...rows,
+    '  </tbody>',
+    '</table>',
+    '</body></html>',
+    '',
+  ].join('\n');
+}
+
+function fileStem(timeline) {
+  const slug = (timeline.prospect_name || 'prospect').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return timeline.prospect_id ? `${timeline.prospect_id}_${slug}` : slug;
+}
+
+/**
+ * Write <stem>.json and <stem>.md|.html for every timeline into outputDir.
+ * @returns {number} Timelines written
+ */
+function writeTimelines(timelines, outputDir, format = 'md') {
+  fs.mkdirSync(outputDir, { recursive: true });
+  for (const timeline of timelines) {
+    const stem = path.join(outputDir, fileStem(timeline).replace(/[\\/]/g, '-'));
+    fs.writeFileSync(`${stem}.json`, JSON.stringify(timeline, null, 2), 'utf-8');
+    const rendered = format === 'html' ? renderHtml(timeline) : renderMarkdown(timeline);
+    fs.writeFileSync(`${stem}.${format === 'html' ? 'html' : 'md'}`, rendered, 'utf-8');
+  }
+  return timelines.length;
+}
+
+module.exports = {
+  buildTimelines,
+  writeTimelines,
+  renderMarkdown,
+  renderHtml,
+  normalizeDate,
+  edgarFilingUrl,
+};
@@ -3,24 +3,26 @@
 /**
  * SEC Filing Matcher — Entry Point
  *
- * Runs the intelligent filing-aware matcher against:
- *   - Phillips Academy prospect list (17,152 prospects)
- *   - SEC Filings folder (6,719 filings)
+ * Runs the intelligent filing-aware matcher against a prospect CSV and one or
+ * more folders of EDGAR .txt submissions, and writes enriched matches sorted
+ * by signal tier. Run with --help for flags, config file format and exit codes.
  *
- * Outputs a CSV with enriched matches sorted by signal tier.
+ *   node run-sec-matcher.js --prospects data/prospects.csv --filings data/filings
  */
 
 const UnifiedMatcher = require('./UnifiedMatcher');
+const AdaptiveMatchingRules = require('./adaptive-matcher-rules');
+const { loadSignalRules, setSignalRules } = require('./signal-classifier');
+const { loadColumnMap, printValidationReport, hasProblems } = require('./prospect-schema');
+const { loadNicknames } = require('./nicknames');
+const { loadClosingPrices, loadGiftInstitutions } = require('./gifts');
+const { resolveOptions, HELP_TEXT, EXIT_CODES } = require('./cli-options');
+const { buildTimelines, writeTimelines } = require('./prospect-timeline');
+const { correlateSales, exportSaleCorrelationCsv, printSaleCorrelationSummary } = require('./sale-correlator');
+const { findPreviousRun, loadRunResults, computeDelta, exportDeltaCsv, exportDeltaJson, printDeltaSummary } = require('./delta-report');
 const path = require('path');
 const fs = require('fs');
 
-// --- Configuration ---
-const PROSPECTS_CSV = '/Users/swajanjain/Downloads/Prospect Data.csv';
-const SEC_FILINGS_FOLDER = '/Users/swajanjain/Downloads/Matched SEC Filings';
-const OUTPUT_FOLDER = path.join(__dirname, 'matches');
-// Set to a number to process only first N filings (for testing), or null for all
-const MAX_FILES = process.env.MAX_FILES ? parseInt(process.env.MAX_FILES, 10) : null;
-
 function makeProgressBar(current, total, width) {
   const ratio = current / total;
   const filled = Math.round(width * ratio);
@@ -29,34 +31,95 @@ function makeProgressBar(current, total, width) {
 }
 
 async function main() {
+  const { help, options } = resolveOptions(process.argv.slice(2));
+  if (help) {
+    process.stdout.write(HELP_TEXT);
+    return EXIT_CODES.OK;
+  }
+
   console.log('UNIFIED MATCHER — Structured Parsing + Adaptive Validation');
   console.log('='.repeat(80));
   console.log('');
-  console.log(`Prospects CSV:     ${PROSPECTS_CSV}`);
-  console.log(`SEC Filings:       ${SEC_FILINGS_FOLDER}`);
-  console.log(`Output folder:     ${OUTPUT_FOLDER}`);
-  if (MAX_FILES) console.log(`Max files:         ${MAX_FILES} (testing mode)`);
+  console.log(`Prospects CSV:     ${options.prospects}`);
+  for (const folder of options.filings) {
+    console.log(`SEC Filings:       ${folder}`);
+  }
+  console.log(`Output folder:     ${options.output}`);
+  console.log(`Output formats:    ${options.formats.join(', ')}`);
+  if (options.from || options.to) console.log(`Filed date range:  ${options.from || '*'} → ${options.to || '*'}`);
+  if (options.includeForms.length) console.log(`Include forms:     ${options.includeForms.join(', ')}`);
+  if (options.excludeForms.length) console.log(`Exclude forms:     ${options.excludeForms.join(', ')}`);
+  if (options.maxFiles) console.log(`Max files:         ${options.maxFiles} (testing mode)`);
+  if (options.workers > 1) console.log(`Worker threads:    ${options.workers}`);
+  if (options.ledger) console.log(`Filing ledger:     ${options.ledger}`);
+  if (options.identityStore) console.log(`Identity store:    ${options.identityStore}`);
+  if (options.deltaFrom) console.log(`Delta from:        ${options.deltaFrom}`);
   console.log('');
 
   // Validate inputs
-  if (!fs.existsSync(PROSPECTS_CSV)) {
-    console.error(`Error: Prospects CSV not found: ${PROSPECTS_CSV}`);
-    process.exit(1);
+  if (!fs.existsSync(options.prospects)) {
+    console.error(`Error: Prospects CSV not found: ${options.prospects}`);
+    return EXIT_CODES.INPUT_MISSING;
+  }
+  for (const folder of options.filings) {
+    if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+      console.error(`Error: SEC Filings folder not found: ${folder}`);
+      return EXIT_CODES.INPUT_MISSING;
+    }
   }
-  if (!fs.existsSync(SEC_FILINGS_FOLDER)) {
-    console.error(`Error: SEC Filings folder not found: ${SEC_FILINGS_FOLDER}`);
-    process.exit(1);
+  fs.mkdirSync(options.output, { recursive: true });
+  // One timestamp names every file this run writes
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+
+  // Rule files are user-edited config: report a broken one as a usage error
+  let adaptiveOverrides;
+  let nicknames;
+  const gifts = { priceSource: options.giftPriceSource };
+  let columnMap;
+  try {
+    if (options.signalRules) {
+      setSignalRules(loadSignalRules(options.signalRules));
+      console.log(`Signal rules:      ${options.signalRules}`);
+    }
+    if (options.adaptiveOverrides) {
+      adaptiveOverrides = AdaptiveMatchingRules.loadOverridesFile(options.adaptiveOverrides);
+    }
+    if (options.nicknames) {
+      nicknames = loadNicknames(options.nicknames);
+      console.log(`Nicknames:         ${options.nicknames}`);
+    }
+    if (options.closingPrices) {
+      gifts.closingPrices = loadClosingPrices(options.closingPrices);
+      console.log(`Closing prices:    ${options.closingPrices}`);
+    }
+    if (options.giftInstitutions) {
+      gifts.institutions = loadGiftInstitutions(options.giftInstitutions);
+      console.log(`Gift institutions: ${options.giftInstitutions}`);
+    }
+    columnMap = loadColumnMap(options.prospectColumns || undefined);
+    if (options.prospectColumns) console.log(`Prospect columns:  ${options.prospectColumns}`);
+  } catch (err) {
+    err.exitCode = EXIT_CODES.USAGE;
+    throw err;
   }
-  fs.mkdirSync(OUTPUT_FOLDER, { recursive: true });
 
-  const matcher = new UnifiedMatcher();
+  const matcher = new UnifiedMatcher({ adaptiveOverrides, nicknames, gifts });
 
   // Step 1: Load prospects
   console.log('Loading prospects...');
-  const count = await matcher.loadProspects(PROSPECTS_CSV);
+  const count = await matcher.loadProspects(options.prospects, columnMap);
   console.log(`Loaded ${count} prospects.`);
   console.log('');
 
+  // Pre-flight check of the CRM export, before any filing is read
+  printValidationReport(matcher.prospectReport);
+  if (hasProblems(matcher.prospectReport)) {
+    const reportPath = path.join(options.output, `sec_prospect_validation_${timestamp}.json`);
+    fs.writeFileSync(reportPath, JSON.stringify(matcher.prospectReport, null, 2), 'utf-8');
+    console.log(`  Full report:             ${reportPath}`);
+  }
+  console.log('');
+
   // Show sample
   console.log('Sample prospects:');
   matcher.prospects.slice(0, 5).forEach((p, i) => {
@@ -68,8 +131,15 @@ async function main() {
   const startTime = Date.now();
   console.log('Processing filings...\n');
 
-  const results = await matcher.processFilings(SEC_FILINGS_FOLDER, {
-    maxFiles: MAX_FILES,
+  const results = await matcher.processFilings(options.filings, {
+    maxFiles: options.maxFiles,
+    workers: options.workers,
+    ledgerPath: options.ledger,
+    identityStorePath: options.identityStore,
+    fromDate: options.from,
+    toDate: options.to,
+    includeForms: options.includeForms,
+    excludeForms: options.excludeForms,
     progressCallback: (progress) => {
       const pct = ((progress.current / progress.total) * 100).toFixed(1);
       const elapsed = ((Date.now() - startTime) / 1000).toFixed(0);
@@ -85,17 +155,48 @@ async function main() {
   // Step 3: Print stats
   matcher.printStats();
 
-  // Step 4: Export to CSV
+  // Resolve the previous run before this run's files land in the same folder
+  const previousRun = options.deltaFrom ? findPreviousRun(options.deltaFrom) : null;
+
+  // Step 4: Export
   if (results.length > 0) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    const debugPath = path.join(OUTPUT_FOLDER, `sec_matches_debug_${timestamp}.csv`);
-    const clientPath = path.join(OUTPUT_FOLDER, `sec_matches_client_${timestamp}.csv`);
 
-    console.log(`\nExporting ${results.length} results to CSV...`);
-    await matcher.exportToCsv(debugPath);
-    console.log(`Debug CSV (44 fields):  ${debugPath}`);
-    await matcher.exportClientCsv(clientPath);
-    console.log(`Client CSV (16 fields): ${clientPath}`);
+    console.log(`\nExporting ${results.length} results...`);
+    if (options.formats.includes('debug')) {
+      const debugPath = path.join(options.output, `sec_matches_debug_${timestamp}.csv`);
+      await matcher.exportToCsv(debugPath);
+      console.log(`Debug CSV:              ${debugPath}`);
+    }
+    if (options.formats.includes('client')) {
+      const clientPath = path.join(options.output, `sec_matches_client_${timestamp}.csv`);
+      await matcher.exportClientCsv(clientPath);
+      console.log(`Client CSV:             ${clientPath}`);
+    }
+    if (options.formats.includes('rollup')) {
+      const rollupPath = path.join(options.output, `sec_prospect_rollup_${timestamp}.csv`);
+      await matcher.exportRollupCsv(rollupPath);
+      console.log(`Prospect rollup CSV:    ${rollupPath}`);
+    }
+    if (options.formats.includes('sales')) {
+      const correlations = correlateSales(results, { pendingDays: options.pendingDays });
+      if (correlations.length > 0) {
+        const salesPath = path.join(options.output, `sec_144_sales_${timestamp}.csv`);
+        await exportSaleCorrelationCsv(correlations, salesPath);
+        console.log(`144 → Form 4 sales CSV: ${salesPath}`);
+        printSaleCorrelationSummary(correlations, options.pendingDays);
+      }
+    }
+    if (options.formats.includes('json')) {
+      const jsonPath = path.join(options.output, `sec_matches_${timestamp}.json`);
+      await matcher.exportToJson(jsonPath);
+      console.log(`JSON results:           ${jsonPath}`);
+    }
+    if (options.formats.includes('timeline')) {
+      const timelineDir = path.join(options.output, `sec_timelines_${timestamp}`);
+      const timelines = buildTimelines(results, { minFilings: options.timelineMinFilings });
+      writeTimelines(timelines, timelineDir, options.timelineFormat);
+      console.log(`Timelines:              ${timelineDir} (${timelines.length} prospects)`);
+    }
 
     // Show top 10 Tier 1 results
     const tier1 = results.filter(r => r.signal_tier === 1).sort((a, b) => (b.total_value || 0) - (a.total_value || 0));
@@ -117,11 +218,35 @@ async function main() {
     console.log('\nNo matches found.');
   }
 
+  // Step 5: Delta vs previous run
+  if (options.deltaFrom) {
+    if (!previousRun) console.log(`\nNo previous run found at ${options.deltaFrom} — every match is new.`);
+    const previousResults = previousRun ? await loadRunResults(previousRun) : [];
+    const delta = computeDelta(previousResults, results);
+    printDeltaSummary(delta, previousRun || '(none)');
+
+    const deltaCsvPath = path.join(options.output, `sec_delta_${timestamp}.csv`);
+    const deltaJsonPath = path.join(options.output, `sec_delta_${timestamp}.json`);
+    await exportDeltaCsv(delta, deltaCsvPath);
+    exportDeltaJson(delta, deltaJsonPath, previousRun);
+    console.log(`\nDelta CSV:              ${deltaCsvPath}`);
+    console.log(`Delta JSON:             ${deltaJsonPath}`);
+  }
+
   console.log('Done.');
+  return EXIT_CODES.OK;
 }
 
-main().catch(err => {
+main().then((code) => {
+  process.exitCode = code;
+}).catch(err => {
+  if (err.exitCode === EXIT_CODES.USAGE) {
+    console.error(`Error: ${err.message}\n`);
+    console.error('Run with --help for usage.');
+    process.exitCode = EXIT_CODES.USAGE;
+    return;
+  }
   console.error('Fatal error:', err.message);
   console.error(err.stack);
-  process.exit(1);
+  process.exitCode = EXIT_CODES.FAILURE;
 });
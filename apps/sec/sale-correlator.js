@@ -0,0 +1,209 @@
+/**
+ * Form 144 ↔ Form 4 Sale Correlator
+ *
+ * A Form 144 notice says an insider intends to sell; the Form 4 "S" transactions
+ * that follow show what was actually sold. This pairs each matched 144 notice
+ * with the later Form 4 sales by the same reporting owner (CIK, or the same
+ * matched prospect when a CIK is missing) in the same issuer, and reports
+ * realized vs. intended shares and dollars.
+ *
+ * Pairing rules:
+ *   - a sale counts toward a notice if it falls between 3 days before the notice
+ *     was filed and 90 days after it (a 144 notice covers sales over ~3 months)
+ *   - notices are filled oldest first; each sale is used once
+ *   - a notice is FULFILLED once realized shares reach the intended shares
+ *     (dollars when the notice has no share count), PARTIAL if anything sold,
+ *     otherwise UNFULFILLED
+ *
+ * Anything not FULFILLED more than `pendingDays` after the notice was filed is
+ * flagged liquidity_pending — the insider has (or will have) cash that hasn't
+ * shown up in a Form 4 yet. Age is measured against `asOfDate`, which defaults to
+ * the latest filing date in the result set (the mirror's horizon, not today).
+ *
+ * Notices and sales superseded by an amendment are ignored; the amended values count.
+ */
+
+const { isCurrentVersion } = require('./amendment-consolidator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOOKBACK_DAYS = 3;
+const WINDOW_DAYS = 90;
+
+function toTime(value) {
+  const s = String(value || '').trim();
+  let m = s.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (m) return Date.UTC(+m[1], +m[2] - 1, +m[3]);
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})$/);
+  if (m) {
+    const year = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+    return Date.UTC(year, +m[1] - 1, +m[2]);
+  }
+  return null;
+}
+
+function toIsoDate(time) {
+  return time == null ? null : new Date(time).toISOString().slice(0, 10);
+}
+
+function normalizeCik(cik) {
+  return cik ? String(cik).replace(/^0+/, '') : null;
+}
+
+function issuerKey(r) {
+  const cik = normalizeCik(r.issuer_cik);
+  if (cik) return `cik:${cik}`;
+  const name = (r.issuer_name || '')
+    .toLowerCase()
+    .replace(/\b(inc|incorporated|corp|corporation|co|company|ltd|llc|plc|holdings)\b\.?/g, '')
+    .replace(/[^a-z0-9]/g, '');
+  return name ? `name:${name}` : null;
+}
+
+function sameOwner(notice, sale) {
+  if (notice.ownerCik && sale.ownerCik) return notice.ownerCik === sale.ownerCik;
+  return notice.prospectId === sale.prospectId;
+}
+
+function isUsable(r) {
+  return r.match_method === 'structured' && r.match_verdict !== 'LIKELY_FALSE_POSITIVE' && isCurrentVersion(r);
+}
+
+/**
+ * Pair 144 notices with Form 4 sales.
+ *
+ * @param {object[]} results - UnifiedMatcher results (structured matches carry `transactions`)
+ * @param {object} [options]
+ * @param {number} [options.pendingDays=14] - Flag unfulfilled notices older than this
+ * @param {string} [options.asOfDate] - YYYY-MM-DD; defaults to the latest filed_date in results
+ * @returns {object[]} One record per notice, oldest first
+ */
+function correlateSales(results, options = {}) {
+  const pendingDays = options.pendingDays ?? 14;
+
+  const notices = [];
+  const sales = [];
+  const seenNotices = new Set();
+  const seenSales = new Set();
+  let horizon = null;
+
+  for (const r of results) {
+    const filed = toTime(r.filed_date);
+    if (filed != null && (horizon == null || filed > horizon)) horizon = filed;
+    if (!isUsable(r)) continue;
+
+    const owner = { prospectId: r.prospect_id, ownerCik: normalizeCik(r.filing_person_cik), issuer: issuerKey(r) };
+    for (const [i, t] of (r.transactions || []).entries()) {
+      if (t.code === '144_NOTICE') {
+        const key = `${r.accession_number}|${owner.prospectId}|${i}`;
+        if (seenNotices.has(key)) continue;
+        seenNotices.add(key);
+        notices.push({ ...owner, result: r, filed, intendedDate: toTime(t.date), shares: t.shares || null, value: t.value || null });
+      } else if (t.code === 'S') {
+        // The same Form 4 can match a prospect twice (several name variants); count its sales once
+        const key = `${r.accession_number}|${owner.ownerCik || owner.prospectId}|${i}`;
+        if (seenSales.has(key)) continue;
+        seenSales.add(key);
+        sales.push({ ...owner, result: r, date: toTime(t.date) ?? filed, shares: t.shares || 0, value: t.value || 0, used: false });
+      }
+    }
+  }
+
+  const asOf = options.asOfDate ? toTime(options.asOfDate) : horizon;
+  notices.sort((a, b) => (a.filed ?? 0) - (b.filed ?? 0));
+  sales.sort((a, b) => (a.date ?? 0) - (b.date ?? 0));
+
+  return notices.map((notice) => {
+    const from = notice.filed != null ? notice.filed - LOOKBACK_DAYS * DAY_MS : null;
+    const to = notice.filed != null ? notice.filed + WINDOW_DAYS * DAY_MS : null;
+
+    let realizedShares = 0;
+    let realizedValue = 0;
+    const matched = [];
+    const isFilled = () => (notice.shares ? realizedShares >= notice.shares : !!notice.value && realizedValue >= notice.value);
+    for (const sale of sales) {
+      if (sale.used || !sameOwner(notice, sale) || sale.issuer !== notice.issuer) continue;
+      if (from != null && (sale.date == null || sale.date < from || sale.date > to)) continue;
+      sale.used = true;
+      matched.push(sale);
+      realizedShares += sale.shares;
+      realizedValue += sale.value;
+      if (isFilled()) break;
+    }
+
+    const status = isFilled() ? 'FULFILLED' : matched.length ? 'PARTIAL' : 'UNFULFILLED';
+    const daysSince = asOf != null && notice.filed != null ? Math.round((asOf - notice.filed) / DAY_MS) : null;
+    const intended = notice.shares || notice.value;
+    const realized = notice.shares ? realizedShares : realizedValue;
+
+    const r = notice.result;
+    return {
+      prospect_id: r.prospect_id,
+      prospect_name: r.prospect_name,
+      owner_cik: notice.ownerCik,
+      issuer_name: r.issuer_name || '',
+      issuer_ticker: r.issuer_ticker || '',
+      notice_accession: r.accession_number,
+      notice_filed_date: toIsoDate(notice.filed),
+      intended_sale_date: toIsoDate(notice.intendedDate),
+      intended_shares: notice.shares,
+      intended_value: notice.value,
+      realized_shares: realizedShares,
+      realized_value: Math.round(realizedValue * 100) / 100,
+      realized_pct: intended ? Math.round((realized / intended) * 100) : null,
+      sale_accessions: [...new Set(matched.map(s => s.result.accession_number))].join(', '),
+      first_sale_date: toIsoDate(matched[0]?.date),
+      last_sale_date: toIsoDate(matched[matched.length - 1]?.date),
+      days_since_notice: daysSince,
+      status,
+      liquidity_pending: status !== 'FULFILLED' && daysSince != null && daysSince > pendingDays,
+    };
+  });
+}
+
+const SALE_CORRELATION_CSV_COLUMNS = [
+  { id: 'status', title: 'Status' },
+  { id: 'liquidity_pending', title: 'Liquidity Pending' },
+  { id: 'prospect_name', title: 'Prospect Name' },
+  { id: 'prospect_id', title: 'Prospect ID' },
+  { id: 'issuer_name', title: 'Issuer/Company' },
+  { id: 'issuer_ticker', title: 'Ticker' },
+  { id: 'notice_filed_date', title: '144 Filed' },
+  { id: 'intended_sale_date', title: 'Intended Sale Date' },
+  { id: 'intended_shares', title: 'Intended Shares' },
+  { id: 'intended_value', title: 'Intended Value ($)' },
+  { id: 'realized_shares', title: 'Realized Shares' },
+  { id: 'realized_value', title: 'Realized Value ($)' },
+  { id: 'realized_pct', title: 'Realized %' },
+  { id: 'first_sale_date', title: 'First Sale' },
+  { id: 'last_sale_date', title: 'Last Sale' },
+  { id: 'days_since_notice', title: 'Days Since Notice' },
+  { id: 'notice_accession', title: '144 Accession' },
+  { id: 'sale_accessions', title: 'Form 4 Accessions' },
+];
+
+async function exportSaleCorrelationCsv(correlations, outputPath) {
+  const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+  const writer = createCsvWriter({ path: outputPath, header: SALE_CORRELATION_CSV_COLUMNS });
+  await writer.writeRecords(correlations);
+  return outputPath;
+}
+
+function printSaleCorrelationSummary(correlations, pendingDays) {
+  const count = (status) => correlations.filter(c => c.status === status).length;
+  const pending = correlations.filter(c => c.liquidity_pending);
+
+  console.log('\n' + '='.repeat(80));
+  console.log('FORM 144 → FORM 4 SALES');
+  console.log('='.repeat(80));
+  console.log(`144 notices matched:       ${correlations.length}`);
+  console.log(`  Fulfilled:               ${count('FULFILLED')}`);
+  console.log(`  Partially sold:          ${count('PARTIAL')}`);
+  console.log(`  No sale yet:             ${count('UNFULFILLED')}`);
+  console.log(`  Liquidity pending (>${pendingDays}d): ${pending.length}`);
+  for (const c of pending.slice(0, 10)) {
+    const intended = c.intended_value ? `$${Math.round(c.intended_value).toLocaleString()}` : `${(c.intended_shares || 0).toLocaleString()} shares`;
+    console.log(`    ${c.prospect_name} | ${c.issuer_name || 'N/A'} | ${intended} intended | ${c.realized_pct ?? 0}% realized | ${c.days_since_notice}d`);
+  }
+}
+
+module.exports = { correlateSales, exportSaleCorrelationCsv, printSaleCorrelationSummary };
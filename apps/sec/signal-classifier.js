@@ -0,0 +1,191 @@
+/**
+ * Signal Classifier — turns a parsed filing into a gift-officer signal.
+ *
+ * Tiers, dollar thresholds and action text live in config/signal-rules.json
+ * so research can tune them without touching code. Each rule has a `when`
+ * block evaluated against the parser output:
+ *   - transactionCodes: any transaction with one of these codes (S, G, 144_NOTICE, FORM_D...)
+ *   - alertTypes:       any alert with one of these types (UPCOMING_SALE, PERSONNEL_CHANGE...)
+ *   - formTypes:        normalized form type (FORM4, 8K, SC13D...)
+ *   - minValue/maxValue: summed value of the matching transactions (rules without
+ *                        transactionCodes carry no value, so 13F AUM never leaks in)
+ *
+ * Every matching rule contributes its dimensions; the strongest rule (lowest
+ * tier, then highest urgency, then file order) sets tier, urgency and action.
+ * Rules sharing a `group` are ordered strongest-first and only the first match
+ * in a group is reported, so "Major Stock Sale" doesn't also list "Stock Sale".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, 'config', 'signal-rules.json');
+
+const URGENCY_ORDER = { HIGH: 0, MEDIUM: 1, LOW: 2 };
+const VALID_TIERS = [1, 2, 3];
+
+// Used when a rule file has no "default" block and no rule matches
+const FALLBACK_DEFAULT = {
+  id: 'mention',
+  tier: 3,
+  urgency: 'LOW',
+  label: 'Filing Mention',
+  dimensions: ['NETWORK'],
+  action: 'Named in a {formType} filing for {issuer}. Relationship context only; no immediate action.',
+};
+
+let activeRules = null;
+
+/**
+ * Load and validate a rule file (.json or .js exporting the same shape).
+ * Throws with the offending rule id so a bad edit fails loudly at startup.
+ */
+function loadSignalRules(filePath = DEFAULT_RULES_PATH) {
+  const resolved = path.resolve(filePath);
+  let rules;
+  if (resolved.endsWith('.js')) {
+    delete require.cache[resolved];
+    rules = require(resolved);
+  } else {
+    rules = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  }
+  validateRules(rules, resolved);
+  return rules;
+}
+
+function validateRules(rules, source) {
+  if (!rules || !Array.isArray(rules.rules)) {
+    throw new Error(`Signal rules ${source}: expected a "rules" array`);
+  }
+  const all = rules.default ? [...rules.rules, rules.default] : rules.rules;
+  for (const rule of all) {
+    const id = rule.id || '(unnamed)';
+    if (!VALID_TIERS.includes(rule.tier)) {
+      throw new Error(`Signal rule "${id}" in ${source}: tier must be 1, 2 or 3`);
+    }
+    if (!(rule.urgency in URGENCY_ORDER)) {
+      throw new Error(`Signal rule "${id}" in ${source}: urgency must be HIGH, MEDIUM or LOW`);
+    }
+    if (typeof rule.action !== 'string' || !rule.action) {
+      throw new Error(`Signal rule "${id}" in ${source}: action text is required`);
+    }
+    if (rule !== rules.default && (!rule.when || typeof rule.when !== 'object')) {
+      throw new Error(`Signal rule "${id}" in ${source}: a "when" block is required`);
+    }
+  }
+}
+
+/**
+ * Replace the active rule set (e.g. from a --config override).
+ */
+function setSignalRules(rules) {
+  validateRules(rules, '(in-memory)');
+  activeRules = rules;
+}
+
+function getSignalRules() {
+  if (!activeRules) activeRules = loadSignalRules();
+  return activeRules;
+}
+
+// ---------------------------------------------------------------------------
+// Rule evaluation
+// ---------------------------------------------------------------------------
+
+function evaluateRule(rule, parsed) {
+  const when = rule.when || {};
+  const transactions = parsed.transactions || [];
+  const alerts = parsed.alerts || [];
+
+  if (when.formTypes && !when.formTypes.includes(parsed.normalizedType)) return null;
+
+  let relevantTxs = [];
+  if (when.transactionCodes) {
+    relevantTxs = transactions.filter(t => when.transactionCodes.includes(t.code));
+    if (relevantTxs.length === 0) return null;
+  }
+
+  if (when.alertTypes && !alerts.some(a => when.alertTypes.includes(a.type))) return null;
+
+  const value = relevantTxs.reduce((sum, t) => sum + (t.value || 0), 0);
+  if (when.minValue != null && value < when.minValue) return null;
+  if (when.maxValue != null && value > when.maxValue) return null;
+
+  return { rule, value };
+}
+
+function compareMatches(a, b) {
+  if (a.rule.tier !== b.rule.tier) return a.rule.tier - b.rule.tier;
+  return URGENCY_ORDER[a.rule.urgency] - URGENCY_ORDER[b.rule.urgency];
+}
+
+function fillTemplate(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (whole, key) => (vars[key] != null ? vars[key] : whole));
+}
+
+function formatDollar(amount) {
+  if (!amount) return '$0';
+  return '$' + amount.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+}
+
+/**
+ * Classify a parsed filing.
+ *
+ * @param {object} parsed - Output of parseFiling()
+ * @param {object} [rules] - Rule set; defaults to config/signal-rules.json
+ * @returns {{ tier, tierLabel, dimensions: string[], urgency, giftOfficerAction, summary, ruleIds: string[] }}
+ */
+function classifySignal(parsed, rules = getSignalRules()) {
+  const matches = [];
+  const seenGroups = new Set();
+  for (const rule of rules.rules) {
+    if (rule.group && seenGroups.has(rule.group)) continue;
+    const m = evaluateRule(rule, parsed);
+    if (!m) continue;
+    if (rule.group) seenGroups.add(rule.group);
+    matches.push(m);
+  }
+
+  const issuerName = parsed.issuer?.name || parsed.filer?.name || parsed.subjectCompany?.name || 'the issuer';
+  const ticker = parsed.issuer?.ticker;
+  const formType = parsed.formType || parsed.normalizedType || 'SEC';
+
+  if (matches.length === 0) {
+    const def = rules.default || FALLBACK_DEFAULT;
+    const vars = { issuer: issuerName, formType, value: '$0' };
+    return {
+      tier: def.tier,
+      tierLabel: `Tier ${def.tier}: ${def.label || rules.tierLabels?.[def.tier] || 'Signal'}`,
+      dimensions: [...(def.dimensions || [])],
+      urgency: def.urgency,
+      giftOfficerAction: fillTemplate(def.action, vars),
+      summary: `${formType} — ${issuerName}${ticker ? ` (${ticker})` : ''}: ${def.label || 'Filing mention'}.`,
+      ruleIds: [def.id || 'default'],
+    };
+  }
+
+  const primary = [...matches].sort(compareMatches)[0];
+  const dimensions = [];
+  for (const m of matches) {
+    for (const d of m.rule.dimensions || []) {
+      if (!dimensions.includes(d)) dimensions.push(d);
+    }
+  }
+
+  const vars = { issuer: issuerName, formType, value: formatDollar(primary.value) };
+  const label = primary.rule.label || rules.tierLabels?.[primary.rule.tier] || 'Signal';
+
+  const summaryParts = matches.map(m => (m.value ? `${m.rule.label} ${formatDollar(m.value)}` : m.rule.label));
+
+  return {
+    tier: primary.rule.tier,
+    tierLabel: `Tier ${primary.rule.tier}: ${label}`,
+    dimensions,
+    urgency: primary.rule.urgency,
+    giftOfficerAction: fillTemplate(primary.rule.action, vars),
+    summary: `${formType} — ${issuerName}${ticker ? ` (${ticker})` : ''}: ${summaryParts.join('; ')}.`,
+    ruleIds: matches.map(m => m.rule.id),
+  };
+}
+
+module.exports = { classifySignal, loadSignalRules, setSignalRules, getSignalRules, DEFAULT_RULES_PATH };
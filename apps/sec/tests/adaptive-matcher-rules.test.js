@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AdaptiveMatchingRules = require('../adaptive-matcher-rules');
+
+test('classifies two-letter first and last names as VERY_SHORT', () => {
+  const rules = new AdaptiveMatchingRules();
+  const result = rules.classifyName('Qi Li');
+  assert.equal(result.riskClass, 'VERY_SHORT');
+  assert.equal(result.matchingRules.requireWordBoundaries, true);
+  assert.equal(result.matchingRules.requireEnglishContext, true);
+  assert.equal(result.matchingRules.blockEncodedSections, true);
+  assert.equal(result.matchingRules.minContextWords, 3);
+});
+
+test('classifies a single short component as SHORT_COMPONENT', () => {
+  const rules = new AdaptiveMatchingRules();
+  const result = rules.classifyName('Bo Harrington');
+  assert.deepEqual(result.riskClasses, ['SHORT_COMPONENT']);
+  assert.equal(result.matchingRules.requireWordBoundaries, true);
+  assert.equal(result.matchingRules.requireEnglishContext, false);
+});
+
+test('flags common surnames and merges with short-name rules', () => {
+  const rules = new AdaptiveMatchingRules();
+  const smith = rules.classifyName('Jennifer Smith');
+  assert.deepEqual(smith.riskClasses, ['COMMON_SURNAME']);
+  assert.equal(smith.matchingRules.requireEnglishContext, true);
+
+  const wu = rules.classifyName('Yu Wu');
+  assert.deepEqual(wu.riskClasses, ['VERY_SHORT', 'COMMON_SURNAME']);
+});
+
+test('ignores personal suffixes when classifying names', () => {
+  const rules = new AdaptiveMatchingRules();
+  const result = rules.classifyName('Alexander Fairbanks Jr.');
+  assert.equal(result.riskClass, 'STANDARD');
+  assert.equal(result.matchingRules.skipMatching, false);
+  assert.equal(result.matchingRules.requireWordBoundaries, false);
+});
+
+test('classifies short and uppercase company roots as ACRONYM', () => {
+  const rules = new AdaptiveMatchingRules();
+  assert.equal(rules.classifyCompany('IBM Corp').riskClass, 'ACRONYM');
+  assert.equal(rules.classifyCompany('NVIDIA Corporation').riskClass, 'ACRONYM');
+  assert.equal(rules.classifyCompany('Nvidia Corporation').riskClass, 'STANDARD');
+});
+
+test('skips company roots shorter than three characters', () => {
+  const rules = new AdaptiveMatchingRules();
+  const result = rules.classifyCompany('GE Inc.');
+  assert.equal(result.riskClass, 'TOO_SHORT');
+  assert.equal(result.matchingRules.skipMatching, true);
+});
+
+test('classifies dictionary-word company roots', () => {
+  const rules = new AdaptiveMatchingRules();
+  const result = rules.classifyCompany('Summit Partners');
+  assert.deepEqual(result.riskClasses, ['DICTIONARY_WORD']);
+  assert.equal(result.matchingRules.requireWordBoundaries, true);
+  assert.equal(rules.classifyCompany('Goldman Sachs Group').riskClass, 'STANDARD');
+});
+
+test('per-prospect overrides apply only to that prospect', () => {
+  const rules = new AdaptiveMatchingRules({
+    overrides: {
+      P100: { name: { requireEnglishContext: false }, company: { skipMatching: true } },
+    },
+  });
+
+  const overridden = rules.classifyName('Qi Li', 'P100');
+  assert.equal(overridden.overridden, true);
+  assert.equal(overridden.matchingRules.requireEnglishContext, false);
+  assert.equal(overridden.matchingRules.requireWordBoundaries, true);
+
+  const other = rules.classifyName('Qi Li', 'P200');
+  assert.equal(other.overridden, false);
+  assert.equal(other.matchingRules.requireEnglishContext, true);
+
+  assert.equal(rules.classifyCompany('Stripe Inc', 'P100').matchingRules.skipMatching, true);
+  assert.equal(rules.classifyCompany('Stripe Inc', 'P200').matchingRules.skipMatching, false);
+});
+
+test('setOverride invalidates cached classifications', () => {
+  const rules = new AdaptiveMatchingRules();
+  assert.equal(rules.classifyName('Qi Li', 'P1').matchingRules.skipMatching, false);
+  rules.setOverride('P1', { name: { skipMatching: true } });
+  assert.equal(rules.classifyName('Qi Li', 'P1').matchingRules.skipMatching, true);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compareAddresses, normalizeAddress } = require('../address-matcher');
+const FalsePositiveDetector = require('../false-positive-analyzer');
+
+const prospect = { street: '1 Main Street, Suite 400', city: 'Boston', state: 'Massachusetts', zip: '02110' };
+
+test('compares addresses from the strongest tier down', () => {
+  const level = (filing) => compareAddresses(prospect, filing)?.level;
+
+  assert.equal(level({ street1: '1 MAIN ST', city: 'BOSTON', state: 'MA', zip: '02110-1234' }), 'street');
+  assert.equal(level({ street1: '200 Clarendon St', city: 'Boston', state: 'MA', zip: '02110' }), 'zip');
+  assert.equal(level({ street1: '200 Clarendon St', city: 'boston', state: 'MA', zip: '02116' }), 'city_state');
+  assert.equal(level({ city: 'Cambridge', state: 'MA' }), 'state');
+  assert.equal(level({ street1: '1 Main St', city: 'Boston', state: 'NY' }), 'state_mismatch');
+  assert.equal(level({ city: 'Cambridge' }), 'unmatched');
+  assert.equal(level({}), undefined);
+  assert.equal(compareAddresses(null, { state: 'MA' }), null);
+});
+
+test('agreement raises confidence and only a state mismatch lowers it', () => {
+  assert.ok(compareAddresses(prospect, { zip: '02110' }).adjustment > 0);
+  assert.equal(compareAddresses(prospect, { city: 'Cambridge' }).adjustment, 0);
+  const mismatch = compareAddresses(prospect, { state: 'ny' });
+  assert.ok(mismatch.adjustment < 0);
+  assert.equal(mismatch.detail, 'prospect MA, filing NY');
+});
+
+test('normalizes states, ZIP+4 and street abbreviations', () => {
+  assert.deepEqual(normalizeAddress({ street: '12 North Oak Avenue Apt 3', city: ' New  York ', state: 'new york', zip: '10001-0001' }), {
+    street: '12 n oak ave',
+    city: 'new york',
+    state: 'NY',
+    zip: '10001',
+  });
+  assert.equal(normalizeAddress({ street: '', city: '', state: '', zip: '' }), null);
+});
+
+test('address evidence shows up in FP reasons', () => {
+  const detector = new FalsePositiveDetector();
+  const base = { prospect_name: 'John Smith', company_name: 'Acme Corp', confidence: 98, match_method: 'structured', company_verified: true };
+
+  const mismatch = detector.calculateFPRiskScore({ ...base, address_match: 'state_mismatch', address_detail: 'prospect MA, filing NY' });
+  assert.ok(mismatch.reasons.some(r => r.includes('different state (prospect MA, filing NY)')));
+
+  const corroborated = detector.calculateFPRiskScore({ ...base, address_match: 'zip', address_detail: '02110' });
+  assert.ok(corroborated.reasons.some(r => r.includes('corroborates prospect (zip: 02110)')));
+  assert.equal(corroborated.score, 0);
+});
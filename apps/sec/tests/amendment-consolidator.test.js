@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { consolidateAmendments, baseForm } = require('../amendment-consolidator');
+const { buildProspectRollup } = require('../prospect-rollup');
+const { resultRow } = require('./helpers/filings');
+
+function form4(accession, formType, filedDate, shares, overrides = {}) {
+  return resultRow({
+    accession_number: accession,
+    form_type: formType,
+    filed_date: filedDate,
+    period_of_report: '20240301',
+    transactions: [{ code: 'S', date: '2024-03-01', shares, value: shares * 50 }],
+    sale_value: shares * 50,
+    ...overrides,
+  });
+}
+
+test('the latest amendment wins and older versions are superseded', () => {
+  const results = [
+    form4('A-1', '4', '20240304', 1000),
+    form4('A-2', '4/A', '20240310', 1200),
+    form4('A-3', '4/A', '20240320', 1500),
+  ];
+  const summary = consolidateAmendments(results);
+
+  assert.deepEqual(summary, { groups: 1, superseded: 2 });
+  assert.deepEqual(results.map(r => r.superseded), [true, true, false]);
+  assert.equal(results[0].superseded_by, 'A-3');
+  assert.equal(results[2].superseded_by, null);
+  assert.deepEqual(results.map(r => r.is_amendment), [false, true, true]);
+  for (const r of results) assert.equal(r.amendment_chain, 'A-1 (4) → A-2 (4/A) → A-3 (4/A)');
+
+  const [rollup] = buildProspectRollup(results);
+  assert.equal(rollup.filing_count, 1);
+  assert.equal(rollup.total_sale_value, 75000);
+});
+
+test('filings without an amendment, or for another period, are left alone', () => {
+  const results = [
+    form4('B-1', '4', '20240304', 1000),
+    form4('B-2', '4', '20240404', 1000, { period_of_report: '20240401', transactions: [{ code: 'S', date: '2024-04-01', shares: 1000 }] }),
+    form4('B-3', '4/A', '20240410', 900, { filing_person_cik: '0002000002' }),
+  ];
+  const summary = consolidateAmendments(results);
+
+  assert.equal(summary.superseded, 0);
+  assert.ok(results.every(r => r.superseded === false));
+  assert.equal(results[0].amendment_chain, '');
+  assert.equal(results[2].amendment_chain, 'B-3 (4/A)');
+});
+
+test('Schedule 13D amendments chain regardless of period', () => {
+  const results = [
+    form4('C-1', 'SC 13D', '20230101', 0, { period_of_report: null, transactions: [] }),
+    form4('C-2', 'SC 13D/A', '20240601', 0, { period_of_report: null, transactions: [{ code: 'SC13D', date: '2024-05-30' }] }),
+  ];
+  consolidateAmendments(results);
+
+  assert.equal(results[0].superseded_by, 'C-2');
+  assert.equal(baseForm('sc  13d/a'), 'SC 13D');
+});
+
+test('re-running recomputes rather than accumulates', () => {
+  const results = [form4('D-1', '4', '20240304', 1000), form4('D-2', '4/A', '20240310', 1000)];
+  consolidateAmendments(results);
+  results.pop();
+  const summary = consolidateAmendments(results);
+
+  assert.equal(summary.superseded, 0);
+  assert.equal(results[0].superseded, false);
+  assert.equal(results[0].amendment_chain, '');
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { resolveOptions, parseCliArgs, EXIT_CODES } = require('../cli-options');
+const { tempDir } = require('./helpers/filings');
+
+test('parses space- and equals-separated flags', () => {
+  const { values } = parseCliArgs(['--prospects', 'p.csv', '--max-files=25', '--format=json']);
+  assert.equal(values.prospects, path.resolve('p.csv'));
+  assert.equal(values.maxFiles, 25);
+  assert.deepEqual(values.formats, ['json']);
+});
+
+test('--filings is repeatable and accepts comma lists', () => {
+  const { values } = parseCliArgs(['--filings', 'a', '--filings=b,c']);
+  assert.deepEqual(values.filings, ['a', 'b', 'c'].map(p => path.resolve(p)));
+});
+
+test('rejects unknown flags and bad values with the usage exit code', () => {
+  assert.throws(() => parseCliArgs(['--nope']), err => err.exitCode === EXIT_CODES.USAGE);
+  assert.throws(() => parseCliArgs(['--max-files', 'ten']), err => err.exitCode === EXIT_CODES.USAGE);
+  assert.throws(() => parseCliArgs(['--from', '01/02/2026']), err => err.exitCode === EXIT_CODES.USAGE);
+  assert.throws(() => parseCliArgs(['--from', '2026-02-31']), /expects a date as YYYY-MM-DD/);
+  assert.throws(() => parseCliArgs(['--to', '2026-13-01']), /expects a date as YYYY-MM-DD/);
+  assert.equal(parseCliArgs(['--from', '2024-02-29']).values.from, '2024-02-29');
+  assert.throws(() => parseCliArgs(['--prospects']), err => err.exitCode === EXIT_CODES.USAGE);
+});
+
+test('requires prospects and filings', () => {
+  assert.throws(() => resolveOptions(['--filings', 'x'], {}), /--prospects/);
+  assert.throws(() => resolveOptions(['--prospects', 'x'], {}), /--filings/);
+});
+
+test('--help short-circuits validation', () => {
+  assert.deepEqual(resolveOptions(['--help'], {}), { help: true });
+});
+
+test('config file values resolve relative to the config and lose to CLI flags', (t) => {
+  const dir = tempDir(t, 'sec-cli-');
+  const configPath = path.join(dir, 'run.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    prospects: 'prospects.csv',
+    filings: ['q1', 'q2'],
+    formats: ['client'],
+    excludeForms: ['10-K'],
+    maxFiles: 10,
+  }));
+
+  const { options } = resolveOptions(['--config', configPath, '--max-files', '3'], { MAX_FILES: '99' });
+  assert.equal(options.prospects, path.join(dir, 'prospects.csv'));
+  assert.deepEqual(options.filings, [path.join(dir, 'q1'), path.join(dir, 'q2')]);
+  assert.deepEqual(options.formats, ['client']);
+  assert.deepEqual(options.excludeForms, ['10-K']);
+  assert.equal(options.maxFiles, 3);
+});
+
+test('MAX_FILES env is used when no flag or config sets it', () => {
+  const { options } = resolveOptions(['--prospects', 'p.csv', '--filings', 'f'], { MAX_FILES: '7' });
+  assert.equal(options.maxFiles, 7);
+});
+
+test('rejects unknown output formats and inverted date ranges', () => {
+  assert.throws(() => resolveOptions(['--prospects', 'p', '--filings', 'f', '--format', 'xml'], {}), /output format/);
+  assert.throws(() => resolveOptions(['--prospects', 'p', '--filings', 'f', '--from', '2026-02-01', '--to', '2026-01-01'], {}), /after --to/);
+  assert.throws(() => resolveOptions(['--prospects', 'p', '--filings', 'f', '--gift-price-source', 'vwap'], {}), /gift price source/);
+  assert.throws(() => resolveOptions(['--prospects', 'p', '--filings', 'f', '--gift-price-source', 'closing'], {}), /requires --closing-prices/);
+});
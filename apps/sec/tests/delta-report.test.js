@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { computeDelta, findPreviousRun, loadRunResults } = require('../delta-report');
+const { tempDir } = require('./helpers/filings');
+
+function result(prospectId, accession, verdict, confidence) {
+  return { prospect_id: prospectId, accession_number: accession, match_verdict: verdict, match_confidence: confidence };
+}
+
+test('classifies matches as new, changed, disappeared or unchanged', () => {
+  const previous = [
+    result('P1', 'A-1', 'LIKELY_VALID', 98),
+    result('P2', 'A-1', 'NEEDS_REVIEW', 60),
+    result('P3', 'A-2', 'LIKELY_VALID', 90),
+  ];
+  const current = [
+    result('P1', 'A-1', 'LIKELY_VALID', 98),
+    result('P2', 'A-1', 'LIKELY_VALID', 85),
+    result('P4', 'A-3', 'NEEDS_REVIEW', 65),
+  ];
+
+  const delta = computeDelta(previous, current);
+  assert.deepEqual(delta.new.map(r => r.prospect_id), ['P4']);
+  assert.deepEqual(delta.disappeared.map(r => r.prospect_id), ['P3']);
+  assert.equal(delta.unchanged, 1);
+  assert.equal(delta.changed.length, 1);
+  assert.equal(delta.changed[0].previous_verdict, 'NEEDS_REVIEW');
+  assert.deepEqual(delta.changed[0].changes, ['verdict NEEDS_REVIEW → LIKELY_VALID', 'confidence 60% → 85%']);
+});
+
+test('same prospect in a different filing is a new match', () => {
+  const delta = computeDelta([result('P1', 'A-1', 'LIKELY_VALID', 98)], [result('P1', 'A-2', 'LIKELY_VALID', 98)]);
+  assert.equal(delta.new.length, 1);
+  assert.equal(delta.disappeared.length, 1);
+});
+
+test('rows superseded by an amendment are left out of both runs', () => {
+  const superseded = (r) => ({ ...r, superseded: true, superseded_by: 'A-2' });
+  const previous = [result('P1', 'A-1', 'LIKELY_VALID', 98), result('P2', 'A-3', 'LIKELY_VALID', 90)];
+  const current = [
+    superseded(result('P1', 'A-1', 'LIKELY_VALID', 98)),
+    result('P1', 'A-2', 'LIKELY_VALID', 98),
+    superseded(result('P2', 'A-3', 'NEEDS_REVIEW', 60)),
+  ];
+
+  const delta = computeDelta(previous, current);
+  assert.deepEqual(delta.new.map(r => r.accession_number), ['A-2']);
+  assert.deepEqual(delta.disappeared.map(r => r.accession_number), ['A-1', 'A-3']);
+  assert.equal(delta.changed.length, 0);
+  assert.equal(computeDelta([superseded(result('P1', 'A-1', 'LIKELY_VALID', 98))], []).disappeared.length, 0);
+});
+
+test('finds the newest previous run in an output folder and reads its debug CSV', async (t) => {
+  const dir = tempDir(t, 'sec-delta-');
+
+  fs.writeFileSync(path.join(dir, 'sec_matches_2026-01-01T00-00-00.json'), JSON.stringify({ results: [] }));
+  fs.writeFileSync(path.join(dir, 'sec_matches_client_2026-01-03T00-00-00.csv'), 'ignored');
+  fs.writeFileSync(
+    path.join(dir, 'sec_matches_debug_2026-01-02T00-00-00.csv'),
+    'Prospect ID,Confidence,Match Verdict,Accession Number,Superseded\nP1,98,LIKELY_VALID,A-1,false\n'
+  );
+
+  const previous = findPreviousRun(dir);
+  assert.equal(path.basename(previous), 'sec_matches_debug_2026-01-02T00-00-00.csv');
+  assert.deepEqual(await loadRunResults(previous), [{ ...result('P1', 'A-1', 'LIKELY_VALID', 98), superseded: false }]);
+  assert.equal(findPreviousRun(path.join(dir, 'missing')), null);
+});
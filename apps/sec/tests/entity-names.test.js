@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseEntityName, entityKey } = require('../entity-names');
+const { rowToProspect } = require('../prospect-schema');
+const helpers = require('./helpers/filings');
+
+const { tempDir, writeFilings } = helpers;
+
+function form4(accession, issuerName, ownerNames) {
+  return helpers.form4(accession, ownerNames.map(name => ({ name, relationship: 'isTenPercentOwner' })), { issuerName });
+}
+
+function buildMatcher() {
+  return helpers.buildMatcher([
+    { id: 'P1', name: 'John A Smith', company: 'Acme Corp', teamName: '' },
+    { id: 'P2', name: 'Mary Jones', company: 'Widget Labs', teamName: '', entities: ['JS Capital LLC'] },
+    { id: 'P3', name: 'Robert Brown', company: 'Acme Corp', teamName: '' },
+  ]);
+}
+
+test('reads personal and family names out of entity names', () => {
+  assert.deepEqual(parseEntityName('The John and Mary Smith Foundation'),
+    { kind: 'foundation', persons: ['john smith', 'mary smith'], family: null });
+  assert.deepEqual(parseEntityName('SMITH JOHN A REVOCABLE TRUST').persons, ['smith john a']);
+  assert.deepEqual(parseEntityName('Trust FBO Jane Doe u/a dtd 1/2/2003').persons, ['jane doe']);
+  assert.deepEqual(parseEntityName('John Smith, Trustee of the Mary Jones Trust').persons, ['john smith', 'mary jones']);
+  assert.deepEqual(parseEntityName('Estate of Robert Brown'), { kind: 'estate', persons: ['robert brown'], family: null });
+  assert.deepEqual(parseEntityName('Smith Family Office LLC'), { kind: 'family_office', persons: [], family: 'smith' });
+  assert.deepEqual(parseEntityName('JS Capital LLC'), { kind: 'company', persons: [], family: null });
+  assert.equal(parseEntityName('John Smith'), null);
+  assert.equal(entityKey('The JS Capital, L.L.C.'), entityKey('JS Capital LLC'));
+});
+
+test('entity owners resolve to prospects with their own match methods', () => {
+  const matcher = buildMatcher();
+  const match = (name) => matcher._matchEntity(name)?.map(m => [m.id, m.matchMethod]);
+
+  assert.deepEqual(match('The John and Mary Smith Foundation'), [['P1', 'entity_person']]);
+  assert.deepEqual(match('SMITH JOHN A REVOCABLE TRUST'), [['P1', 'entity_person']]);
+  assert.deepEqual(match('Brown Family Trust'), [['P3', 'entity_family']]);
+  assert.deepEqual(match('The JS Capital, L.L.C.'), [['P2', 'prospect_entity']]);
+  assert.deepEqual(match('Blue Ridge Capital LLC'), []);
+  assert.equal(match('John Smith'), undefined, 'people are left to _matchName');
+
+  const { prospect } = rowToProspect({ Name: 'Mary Jones', Entities: 'JS Capital LLC; Jones Family Foundation' },
+    { name: 'Name', entities: 'Entities' });
+  assert.deepEqual(prospect.entities, ['JS Capital LLC', 'Jones Family Foundation']);
+});
+
+test('filings by trusts and prospect vehicles produce entity matches', async (t) => {
+  const dir = writeFilings(tempDir(t, 'sec-entity-'), {
+    '0004-24-000001.txt': form4('0004-24-000001', 'Acme Corp', ['John A Smith 2012 Irrevocable Trust']),
+    '0004-24-000002.txt': form4('0004-24-000002', 'Other Inc', ['JS Capital LLC']),
+    '0004-24-000003.txt': form4('0004-24-000003', 'Acme Corp', ['Brown Family Trust']),
+    '0004-24-000004.txt': form4('0004-24-000004', 'Other Inc', ['Brown Family Trust']),
+  });
+
+  const matcher = buildMatcher();
+  await matcher.processFilings(dir);
+  const byAccession = Object.fromEntries(matcher.results.map(r => [r.accession_number, r]));
+
+  const trust = byAccession['0004-24-000001'];
+  assert.equal(trust.structured_match_type, 'entity_person');
+  assert.equal(trust.entity_kind, 'trust');
+  assert.match(trust.match_remarks, /Entity owner \(trust\): "john a smith" \(exact\)/);
+  assert.equal(trust.match_verdict, 'LIKELY_VALID');
+
+  const vehicle = byAccession['0004-24-000002'];
+  assert.equal(vehicle.prospect_id, 'P2');
+  assert.equal(vehicle.structured_match_type, 'prospect_entity');
+  assert.equal(vehicle.match_verdict, 'LIKELY_VALID');
+
+  assert.equal(byAccession['0004-24-000003'].structured_match_type, 'entity_family');
+  assert.equal(byAccession['0004-24-000004'], undefined, 'a family name alone needs the company to agree');
+  assert.equal(matcher.stats.entityMatches, 3);
+});
+
+test('a prospect filing jointly with their own trust is matched once', async (t) => {
+  const dir = writeFilings(tempDir(t, 'sec-entity-'), {
+    '0004-24-000005.txt': form4('0004-24-000005', 'Acme Corp', ['Smith John A', 'John A Smith Revocable Trust']),
+  });
+
+  const matcher = buildMatcher();
+  await matcher.processFilings(dir);
+  assert.deepEqual(matcher.results.map(r => [r.prospect_id, r.structured_match_type]), [['P1', 'exact']]);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const FilingLedger = require('../filing-ledger');
+const { accessionFromFilename, hashValue } = FilingLedger;
+const { submission, buildMatcher, tempDir } = require('./helpers/filings');
+
+const FINGERPRINT = { prospectListHash: hashValue([{ id: 'P1' }]), matcherVersion: '1.0.0', rulesHash: 'r1' };
+
+function tempLedgerPath(t) {
+  return path.join(tempDir(t, 'sec-ledger-'), 'ledger.jsonl');
+}
+
+function entry(accessionNumber) {
+  return { accessionNumber, filename: `${accessionNumber}.txt`, status: 'processed', results: [{ prospect_id: 'P1' }], stats: { matchesFound: 1 } };
+}
+
+test('keys filings by the accession number in the filename', () => {
+  assert.equal(accessionFromFilename('/mirror/0000950170-24-000123.txt'), '0000950170-24-000123');
+});
+
+test('recorded filings survive a reopen with the same fingerprint', (t) => {
+  const ledgerPath = tempLedgerPath(t);
+  const first = new FilingLedger(ledgerPath, FINGERPRINT).open();
+  first.record(entry('0000950170-24-000001'));
+  first.record(entry('0000950170-24-000002'));
+
+  const second = new FilingLedger(ledgerPath, FINGERPRINT).open();
+  assert.equal(second.size, 2);
+  assert.equal(second.resetReason, null);
+  assert.deepEqual(second.get('0000950170-24-000001').results, [{ prospect_id: 'P1' }]);
+});
+
+test('a changed prospect list or matcher version starts the ledger over', (t) => {
+  const ledgerPath = tempLedgerPath(t);
+  new FilingLedger(ledgerPath, FINGERPRINT).open().record(entry('0000950170-24-000001'));
+
+  const changed = new FilingLedger(ledgerPath, { ...FINGERPRINT, prospectListHash: hashValue([{ id: 'P2' }]) }).open();
+  assert.equal(changed.size, 0);
+  assert.equal(changed.resetReason, 'prospectListHash changed');
+
+  const bumped = new FilingLedger(ledgerPath, { ...FINGERPRINT, prospectListHash: changed.fingerprint.prospectListHash, matcherVersion: '1.1.0' }).open();
+  assert.equal(bumped.resetReason, 'matcherVersion changed');
+});
+
+test('ignores a line truncated by an interrupted run', (t) => {
+  const ledgerPath = tempLedgerPath(t);
+  new FilingLedger(ledgerPath, FINGERPRINT).open().record(entry('0000950170-24-000001'));
+  fs.appendFileSync(ledgerPath, '{"type":"filing","accessionNumber":"0000950170-24-0000');
+
+  const resumed = new FilingLedger(ledgerPath, FINGERPRINT).open();
+  assert.equal(resumed.size, 1);
+  assert.ok(!resumed.has('0000950170-24-000002'));
+
+  resumed.record(entry('0000950170-24-000002'));
+  assert.equal(new FilingLedger(ledgerPath, FINGERPRINT).open().size, 2);
+});
+
+test('replayed filings still go through the date and form filters', async (t) => {
+  const ledgerPath = tempLedgerPath(t);
+  const dir = path.dirname(ledgerPath);
+  const filingsDir = path.join(dir, 'filings');
+  fs.mkdirSync(filingsDir);
+  for (const [accession, filed] of [['0000950170-24-000001', '20240105'], ['0000950170-24-000002', '20240210']]) {
+    fs.writeFileSync(path.join(filingsDir, `${accession}.txt`), submission('8-K',
+      '<HTML><BODY><P>Theodora Quigley, Chief Financial Officer of Northwind Traders, will serve on the board of directors.</P></BODY></HTML>',
+      { accession, filedDate: filed }));
+  }
+
+  const run = async (options) => {
+    const matcher = buildMatcher([{ id: 'P1', name: 'Theodora Quigley', company: 'Northwind Traders', teamName: '' }]);
+    await matcher.processFilings(filingsDir, { ledgerPath, ...options });
+    return matcher;
+  };
+
+  const first = await run({});
+  assert.equal(first.results.length, 2);
+
+  const narrowed = await run({ fromDate: '2024-02-01' });
+  assert.deepEqual(narrowed.results.map(r => r.filed_date), ['20240210']);
+  assert.equal(narrowed.stats.reusedFromLedger, 1);
+  assert.equal(narrowed.stats.skippedByFilter, 1);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveFootnotes, extractFootnoteFacts, parseFootnoteDate } = require('../parsers/footnotes');
+const { parseForm4 } = require('../parsers/form4-parser');
+const { form4Submission, buildMatcher, tempDir, writeFilings } = require('./helpers/filings');
+
+const FORM4_XML = [
+  '<ownershipDocument>',
+  '<periodOfReport>2024-01-03</periodOfReport>',
+  '<issuer><issuerCik>0000999999</issuerCik><issuerName>Acme Corp</issuerName><issuerTradingSymbol>ACME</issuerTradingSymbol></issuer>',
+  '<reportingOwner><reportingOwnerId><rptOwnerCik>0001234567</rptOwnerCik><rptOwnerName>Smith Jane</rptOwnerName></reportingOwnerId>',
+  '<reportingOwnerRelationship><isDirector>1</isDirector></reportingOwnerRelationship></reportingOwner>',
+  '<nonDerivativeTable>',
+  '<nonDerivativeTransaction><securityTitle><value>Common Stock</value></securityTitle>' +
+    '<transactionDate><value>2024-01-03</value></transactionDate>' +
+    '<transactionCoding><transactionCode>S</transactionCode><footnoteId id="F1"/></transactionCoding>' +
+    '<transactionAmounts><transactionShares><value>1000</value></transactionShares>' +
+    '<transactionPricePerShare><value>10.25</value><footnoteId id="F2"/></transactionPricePerShare>' +
+    '<transactionAcquiredDisposedCode><value>D</value></transactionAcquiredDisposedCode></transactionAmounts>' +
+    '<ownershipNature><directOrIndirectOwnership><value>D</value></directOrIndirectOwnership></ownershipNature>' +
+    '</nonDerivativeTransaction>',
+  '<nonDerivativeTransaction><securityTitle><value>Common Stock</value></securityTitle>' +
+    '<transactionDate><value>2024-01-03</value></transactionDate>' +
+    '<transactionCoding><transactionCode>G</transactionCode></transactionCoding>' +
+    '<transactionAmounts><transactionShares><value>500</value><footnoteId id="F3"/></transactionShares>' +
+    '<transactionPricePerShare><value>0</value></transactionPricePerShare>' +
+    '<transactionAcquiredDisposedCode><value>D</value></transactionAcquiredDisposedCode></transactionAmounts>' +
+    '<ownershipNature><directOrIndirectOwnership><value>D</value></directOrIndirectOwnership></ownershipNature>' +
+    '</nonDerivativeTransaction>',
+  '<nonDerivativeHolding><securityTitle><value>Common Stock</value></securityTitle>' +
+    '<postTransactionAmounts><sharesOwnedFollowingTransaction><value>25000</value></sharesOwnedFollowingTransaction></postTransactionAmounts>' +
+    '<ownershipNature><directOrIndirectOwnership><value>I</value></directOrIndirectOwnership>' +
+    '<natureOfOwnership><value>See footnote</value><footnoteId id="F4"/></natureOfOwnership></ownershipNature>' +
+    '</nonDerivativeHolding>',
+  '</nonDerivativeTable>',
+  '<footnotes>',
+  '<footnote id="F1">The sales reported were effected pursuant to a Rule 10b5-1 trading plan adopted by the reporting person on March 3, 2023.</footnote>',
+  '<footnote id="F2">The price reported is a weighted average price. These shares were sold in multiple transactions at prices ranging from $10.00 to $10.50, inclusive.</footnote>',
+  '<footnote id="F3">Represents a bona fide gift to the Smith Family Foundation for no consideration.</footnote>',
+  '<footnote id="F4">These shares are held by the Jane Smith 2020 Irrevocable Trust, of which the reporting person is trustee.</footnote>',
+  '</footnotes>',
+  '</ownershipDocument>',
+].join('\n');
+
+test('footnote references resolve to the element they annotate', () => {
+  const footnotes = [{ id: 'F1', text: 'one' }, { id: 'F2', text: 'two' }];
+  const xml = '<transactionCoding><transactionCode>S</transactionCode><footnoteId id="F1"/></transactionCoding>' +
+    '<transactionPricePerShare><value>10.25</value><footnoteId id="F2"/></transactionPricePerShare>' +
+    '<transactionShares><value>5</value><footnoteId id="F9"/></transactionShares>';
+  assert.deepEqual(resolveFootnotes(xml, footnotes), [
+    { id: 'F1', field: 'transactionCoding', text: 'one' },
+    { id: 'F2', field: 'transactionPricePerShare', text: 'two' },
+  ]);
+});
+
+test('structured facts come out of common footnote wording', () => {
+  assert.deepEqual(extractFootnoteFacts([
+    'Effected pursuant to a Rule 10b5-1 trading plan adopted on 11/15/2022.',
+    'Sold at prices between $45.10 and $44.20.',
+  ]), { planAdoptionDate: '2022-11-15', priceRange: { low: 44.2, high: 45.1 }, donee: null, indirectHolder: null });
+  assert.equal(extractFootnoteFacts('The reporting person donated 1,000 shares to Stanford University.').donee, 'Stanford University');
+  assert.equal(extractFootnoteFacts('Gifted to a donor-advised fund.').donee, 'a donor-advised fund');
+  assert.equal(extractFootnoteFacts("Shares held by the reporting person's spouse.").indirectHolder, "reporting person's spouse");
+  assert.equal(extractFootnoteFacts('The reporting person disclaims beneficial ownership.').indirectHolder, null);
+  assert.equal(parseFootnoteDate('adopted Sept. 5, 2023'), '2023-09-05');
+  assert.equal(parseFootnoteDate('no date here'), null);
+  assert.equal(parseFootnoteDate('adopted Feb 31, 2023'), null);
+  assert.equal(parseFootnoteDate('adopted 2/29/2023'), null);
+  assert.equal(parseFootnoteDate('adopted 2/29/2024'), '2024-02-29');
+});
+
+test('Form 4 transactions and holdings carry their footnotes and facts', () => {
+  const parsed = parseForm4(`<XML>${FORM4_XML}</XML>`, { formType: '4' });
+  const [sale, gift] = parsed.transactions;
+  assert.deepEqual(sale.footnotes.map(f => [f.id, f.field]), [['F1', 'transactionCoding'], ['F2', 'transactionPricePerShare']]);
+  assert.equal(sale.footnoteFacts.planAdoptionDate, '2023-03-03');
+  assert.deepEqual(sale.footnoteFacts.priceRange, { low: 10, high: 10.5 });
+  assert.equal(gift.footnoteFacts.donee, 'Smith Family Foundation');
+
+  const [holding] = parsed.nonDerivativeHoldings;
+  assert.equal(holding.footnoteFacts.indirectHolder, 'Jane Smith 2020 Irrevocable Trust');
+  assert.equal(holding.ownershipCategory, 'irrevocable_trust');
+
+  assert.equal(parsed.is10b5_1, true, 'the footnote alone marks a 10b5-1 trade');
+  const messages = parsed.alerts.map(a => a.message).join('\n');
+  assert.match(messages, /10b5-1 trading arrangement adopted 2023-03-03/);
+  assert.match(messages, /Recipient: Smith Family Foundation/);
+});
+
+test('results report gift recipients, plan adoption and price ranges', async (t) => {
+  const dir = writeFilings(tempDir(t, 'sec-footnotes-'), {
+    '0004-24-000001.txt': form4Submission('0004-24-000001', FORM4_XML),
+  });
+
+  const matcher = buildMatcher([{ id: 'P1', name: 'Jane Smith', company: 'Acme Corp', teamName: '' }]);
+  await matcher.processFilings(dir);
+
+  const [result] = matcher.results;
+  assert.equal(result.gift_recipients, 'Smith Family Foundation');
+  assert.equal(result.plan_adoption_date, '2023-03-03');
+  assert.equal(result.is_10b5_1, true);
+  assert.match(result.transaction_summary, /@\$10\.25 \(\$10–\$10\.5\)/);
+  assert.match(result.transaction_summary, /to Smith Family Foundation/);
+  assert.equal(result.transactions[0].footnotes[1].field, 'transactionPricePerShare');
+});
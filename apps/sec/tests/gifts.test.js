@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { analyzeGifts, classifyDonee, matchInstitution, loadClosingPrices, loadGiftInstitutions } = require('../gifts');
+const { parseForm4 } = require('../parsers/form4-parser');
+const { classifySignal } = require('../signal-classifier');
+const { form4Submission, buildMatcher, tempDir, writeFilings } = require('./helpers/filings');
+
+const INSTITUTIONS = {
+  institution: { name: 'Example University', aliases: ['EU Foundation'] },
+  peers: [{ name: 'Stanford University', aliases: ['Leland Stanford Junior University'] }],
+};
+
+function transaction(code, shares, price, { date = '2024-01-03', acquired = 'D', nature = null, footnote = null } = {}) {
+  return '<nonDerivativeTransaction><securityTitle><value>Common Stock</value></securityTitle>' +
+    `<transactionDate><value>${date}</value></transactionDate>` +
+    `<transactionCoding><transactionCode>${code}</transactionCode></transactionCoding>` +
+    `<transactionAmounts><transactionShares><value>${shares}</value>${footnote ? `<footnoteId id="${footnote}"/>` : ''}</transactionShares>` +
+    `<transactionPricePerShare>${price == null ? '' : `<value>${price}</value>`}</transactionPricePerShare>` +
+    `<transactionAcquiredDisposedCode><value>${acquired}</value></transactionAcquiredDisposedCode></transactionAmounts>` +
+    `<ownershipNature><directOrIndirectOwnership><value>${nature ? 'I' : 'D'}</value></directOrIndirectOwnership>` +
+    (nature ? `<natureOfOwnership><value>${nature}</value></natureOfOwnership>` : '') +
+    '</ownershipNature></nonDerivativeTransaction>';
+}
+
+const FORM4_XML = [
+  '<ownershipDocument>',
+  '<periodOfReport>2024-01-10</periodOfReport>',
+  '<issuer><issuerCik>0000999999</issuerCik><issuerName>Acme Corp</issuerName><issuerTradingSymbol>ACME</issuerTradingSymbol></issuer>',
+  '<reportingOwner><reportingOwnerId><rptOwnerCik>0001234567</rptOwnerCik><rptOwnerName>Smith Jane</rptOwnerName></reportingOwnerId>',
+  '<reportingOwnerRelationship><isDirector>1</isDirector></reportingOwnerRelationship></reportingOwner>',
+  '<nonDerivativeTable>',
+  transaction('S', 100, 50, { date: '2024-01-02' }),
+  transaction('S', 100, 52, { date: '2024-01-09' }),
+  transaction('G', 1000, null, { date: '2024-01-03', footnote: 'F1' }),
+  transaction('G', 400, null, { date: '2024-01-10', footnote: 'F2' }),
+  transaction('G', 200, 0, { date: '2024-01-10', acquired: 'A', nature: 'By Smith Foundation' }),
+  '</nonDerivativeTable>',
+  '<footnotes>',
+  '<footnote id="F1">Represents a bona fide gift to Stanford University for no consideration.</footnote>',
+  '<footnote id="F2">The reporting person gifted these shares to Example University.</footnote>',
+  '</footnotes>',
+  '</ownershipDocument>',
+].join('\n');
+
+test('donees are classified and matched against our institution and peers', () => {
+  assert.equal(classifyDonee('Fidelity Charitable Gift Fund'), 'daf');
+  assert.equal(classifyDonee('a donor-advised fund'), 'daf');
+  assert.equal(classifyDonee('Smith Family Foundation'), 'family_foundation');
+  assert.equal(classifyDonee('The Smith Foundation', ['smith']), 'family_foundation');
+  assert.equal(classifyDonee('Gates Foundation', ['smith']), 'foundation');
+  assert.equal(classifyDonee('Massachusetts Institute of Technology'), 'university');
+  assert.equal(classifyDonee("the reporting person's children"), 'family');
+
+  assert.deepEqual(matchInstitution('The Example University', INSTITUTIONS), { relation: 'ours', name: 'Example University' });
+  assert.deepEqual(matchInstitution('EU Foundation, Inc.', INSTITUTIONS), { relation: 'ours', name: 'Example University' });
+  assert.deepEqual(matchInstitution('the Board of Trustees of the Leland Stanford Junior University', INSTITUTIONS),
+    { relation: 'peer', name: 'Stanford University' });
+  assert.equal(matchInstitution('Stanford Health Care', INSTITUTIONS), null);
+});
+
+test('unpriced gifts take the nearest same-filing price or a closing price', (t) => {
+  const parsed = parseForm4(`<XML>${FORM4_XML}</XML>`, { formType: '4' });
+  const gifts = parsed.transactions.filter(tx => tx.code === 'G');
+  assert.deepEqual(gifts.map(g => [g.value, g.valueSource]), [[50000, 'same_filing'], [20800, 'same_filing'], [10400, 'same_filing']]);
+
+  const exercised = FORM4_XML.replace(transaction('S', 100, 50, { date: '2024-01-02' }),
+    transaction('M', 1000, 5, { date: '2024-01-03', acquired: 'A' }) + transaction('S', 100, 150, { date: '2024-01-05' }));
+  const [first] = parseForm4(`<XML>${exercised}</XML>`, { formType: '4' }).transactions.filter(tx => tx.code === 'G');
+  assert.equal(first.value, 150000, 'an option exercise price is not the market price');
+
+  const pricesPath = path.join(tempDir(t, 'sec-gifts-'), 'closes.csv');
+  fs.writeFileSync(pricesPath, 'ticker,date,close\nACME,2024-01-03,60\nacme,2024-01-05,61\n');
+  const closingPrices = loadClosingPrices(pricesPath);
+  assert.deepEqual(closingPrices, { ACME: [['2024-01-03', 60], ['2024-01-05', 61]] });
+
+  const closing = parseForm4(`<XML>${FORM4_XML}</XML>`, { formType: '4' }, { gifts: { priceSource: 'closing', closingPrices } });
+  assert.deepEqual(closing.transactions.filter(tx => tx.code === 'G').map(g => [g.value, g.valueSource]),
+    [[60000, 'closing_price'], [24400, 'closing_price'], [12200, 'closing_price']]);
+
+  fs.writeFileSync(pricesPath, 'ticker,date,close\nACME,01/03/2024,60\n');
+  assert.throws(() => loadClosingPrices(pricesPath), /line 2 needs a ticker, a YYYY-MM-DD date/);
+  fs.writeFileSync(pricesPath, JSON.stringify({ peers: [{ aliases: [] }] }));
+  assert.throws(() => loadGiftInstitutions(pricesPath), /needs a "name"/);
+});
+
+test('gifts name their recipients and flag our institution and peers', () => {
+  const parsed = parseForm4(`<XML>${FORM4_XML}</XML>`, { formType: '4' }, { gifts: { institutions: INSTITUTIONS } });
+  const gifts = parsed.transactions.filter(tx => tx.code === 'G');
+  assert.deepEqual(gifts.map(g => [g.donee, g.doneeType, g.institution?.relation ?? null]), [
+    ['Stanford University', 'university', 'peer'],
+    ['Example University', 'university', 'ours'],
+    ['Smith Foundation', 'family_foundation', null],
+  ]);
+
+  const alerts = Object.fromEntries(parsed.alerts.map(a => [a.type, a.message]));
+  assert.match(alerts.PHILANTHROPY_SIGNAL, /totaling \$81,200 \(estimated from share price\)/);
+  assert.match(alerts.PHILANTHROPY_SIGNAL, /Smith Foundation \(family foundation\)/);
+  assert.equal(alerts.GIFT_TO_INSTITUTION, 'Stock gift to our institution: Example University.');
+  assert.equal(alerts.GIFT_TO_PEER_INSTITUTION, 'Stock gift to a peer institution: Stanford University.');
+  assert.deepEqual(classifySignal({ ...parsed, normalizedType: 'FORM4' }).ruleIds.slice(0, 1), ['gift_to_institution']);
+
+  const plain = { transactions: [{ code: 'G', shares: 10, pricePerShare: 5, value: 50 }] };
+  analyzeGifts(plain);
+  assert.equal(plain.transactions[0].valueSource, 'reported');
+});
+
+test('results carry gift recipients, value source and institution flags', async (t) => {
+  const dir = writeFilings(tempDir(t, 'sec-gifts-'), {
+    '0004-24-000001.txt': form4Submission('0004-24-000001', FORM4_XML, { filedDate: '20240112' }),
+  });
+
+  const matcher = buildMatcher([{ id: 'P1', name: 'Jane Smith', company: 'Acme Corp', teamName: '' }],
+    { gifts: { institutions: INSTITUTIONS } });
+  await matcher.processFilings(dir);
+
+  const [result] = matcher.results;
+  assert.equal(result.gift_value, 81200);
+  assert.equal(result.gift_recipients, 'Stanford University; Example University; Smith Foundation');
+  assert.equal(result.gift_recipient_types, 'university; family_foundation');
+  assert.equal(result.gift_value_source, 'same_filing');
+  assert.equal(result.gift_institution, 'peer: Stanford University; ours: Example University');
+  assert.equal(result.has_gift_to_institution, true);
+  assert.equal(result.has_gift_to_peer, true);
+  assert.equal(result.gift_officer_action.startsWith('Gave $81,200 of Acme Corp stock to us.'), true);
+});
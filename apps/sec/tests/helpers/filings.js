@@ -0,0 +1,125 @@
+/**
+ * Shared test fixtures: EDGAR submission files, Form 4 ownership documents,
+ * result rows, and a matcher built over a prospect list.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const UnifiedMatcher = require('../../UnifiedMatcher');
+
+/**
+ * EDGAR full-submission text holding one document.
+ *
+ * @param {string} formType - CONFORMED SUBMISSION TYPE and document <TYPE>
+ * @param {string} body - The document's <TEXT> content
+ * @param {object} [options]
+ * @param {string} [options.accession] - ACCESSION NUMBER; left out of the header when not given
+ * @param {string} [options.filedDate='20240105'] - FILED AS OF DATE (YYYYMMDD)
+ * @param {string[]} [options.documentHeader] - Lines after <TYPE> (<SEQUENCE>, <FILENAME>, ...)
+ */
+function submission(formType, body, { accession = null, filedDate = '20240105', documentHeader = [] } = {}) {
+  return [
+    `<SEC-DOCUMENT>${accession || 'submission'}.txt : ${filedDate}`,
+    '<SEC-HEADER>',
+    ...(accession ? [`ACCESSION NUMBER:\t\t${accession}`] : []),
+    `CONFORMED SUBMISSION TYPE:\t${formType}`,
+    `FILED AS OF DATE:\t\t${filedDate}`,
+    '</SEC-HEADER>',
+    '<DOCUMENT>',
+    `<TYPE>${formType}`,
+    ...documentHeader,
+    '<TEXT>',
+    body,
+    '</TEXT>',
+    '</DOCUMENT>',
+  ].join('\n');
+}
+
+/**
+ * Form 4 submission wrapping an <ownershipDocument> as its XML.
+ */
+function form4Submission(accession, ownershipXml, { filedDate } = {}) {
+  return submission('4', `<XML>\n${ownershipXml}\n</XML>`, { accession, filedDate });
+}
+
+/**
+ * Form 4 submission with no transactions, one <reportingOwner> per owner.
+ * Owners are names or { name, cik, relationship }; CIKs default to
+ * 0001234567, 0001234568, ... and the relationship to director.
+ *
+ * @param {string} accession
+ * @param {string|Array<string|object>} owners
+ * @param {object} [options]
+ * @param {string} [options.issuerName='Acme Corp'] - Ticker is its first word, upper-cased
+ */
+function form4(accession, owners, { issuerName = 'Acme Corp' } = {}) {
+  const reportingOwners = [].concat(owners).map((owner, i) => {
+    const { name, cik = String(1234567 + i).padStart(10, '0'), relationship = 'isDirector' } =
+      typeof owner === 'string' ? { name: owner } : owner;
+    return `<reportingOwner><reportingOwnerId><rptOwnerCik>${cik}</rptOwnerCik><rptOwnerName>${name}</rptOwnerName></reportingOwnerId>` +
+      `<reportingOwnerRelationship><${relationship}>1</${relationship}></reportingOwnerRelationship></reportingOwner>`;
+  });
+  return form4Submission(accession, [
+    '<ownershipDocument>',
+    '<periodOfReport>2024-01-03</periodOfReport>',
+    `<issuer><issuerCik>0000999999</issuerCik><issuerName>${issuerName}</issuerName><issuerTradingSymbol>${issuerName.split(' ')[0].toUpperCase()}</issuerTradingSymbol></issuer>`,
+    ...reportingOwners,
+    '</ownershipDocument>',
+  ].join('\n'));
+}
+
+/**
+ * One matcher result row for the post-processing modules (rollups, sale
+ * correlation, amendments); overrides win.
+ */
+function resultRow(overrides) {
+  return {
+    prospect_id: 'P1',
+    prospect_name: 'Jane Roe',
+    match_method: 'structured',
+    match_verdict: 'LIKELY_VALID',
+    filing_person_cik: '0001000001',
+    issuer_cik: '0000555555',
+    issuer_name: 'Acme Corp',
+    ...overrides,
+  };
+}
+
+/**
+ * A quiet UnifiedMatcher indexed over the given prospects.
+ */
+function buildMatcher(prospects, options = {}) {
+  const matcher = new UnifiedMatcher({ quiet: true, ...options });
+  matcher.prospects = prospects;
+  matcher._buildIndex();
+  return matcher;
+}
+
+/**
+ * Temporary directory removed when the test ends.
+ */
+function tempDir(t, prefix = 'sec-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Write { fileName: content } into dir.
+ */
+function writeFilings(dir, files) {
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+  return dir;
+}
+
+module.exports = {
+  submission,
+  form4Submission,
+  form4,
+  resultRow,
+  buildMatcher,
+  tempDir,
+  writeFilings,
+};
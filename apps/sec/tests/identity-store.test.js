@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const IdentityStore = require('../identity-store');
+const { form4, buildMatcher, tempDir } = require('./helpers/filings');
+
+async function run(filingsDir, prospects, storePath) {
+  const matcher = buildMatcher(prospects);
+  await matcher.processFilings(filingsDir, { identityStorePath: storePath });
+  return matcher;
+}
+
+test('store learns a CIK once and never reassigns it', (t) => {
+  const storePath = path.join(tempDir(t, 'sec-identity-'), 'identities.json');
+  const store = new IdentityStore(storePath).open();
+
+  assert.equal(store.learn('0001234567', { prospectId: 'P1', prospectName: 'John Smith' }), 'learned');
+  assert.equal(store.learn('1234567', { prospectId: 'P1' }), 'known');
+  assert.equal(store.learn('1234567', { prospectId: 'P2' }), 'conflict');
+  assert.equal(store.learn('n/a', { prospectId: 'P2' }), 'invalid');
+  store.save();
+
+  const reopened = new IdentityStore(storePath).open();
+  assert.equal(reopened.size, 1);
+  assert.equal(reopened.get('0001234567').prospectId, 'P1');
+  assert.deepEqual(reopened.toProspectMap(), { 1234567: 'P1' });
+});
+
+test('a confirmed match teaches its CIK, which then matches a differently spelled name', async (t) => {
+  const dir = tempDir(t, 'sec-identity-');
+  const storePath = path.join(dir, 'identities.json');
+  const filings = path.join(dir, 'filings');
+  fs.mkdirSync(filings);
+  const prospects = [{ id: 'P1', name: 'John Michael Smith', company: 'Acme Corp', teamName: '' }];
+
+  fs.writeFileSync(path.join(filings, '0001-24-000001.txt'), form4('0001-24-000001', { name: 'Smith John Michael', cik: '0001234567' }));
+  const first = await run(filings, prospects, storePath);
+  assert.equal(first.results[0].match_verdict, 'LIKELY_VALID');
+  assert.equal(first.stats.identitiesLearned, 1);
+
+  fs.writeFileSync(path.join(filings, '0001-24-000002.txt'), form4('0001-24-000002', { name: 'Smyth J M', cik: '0001234567' }));
+  const second = await run(filings, prospects, storePath);
+  const byCik = second.results.find(r => r.accession_number === '0001-24-000002');
+  assert.equal(byCik.structured_match_type, 'cik');
+  assert.equal(byCik.match_confidence, 100);
+  assert.equal(byCik.match_verdict, 'LIKELY_VALID');
+  assert.match(byCik.match_remarks, /learned from an earlier confirmed match/);
+});
+
+test('a CIK from the prospect list contradicts a name match with another CIK', async (t) => {
+  const dir = tempDir(t, 'sec-identity-');
+  fs.writeFileSync(path.join(dir, '0001-24-000003.txt'), form4('0001-24-000003', { name: 'Smith John Michael', cik: '0007654321' }));
+  const prospects = [{ id: 'P1', name: 'John Michael Smith', company: 'Acme Corp', teamName: '', ciks: ['1234567'] }];
+
+  const matcher = await run(dir, prospects, null);
+  const [r] = matcher.results;
+  assert.equal(r.cik_conflict, true);
+  assert.equal(r.match_confidence, 20);
+  assert.equal(r.match_verdict, 'LIKELY_FALSE_POSITIVE');
+  assert.equal(matcher.stats.cikConflicts, 1);
+});
+
+test('nickname and fuzzy matches do not teach their CIK', async (t) => {
+  const dir = tempDir(t, 'sec-identity-');
+  const storePath = path.join(dir, 'identities.json');
+  fs.writeFileSync(path.join(dir, '0001-24-000004.txt'), form4('0001-24-000004', { name: 'Smith Bob', cik: '0001234567' }));
+  fs.writeFileSync(path.join(dir, '0001-24-000005.txt'), form4('0001-24-000005', { name: 'Smith Jonathon', cik: '0007654321' }));
+  const prospects = [
+    { id: 'P1', name: 'Robert Smith', company: 'Acme Corp', teamName: '' },
+    { id: 'P2', name: 'Jonathan Smith', company: 'Acme Corp', teamName: '' },
+  ];
+
+  const matcher = await run(dir, prospects, storePath);
+  const byProspect = Object.fromEntries(matcher.results.map(r => [r.prospect_id, r]));
+  assert.equal(byProspect.P1.nickname_pair, 'robert → bob');
+  assert.equal(byProspect.P2.structured_match_type, 'fuzzy');
+  assert.ok(matcher.results.every(r => r.match_verdict === 'LIKELY_VALID'));
+  assert.equal(matcher.stats.identitiesLearned, 0);
+  assert.equal(new IdentityStore(storePath).open().size, 0);
+});
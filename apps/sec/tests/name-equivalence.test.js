@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { phoneticKey, tokenEquivalence, romanizationsOf } = require('../name-equivalence');
+const { form4, buildMatcher, tempDir, writeFilings } = require('./helpers/filings');
+
+const PROSPECTS = [
+  { id: 'P1', name: 'Xiaoming Zhang', company: 'Acme Corp', teamName: '' },
+  { id: 'P2', name: 'Mohammed Ali Hassan', company: 'Acme Corp', teamName: '' },
+  { id: 'P3', name: 'Ji Hoon Park', company: 'Widget Labs', teamName: '' },
+];
+
+test('phonetic keys fold romanization and spelling differences', () => {
+  assert.equal(phoneticKey('Mohammed'), phoneticKey('Muhammad'));
+  assert.equal(phoneticKey('Christine'), phoneticKey('Kristin'));
+  assert.equal(phoneticKey('Xiaoming'), phoneticKey('Hsiaoming'));
+  assert.notEqual(phoneticKey('Park'), phoneticKey('Pak'));
+  assert.notEqual(phoneticKey('Zhang'), phoneticKey('Cheung'), 'the romanization table pairs these');
+  assert.equal(tokenEquivalence('martin', 'morton'), null);
+  assert.equal(tokenEquivalence('baron', 'brown'), null);
+  assert.equal(tokenEquivalence('hassan', 'hussein'), null);
+
+  assert.equal(tokenEquivalence('rhee', 'lee'), 'romanization');
+  assert.equal(tokenEquivalence('li', 'lee'), null, 'Lee is as often an English name');
+  assert.equal(tokenEquivalence('chen', 'tan'), null);
+  assert.equal(tokenEquivalence('zhang', 'cheung'), 'romanization');
+  assert.equal(tokenEquivalence('muhamad', 'mohammed'), 'phonetic');
+  assert.equal(tokenEquivalence('chen', 'shen'), null, 'keys this short are not used');
+  assert.ok(romanizationsOf('lee').includes('yi'));
+});
+
+test('romanized spellings match below exact and are marked', () => {
+  const matcher = buildMatcher(PROSPECTS);
+  const [m] = matcher._matchName('Chang Xiaoming');
+  assert.equal(m.id, 'P1');
+  assert.equal(m.matchMethod, 'equivalent_name');
+  assert.equal(m.nameEquivalence, 'romanization');
+  assert.ok(matcher._computeConfidence(m.matchMethod, { verified: true }, m) < matcher._computeConfidence('exact', { verified: true }));
+
+  assert.equal(matcher._matchName('Zhang Xiaoming')[0].nameEquivalence, null);
+  assert.equal(matcher.patternMap.get('mohammed hassan').variations[0].equivalence, null);
+  assert.equal(matcher.patternMap.get('muhammad hasan').variations[0].equivalence, 'romanization');
+  assert.equal(matcher._equivalencePenalty('romanization'), 13);
+
+  const other = buildMatcher([
+    { id: 'P4', name: 'David Chen', company: 'Acme Corp', teamName: '' },
+    { id: 'P5', name: 'Elizabeth Martin', company: 'Acme Corp', teamName: '' },
+  ]);
+  assert.deepEqual(other._matchName('Tan David'), []);
+  assert.deepEqual(other._matchName('Morton Elizabeth'), []);
+});
+
+test('joined or split given names and sound-alike spellings match as equivalent names', () => {
+  const matcher = buildMatcher(PROSPECTS);
+  const match = (name) => matcher._matchName(name).map(m => [m.id, m.matchMethod, m.nameEquivalence]);
+
+  assert.deepEqual(match('Chang Xiao Ming'), [['P1', 'equivalent_name', 'given_names_joined']]);
+  assert.deepEqual(match('Pak Jihoon'), [['P3', 'equivalent_name', 'given_names_joined']]);
+  assert.deepEqual(match('Hassan Muhamad'), [['P2', 'equivalent_name', 'phonetic']]);
+  assert.match(matcher._matchName('Hassan Muhamad')[0].equivalenceDetail, /muhamad ~ mohammed \(phonetic\)/);
+
+  // Sound-alike first and last name together is too loose
+  assert.deepEqual(match('Hussein Muhamad'), []);
+
+  assert.ok(matcher._computeConfidence('equivalent_name', { verified: true }, { nameEquivalence: 'phonetic' }) < 70);
+});
+
+test('equivalences reach the result and the FP detector', async (t) => {
+  const dir = writeFilings(tempDir(t, 'sec-equivalence-'), {
+    '0001-24-000001.txt': form4('0001-24-000001', 'Cheung Xiao Ming'),
+  });
+
+  const matcher = buildMatcher(PROSPECTS);
+  await matcher.processFilings(dir);
+  const [r] = matcher.results;
+  assert.equal(r.prospect_id, 'P1');
+  assert.equal(r.structured_match_type, 'equivalent_name');
+  assert.equal(r.name_equivalence, 'given_names_joined');
+  assert.match(r.name_equivalence_detail, /cheung ~ zhang \(romanization\)/);
+  assert.match(r.fp_reasons, /given names joined\/split/);
+  assert.equal(matcher.stats.equivalentNameMatches, 1);
+});
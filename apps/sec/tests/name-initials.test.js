@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildMatcher } = require('./helpers/filings');
+
+const matcher = buildMatcher([
+  { id: 'P1', name: 'John Michael Smith', company: 'Acme Corp', teamName: '' },
+  { id: 'P2', name: 'J. Robert Jones', company: 'Widget Labs', teamName: '' },
+]);
+
+function match(name) {
+  return matcher._matchName(name).map(m => ({ id: m.id, method: m.matchMethod, uncertain: m.uncertainMatch || false }));
+}
+
+test('expands initials in the filing name', () => {
+  assert.deepEqual(match('SMITH J MICHAEL'), [{ id: 'P1', method: 'initials_first', uncertain: false }]);
+  assert.deepEqual(match('Smith John M.'), [{ id: 'P1', method: 'initials_middle', uncertain: false }]);
+  assert.deepEqual(match('John M. Smith'), [{ id: 'P1', method: 'initials_middle', uncertain: false }]);
+  assert.deepEqual(match('Smith J. M. Jr.'), [{ id: 'P1', method: 'initials_first', uncertain: false }]);
+});
+
+test('expands initials in the prospect name', () => {
+  assert.deepEqual(match('Jones James Robert'), [{ id: 'P2', method: 'initials_first', uncertain: false }]);
+  assert.deepEqual(match('Jones J R'), [{ id: 'P2', method: 'initials_first', uncertain: false }]);
+});
+
+test('rejects incompatible initials and flags weak ones', () => {
+  assert.deepEqual(match('Smith J Robert'), []);
+  assert.deepEqual(match('Smith Jane M'), []);
+  assert.deepEqual(match('J. Smith'), [{ id: 'P1', method: 'initials_first', uncertain: true }]);
+
+  // Full first name with a different middle initial is still a drop-middle match, but uncertain
+  const [differentMiddle] = matcher._matchName('Smith John R.');
+  assert.equal(differentMiddle.matchMethod, 'name_reorder_drop_middle');
+  assert.match(differentMiddle.uncertainReason, /Middle name differs \(filing "r", prospect "michael"\)/);
+});
+
+test('initial-only matches get their own confidence band', () => {
+  const verified = { verified: true };
+  assert.ok(matcher._computeConfidence('initials_middle', verified) < matcher._computeConfidence('exact', verified));
+  assert.ok(matcher._computeConfidence('initials_first', verified) < matcher._computeConfidence('initials_middle', verified));
+  assert.ok(matcher._computeConfidence('initials_first', {}) < 50);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { editDistance, tokenEdits } = require('../name-similarity');
+const { buildMatcher } = require('./helpers/filings');
+
+test('edit distance counts transpositions as one edit and stops at the budget', () => {
+  assert.equal(editDistance('katherine', 'katharine', 2), 1);
+  assert.equal(editDistance('micheal', 'michael', 2), 1);
+  assert.equal(editDistance('mcdonald', 'macdonald', 2), 1);
+  assert.equal(editDistance('johnson', 'jackson', 1), 2);
+  assert.equal(editDistance('smith', 'smithsonian', 2), 3);
+});
+
+test('short tokens never fuzz and the budget grows with length', () => {
+  assert.equal(tokenEdits('ann', 'amy'), null);
+  assert.equal(tokenEdits('li', 'lu'), null);
+  assert.equal(tokenEdits('smith', 'smyth'), 1);
+  assert.equal(tokenEdits('johnson', 'jonsen'), null);
+  assert.equal(tokenEdits('katherine', 'kathryne'), 2);
+  assert.equal(tokenEdits('smith', 'smith'), 0);
+});
+
+test('fuzzy tier catches one misspelled name and nothing looser', () => {
+  const matcher = buildMatcher([
+    { id: 'P1', name: 'Katherine Ann Smith', company: 'Acme Corp', teamName: '' },
+    { id: 'P2', name: 'Angus McDonald', company: 'Acme Corp', teamName: '' },
+    { id: 'P3', name: 'Ann Li', company: 'Widget Labs', teamName: '' },
+  ]);
+  const match = (name) => matcher._matchName(name).map(m => [m.id, m.matchMethod, m.fuzzyDetail || null]);
+
+  assert.deepEqual(match('SMITH KATHARINE ANN'), [['P1', 'fuzzy', 'katharine ≈ katherine (1 edit)']]);
+  assert.deepEqual(match('MacDonald Angus'), [['P2', 'fuzzy', 'macdonald ≈ mcdonald (1 edit)']]);
+  assert.deepEqual(match('Smith Katherine Ann'), [['P1', 'exact', null]]);
+
+  assert.deepEqual(match('Smyth Katharine'), [], 'both names misspelled');
+  assert.deepEqual(match('Smith Katharine B'), [], 'middle name disagrees');
+  assert.deepEqual(match('Lu Ann'), [], 'short names stay exact');
+
+  const [fuzzy] = matcher._matchName('Smith Katharine Ann');
+  assert.ok(matcher._computeConfidence('fuzzy', { verified: true }, fuzzy) < matcher._computeConfidence('exact', { verified: true }));
+  assert.ok(matcher._computeConfidence('fuzzy', { verified: false }, fuzzy) < 50);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { loadNicknames, buildNicknameTable, nicknameTable } = require('../nicknames');
+const { form4, buildMatcher, tempDir, writeFilings } = require('./helpers/filings');
+
+test('default dictionary weighs pairs by how ambiguous the nickname is', () => {
+  const table = nicknameTable();
+  assert.equal(table.get('jack').get('john'), 1);
+  assert.equal(table.get('hank').get('henry'), 1);
+  assert.equal(table.get('marge').get('margaret'), 1);
+  assert.equal(table.get('margaret').get('marge'), 0.5, 'Marge is also a Marjorie');
+  assert.equal(table.get('sasha').get('alexander'), 1);
+  assert.equal(table.get('chris').get('christine'), 1);
+  assert.equal(table.get('christine').get('chris'), 0.5, 'a filing "Chris" may be a Christopher');
+  assert.ok(table.get('christine').get('chris') < 1);
+  assert.equal(table.get('henry').get('harry'), 0.7, 'explicit weight');
+});
+
+test('override dictionaries add groups, reweigh and remove pairs', (t) => {
+  const table = nicknameTable({
+    groups: [['margarita', 'rita']],
+    weights: { 'Jack -> John': 0.4, 'bob -> robert': 0 },
+  });
+  assert.equal(table.get('rita').get('margarita'), 1);
+  assert.equal(table.get('jack').get('john'), 0.4);
+  assert.equal(table.get('bob').has('robert'), false);
+  assert.equal(table.get('robert').get('bob'), 1);
+
+  assert.throws(() => buildNicknameTable({ weights: { 'jack john': 1 } }), /must look like "from -> to"/);
+  assert.throws(() => buildNicknameTable({ weights: { 'jack -> john': 2 } }), /from 0 to 1/);
+
+  const file = path.join(tempDir(t, 'sec-nick-'), 'nicknames.json');
+  fs.writeFileSync(file, JSON.stringify({ groups: [['solo']] }));
+  assert.throws(() => loadNicknames(file), /at least two names/);
+});
+
+test('structured matches record the nickname pair that produced them', () => {
+  const matcher = buildMatcher([
+    { id: 'P1', name: 'Christine Smith', company: 'Acme Corp', teamName: '' },
+    { id: 'P2', name: 'John Doe', company: 'Acme Corp', teamName: '' },
+  ]);
+
+  assert.deepEqual(matcher._matchName('Jack Doe')[0].nickname, { from: 'john', to: 'jack', weight: 0.9 });
+  assert.deepEqual(matcher._matchName('Chris Smith')[0].nickname, { from: 'christine', to: 'chris', weight: 0.5 });
+  assert.equal(matcher._matchName('Christine Smith')[0].nickname, null);
+  assert.equal(matcher._nicknamePenalty({ weight: 1 }), 0);
+  assert.equal(matcher._nicknamePenalty({ weight: 0.5 }), 15);
+});
+
+test('results report the nickname pair and weigh ambiguous ones down', async (t) => {
+  const dir = writeFilings(tempDir(t, 'sec-nick-'), {
+    '0003-24-000001.txt': form4('0003-24-000001', 'Smith Chris'),
+    '0003-24-000002.txt': form4('0003-24-000002', 'Hale Peggy'),
+  });
+
+  const matcher = buildMatcher([
+    { id: 'P1', name: 'Christine Smith', company: 'Acme Corp', teamName: '' },
+    { id: 'P2', name: 'Margaret Hale', company: 'Acme Corp', teamName: '' },
+  ]);
+  await matcher.processFilings(dir);
+  const byProspect = Object.fromEntries(matcher.results.map(r => [r.prospect_id, r]));
+
+  assert.equal(byProspect.P1.nickname_pair, 'christine → chris');
+  assert.equal(byProspect.P1.nickname_weight, 0.5);
+  assert.match(byProspect.P1.match_remarks, /Nickname: christine → chris \(weight 0\.5\)/);
+  assert.match(byProspect.P1.fp_reasons, /Ambiguous nickname/);
+
+  assert.equal(byProspect.P2.nickname_pair, 'margaret → peggy');
+  assert.ok(byProspect.P2.match_confidence > byProspect.P1.match_confidence);
+  assert.equal(matcher.stats.nicknameMatches, 2);
+});
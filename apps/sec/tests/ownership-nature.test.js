@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeOwnershipNature, parseOwnershipNature, attributeOwnershipValue } = require('../parsers/ownership-nature');
+const { parseForm4 } = require('../parsers/form4-parser');
+const { classifySignal } = require('../signal-classifier');
+const { form4Submission, buildMatcher, tempDir, writeFilings } = require('./helpers/filings');
+
+function ownership(type, nature) {
+  return '<ownershipNature>' +
+    `<directOrIndirectOwnership><value>${type}</value></directOrIndirectOwnership>` +
+    (nature == null ? '' : `<natureOfOwnership>${nature}</natureOfOwnership>`) +
+    '</ownershipNature>';
+}
+
+function transaction(code, shares, price, type, nature) {
+  return '<nonDerivativeTransaction><securityTitle><value>Common Stock</value></securityTitle>' +
+    '<transactionDate><value>2024-01-03</value></transactionDate>' +
+    `<transactionCoding><transactionCode>${code}</transactionCode></transactionCoding>` +
+    `<transactionAmounts><transactionShares><value>${shares}</value></transactionShares>` +
+    `<transactionPricePerShare><value>${price}</value></transactionPricePerShare>` +
+    '<transactionAcquiredDisposedCode><value>D</value></transactionAcquiredDisposedCode></transactionAmounts>' +
+    ownership(type, nature) +
+    '</nonDerivativeTransaction>';
+}
+
+const FORM4_XML = [
+  '<ownershipDocument>',
+  '<periodOfReport>2024-01-03</periodOfReport>',
+  '<issuer><issuerCik>0000999999</issuerCik><issuerName>Acme Corp</issuerName><issuerTradingSymbol>ACME</issuerTradingSymbol></issuer>',
+  '<reportingOwner><reportingOwnerId><rptOwnerCik>0001234567</rptOwnerCik><rptOwnerName>Smith Jane</rptOwnerName></reportingOwnerId>',
+  '<reportingOwnerRelationship><isDirector>1</isDirector></reportingOwnerRelationship></reportingOwner>',
+  '<nonDerivativeTable>',
+  transaction('S', 1000, 100, 'D'),
+  transaction('S', 500, 100, 'I', '<value>By Spouse</value>'),
+  transaction('S', 200, 100, 'I', '<footnoteId id="F1"/>'),
+  '<nonDerivativeHolding><securityTitle><value>Common Stock</value></securityTitle>' +
+    '<postTransactionAmounts><sharesOwnedFollowingTransaction><value>40000</value></sharesOwnedFollowingTransaction></postTransactionAmounts>' +
+    ownership('I', '<value>By Charitable Remainder Trust</value>') + '</nonDerivativeHolding>',
+  '</nonDerivativeTable>',
+  '<footnotes><footnote id="F1">Held by the Smith 2021 Grantor Retained Annuity Trust.</footnote></footnotes>',
+  '</ownershipDocument>',
+].join('\n');
+
+test('nature-of-ownership text normalizes to a category', () => {
+  const cases = {
+    'By Spouse': 'spouse',
+    'By Wife': 'spouse',
+    'By GRAT': 'grat',
+    'By 2019 Grantor Retained Annuity Trust': 'grat',
+    'By Charitable Remainder Trust': 'crt',
+    'By CRUT': 'crt',
+    'By Family Foundation': 'foundation',
+    'By Donor Advised Fund': 'daf',
+    'By Smith Holdings LLC': 'llc',
+    'By Smith Family Limited Partnership': 'partnership',
+    'By Revocable Trust': 'revocable_trust',
+    'By Smith Living Trust': 'revocable_trust',
+    'By 2012 Irrevocable Trust': 'irrevocable_trust',
+    'By GST Exempt Dynasty Trust': 'irrevocable_trust',
+    'By Smith Family Trust': 'trust',
+    'By 401(k) Plan': 'retirement',
+    'By Son (UTMA)': 'family',
+  };
+  for (const [nature, category] of Object.entries(cases)) {
+    assert.equal(normalizeOwnershipNature(nature, 'I'), category, nature);
+  }
+  assert.equal(normalizeOwnershipNature(null, 'D'), 'direct');
+  assert.equal(normalizeOwnershipNature(null, 'I'), 'other');
+  assert.equal(normalizeOwnershipNature('See Remarks', 'I'), 'other');
+});
+
+test('footnote references resolve to the footnote text', () => {
+  const footnotes = [{ id: 'F2', text: 'Shares held by the reporting person\'s donor-advised fund.' }];
+  assert.deepEqual(parseOwnershipNature(ownership('I', '<value>See footnote</value><footnoteId id="F2"/>'), footnotes), {
+    ownershipType: 'I',
+    natureOfOwnership: 'Shares held by the reporting person\'s donor-advised fund.',
+    ownershipCategory: 'daf',
+  });
+  assert.equal(parseOwnershipNature(ownership('D')).ownershipCategory, 'direct');
+});
+
+test('Form 4 transactions and holdings carry their ownership category and alerts', () => {
+  const parsed = parseForm4(`<XML>${FORM4_XML}</XML>`, { formType: '4' });
+  assert.deepEqual(parsed.transactions.map(t => t.ownershipCategory), ['direct', 'spouse', 'grat']);
+  assert.equal(parsed.nonDerivativeHoldings[0].natureOfOwnership, 'By Charitable Remainder Trust');
+  assert.equal(parsed.nonDerivativeHoldings[0].ownershipCategory, 'crt');
+
+  const alerts = Object.fromEntries(parsed.alerts.map(a => [a.type, a]));
+  assert.equal(alerts.PLANNED_GIVING_VEHICLE.severity, 'HIGH');
+  assert.match(alerts.PLANNED_GIVING_VEHICLE.message, /charitable remainder trust: By Charitable Remainder Trust/);
+  assert.match(alerts.ESTATE_PLANNING_VEHICLE.message, /Grantor Retained Annuity Trust/);
+  assert.ok(classifySignal({ ...parsed, normalizedType: 'FORM4' }).ruleIds.includes('planned_giving_vehicle'));
+
+  assert.deepEqual(attributeOwnershipValue(parsed.transactions), { personal: 100000, household: 170000, charitable: null });
+
+  const revocable = parseForm4(`<XML>${FORM4_XML.replace('Grantor Retained Annuity', 'Revocable')}</XML>`, { formType: '4' });
+  assert.equal(revocable.transactions[2].ownershipCategory, 'revocable_trust');
+  assert.ok(!revocable.alerts.some(a => a.type === 'ESTATE_PLANNING_VEHICLE'), 'a revocable trust is not estate planning');
+  assert.equal(attributeOwnershipValue(revocable.transactions).household, 170000);
+});
+
+test('results split value between the prospect and their household', async (t) => {
+  const dir = writeFilings(tempDir(t, 'sec-ownership-'), {
+    '0004-24-000001.txt': form4Submission('0004-24-000001', FORM4_XML),
+  });
+
+  const matcher = buildMatcher([{ id: 'P1', name: 'Jane Smith', company: 'Acme Corp', teamName: '' }]);
+  await matcher.processFilings(dir);
+
+  const [result] = matcher.results;
+  assert.equal(result.total_value, 170000);
+  assert.equal(result.personal_value, 100000);
+  assert.equal(result.household_value, 170000);
+  assert.equal(result.charitable_value, null);
+  assert.equal(result.has_planned_giving_vehicle, true);
+  assert.match(result.ownership_vehicles, /spouse: By Spouse; grat: Held by the Smith 2021 .*; crt: By Charitable Remainder Trust/);
+  assert.match(result.transaction_summary, /\[spouse\]/);
+  assert.deepEqual(result.transactions.map(tx => tx.ownershipCategory), ['direct', 'spouse', 'grat']);
+});
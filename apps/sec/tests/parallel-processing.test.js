@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { submission, buildMatcher, tempDir } = require('./helpers/filings');
+
+async function run(dir, workers) {
+  const matcher = buildMatcher([
+    { id: 'P1', name: 'Theodora Quigley', company: 'Northwind Traders', teamName: '' },
+    { id: 'P2', name: 'Bartholomew Ainsworth', company: 'Contoso Pharmaceuticals', teamName: '' },
+  ]);
+  const progress = [];
+  await matcher.processFilings(dir, { workers, progressCallback: p => progress.push(p) });
+  return { results: matcher.results, stats: matcher.stats, progress };
+}
+
+test('worker pool produces the same results and stats as a serial run', async (t) => {
+  const dir = tempDir(t, 'sec-parallel-');
+
+  for (let i = 0; i < 6; i++) {
+    const who = i % 2 === 0
+      ? 'Theodora Quigley, Chief Financial Officer of Northwind Traders, will serve on the board of directors.'
+      : 'Bartholomew Ainsworth, the President of Contoso Pharmaceuticals, has resigned from the company.';
+    fs.writeFileSync(path.join(dir, `000${i}.txt`), submission('8-K', `<HTML><BODY><P>${who}</P></BODY></HTML>`, { filedDate: '20240110' }));
+  }
+
+  const serial = await run(dir, 1);
+  const parallel = await run(dir, 3);
+
+  assert.ok(serial.results.length > 0);
+  assert.deepEqual(parallel.results, serial.results);
+  assert.deepEqual(parallel.stats, serial.stats);
+  assert.equal(parallel.progress.at(-1).current, 6);
+  assert.equal(parallel.progress.at(-1).matches, serial.results.length);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { rowToProspect } = require('../prospect-schema');
+const { form4, buildMatcher, tempDir, writeFilings } = require('./helpers/filings');
+
+const prospect = {
+  id: 'P1',
+  name: 'Katherine Ann Smith',
+  company: 'Acme Corp',
+  teamName: '',
+  aliases: ['Katherine Ann Whitfield', 'Kate Whitfield-Smith'],
+};
+
+test('aliases column adds full-name aliases next to nickname and maiden forms', () => {
+  const columns = { name: 'name', aliases: 'aliases', maidenName: 'maiden' };
+  const { prospect: p } = rowToProspect({ name: 'Mary Smith', aliases: 'Mary  Elizabeth Smith | M. E. Smith', maiden: 'Jones' }, columns);
+  assert.deepEqual(p.aliases, ['Mary Elizabeth Smith', 'M. E. Smith', 'Mary Jones']);
+});
+
+test('every alias is expanded into the structured index and AC patterns', () => {
+  const matcher = buildMatcher([prospect]);
+
+  const [byAlias] = matcher._matchName('Whitfield Katherine Ann');
+  assert.equal(byAlias.id, 'P1');
+  assert.equal(byAlias.matchedAlias, 'Katherine Ann Whitfield');
+
+  // Variants of an alias get the usual treatment (middle name dropped, dehyphenated)
+  assert.equal(matcher._matchName('Katherine Whitfield')[0].matchedAlias, 'Katherine Ann Whitfield');
+  assert.equal(matcher._matchName('Kate Whitfield Smith')[0].matchedAlias, 'Kate Whitfield-Smith');
+
+  // The main name is credited to the main name even where an alias shares a variant
+  assert.equal(matcher._matchName('Smith Katherine Ann')[0].matchedAlias, null);
+
+  const pattern = matcher.patternMap.get('katherine whitfield');
+  assert.equal(pattern.type, 'name');
+  assert.equal(pattern.variations[0].alias, 'Katherine Ann Whitfield');
+  assert.equal(matcher.patternMap.get('katherine smith').variations[0].alias, null);
+});
+
+test('results record which alias produced the hit', async (t) => {
+  const dir = writeFilings(tempDir(t, 'sec-alias-'), {
+    '0001-24-000001.txt': form4('0001-24-000001', 'Whitfield Katherine Ann'),
+    '0001-24-000002.txt': form4('0001-24-000002', 'Smith Katherine Ann'),
+  });
+
+  const matcher = buildMatcher([prospect]);
+  await matcher.processFilings(dir);
+  const byAccession = Object.fromEntries(matcher.results.map(r => [r.accession_number, r]));
+
+  assert.equal(byAccession['0001-24-000001'].matched_alias, 'Katherine Ann Whitfield');
+  assert.match(byAccession['0001-24-000001'].match_remarks, /Matched alias "Katherine Ann Whitfield"/);
+  assert.equal(byAccession['0001-24-000001'].match_verdict, 'LIKELY_VALID');
+  assert.equal(byAccession['0001-24-000002'].matched_alias, null);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildProspectRollup } = require('../prospect-rollup');
+
+function row(overrides) {
+  return {
+    prospect_id: 'P1',
+    prospect_name: 'Jane Roe',
+    match_method: 'structured',
+    match_verdict: 'LIKELY_VALID',
+    match_confidence: 95,
+    signal_tier: 2,
+    urgency: 'MEDIUM',
+    ...overrides,
+  };
+}
+
+test('rolls one prospect\'s filings into a single record', () => {
+  const [rollup] = buildProspectRollup([
+    row({ accession_number: 'A-1', form_type: '4', filed_date: '20240105', sale_value: 500000, personal_value: 300000, household_value: 500000, issuer_name: 'Acme Corp', issuer_ticker: 'ACME', filing_person_role: 'CFO', filing_person_title: 'CFO' }),
+    row({ accession_number: 'A-2', form_type: '4', filed_date: '20240301', gift_value: 250000, signal_tier: 1, urgency: 'HIGH', gift_officer_action: 'Ask about the gift', issuer_name: 'Acme Corp', issuer_ticker: 'ACME', filing_person_role: 'Chief Executive Officer, Director', filing_person_title: 'Chief Executive Officer' }),
+    row({ accession_number: 'A-3', form_type: '144', filed_date: '20240201', match_verdict: 'NEEDS_REVIEW', issuer_name: 'Beta Inc' }),
+  ]);
+
+  assert.equal(rollup.filing_count, 3);
+  assert.equal(rollup.filings_by_form, '4: 2; 144: 1');
+  assert.equal(rollup.best_verdict, 'LIKELY_VALID');
+  assert.equal(rollup.total_sale_value, 500000);
+  assert.equal(rollup.total_gift_value, 250000);
+  assert.equal(rollup.total_personal_value, 300000);
+  assert.equal(rollup.total_household_value, 500000);
+  assert.equal(rollup.latest_filed_date, '2024-03-01');
+  assert.equal(rollup.latest_title, 'Chief Executive Officer');
+  assert.equal(rollup.issuers, 'Acme Corp (ACME); Beta Inc');
+  assert.equal(rollup.strongest_tier, 1);
+  assert.equal(rollup.recommended_action, 'Ask about the gift');
+});
+
+test('false positives and text mentions do not add dollar value', () => {
+  const [rollup] = buildProspectRollup([
+    row({ accession_number: 'A-1', sale_value: 100, match_verdict: 'LIKELY_FALSE_POSITIVE' }),
+    row({ accession_number: 'A-2', sale_value: 200, match_method: 'text' }),
+    row({ accession_number: 'A-3', sale_value: 300 }),
+    row({ accession_number: 'A-3', sale_value: 300 }),
+  ]);
+  assert.equal(rollup.total_sale_value, 300);
+  assert.equal(rollup.filing_count, 3);
+  assert.equal(rollup.match_count, 4);
+});
+
+test('orders prospects by strongest tier first', () => {
+  const rollup = buildProspectRollup([
+    row({ prospect_id: 'P2', prospect_name: 'B', signal_tier: 3, accession_number: 'A-1' }),
+    row({ prospect_id: 'P1', prospect_name: 'A', signal_tier: 1, accession_number: 'A-2' }),
+  ]);
+  assert.deepEqual(rollup.map(r => r.prospect_id), ['P1', 'P2']);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { loadColumnMap, resolveColumns, rowToProspect, readProspectCsv, hasProblems } = require('../prospect-schema');
+const { tempDir } = require('./helpers/filings');
+
+const columnMap = loadColumnMap();
+
+function writeCsv(t, text) {
+  const file = path.join(tempDir(t, 'sec-prospects-'), 'prospects.csv');
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test('resolves split name columns case-insensitively', () => {
+  const headers = ['\uFEFFProspect ID', 'first name', 'Last Name', 'Employer', 'Notes'];
+  const { columns, unmapped } = resolveColumns(headers, columnMap);
+  assert.equal(columns.id, '\uFEFFProspect ID');
+  assert.equal(columns.firstName, 'first name');
+  assert.equal(columns.lastName, 'Last Name');
+  assert.equal(columns.company, 'Employer');
+  assert.deepEqual(unmapped, ['Notes']);
+});
+
+test('builds aliases and extra employers from their columns', () => {
+  const columns = {
+    id: 'id', firstName: 'first', middleName: 'middle', lastName: 'last',
+    nickname: 'nick', maidenName: 'maiden', company: 'co', otherCompanies: 'other', cik: 'cik',
+  };
+  const { prospect } = rowToProspect({
+    id: 'P1', first: 'William', middle: 'J', last: 'Smith', nick: 'Bill; Will',
+    maiden: '', co: 'Acme Corp', other: 'Widget Labs | Acme Corp', cik: '0001234567',
+  }, columns);
+
+  assert.equal(prospect.name, 'William J Smith');
+  assert.deepEqual(prospect.aliases, ['Bill J Smith', 'Will J Smith']);
+  assert.equal(prospect.company, 'Acme Corp');
+  assert.deepEqual(prospect.otherCompanies, ['Widget Labs']);
+  assert.deepEqual(prospect.ciks, ['1234567']);
+
+  const maiden = rowToProspect({ first: 'Mary', last: 'Smith', maiden: 'Jones' }, { firstName: 'first', lastName: 'last', maidenName: 'maiden' });
+  assert.deepEqual(maiden.prospect.aliases, ['Mary Jones']);
+});
+
+test('validation report lists id, name and row problems', async (t) => {
+  const file = writeCsv(t, [
+    'prospect_id,Name,Company Name',
+    'P1,John Smith,Acme Corp',
+    ',Jane Doe,Widget Labs',
+    'P1,Mary Jones,Other Co',
+    'P4,john smith,Foo Inc',
+    'P5,Cher,',
+    'P6,Ann,',
+    'P7,Too,Many,Fields',
+    'P8,1234,',
+  ].join('\n'));
+
+  const { prospects, report } = await readProspectCsv(file, columnMap);
+  assert.equal(report.totalRows, 8);
+  assert.equal(report.loaded, 6);
+  const assigned = prospects[1].id;
+  assert.match(assigned, /^auto-[0-9a-f]{12}$/);
+  assert.deepEqual(prospects.map(p => p.id), ['P1', assigned, 'P1#2', 'P4', 'P5', 'P6']);
+
+  assert.deepEqual(report.missingIds.map(m => m.line), [3]);
+  assert.deepEqual(report.duplicateIds[0].rows.map(r => r.assignedId), ['P1', 'P1#2']);
+  assert.deepEqual(report.duplicateNames[0].rows.map(r => r.id), ['P1', 'P4']);
+  assert.deepEqual(report.shortNames.map(s => [s.name, s.reason]), [['Cher', 'single word'], ['Ann', 'under 4 characters']]);
+  assert.deepEqual(report.unparseable.map(u => u.line), [8, 9]);
+  assert.ok(hasProblems(report));
+});
+
+test('a blank id is derived from name and company, whatever the row order', async (t) => {
+  const read = (lines) => readProspectCsv(writeCsv(t, ['prospect_id,Name,Company Name', ...lines].join('\n')), columnMap);
+  const first = await read([',Jane Doe,Widget Labs', 'P1,John Smith,Acme Corp']);
+  const reordered = await read(['P1,John Smith,Acme Corp', 'P2,Mary Jones,Other Co', ',jane doe,Widget Labs', ',Jane Doe,Widget Labs']);
+  assert.equal(reordered.prospects[2].id, first.prospects[0].id);
+  assert.equal(reordered.prospects[3].id, `${first.prospects[0].id}#2`);
+  assert.notEqual((await read([',Jane Doe,Acme Corp'])).prospects[0].id, first.prospects[0].id);
+});
+
+test('rejects a column map without a usable name field', (t) => {
+  const file = writeCsv(t, JSON.stringify({ columns: { id: ['ID'], lastName: ['Last'] } }));
+  assert.throws(() => loadColumnMap(file), /map "name", or "firstName" and "lastName"/);
+  fs.writeFileSync(file, JSON.stringify({ columns: { name: ['Name'], employer: ['Employer'] } }));
+  assert.throws(() => loadColumnMap(file), /unknown field "employer"/);
+});
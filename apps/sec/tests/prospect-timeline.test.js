@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildTimelines, renderMarkdown, normalizeDate, edgarFilingUrl } = require('../prospect-timeline');
+
+function row(overrides) {
+  return {
+    prospect_id: 'P1',
+    prospect_name: 'Jane Roe',
+    prospect_company: 'Acme Corp',
+    match_method: 'structured',
+    match_verdict: 'LIKELY_VALID',
+    issuer_name: 'Acme Corp',
+    issuer_cik: '0000123456',
+    transactions: [],
+    ...overrides,
+  };
+}
+
+const RESULTS = [
+  row({
+    accession_number: '0000123456-24-000003', form_type: '4', normalized_type: 'FORM4', filed_date: '20240310',
+    transactions: [{ code: 'S', label: 'Sale (open market)', date: '2024-03-08', shares: 1000, pricePerShare: 50, value: 50000, sharesAfter: 9000 }],
+  }),
+  row({ accession_number: '0000123456-24-000001', form_type: '3', normalized_type: 'FORM3', filed_date: '20240105', filing_person_role: 'Chief Financial Officer' }),
+  row({
+    accession_number: '0000123456-24-000002', form_type: '144', normalized_type: 'FORM144', filed_date: '20240301',
+    transactions: [{ code: '144_NOTICE', label: 'Intent to Sell (Form 144)', date: '03/05/2024', shares: 1000, value: 51000 }],
+  }),
+  row({ accession_number: '0000123456-24-000004', form_type: '8-K', normalized_type: '8K', filed_date: '20240401', match_method: 'text', source_document: 'EX-99.1 (pr.htm)' }),
+  row({ accession_number: '0000123456-24-000005', form_type: '4', filed_date: '20240101', match_verdict: 'LIKELY_FALSE_POSITIVE' }),
+  row({ prospect_id: 'P2', prospect_name: 'Solo Filer', accession_number: '0000123456-24-000009', form_type: '4', filed_date: '20240101' }),
+];
+
+test('orders a prospect\'s filings into a chronological event list', () => {
+  const [timeline] = buildTimelines(RESULTS);
+  assert.equal(timeline.prospect_id, 'P1');
+  assert.equal(timeline.filing_count, 4);
+  assert.deepEqual(timeline.events.map(e => e.event_type), ['BECAME_INSIDER', 'SALE_NOTICE', 'SALE', 'MENTION']);
+  assert.deepEqual(timeline.events.map(e => e.date), ['2024-01-05', '2024-03-05', '2024-03-08', '2024-04-01']);
+
+  const sale = timeline.events[2];
+  assert.equal(sale.shares, 1000);
+  assert.equal(sale.price_per_share, 50);
+  assert.equal(sale.shares_after, 9000);
+  assert.equal(sale.url, 'https://www.sec.gov/Archives/edgar/data/123456/000012345624000003/0000123456-24-000003-index.htm');
+});
+
+test('skips prospects below the filing threshold', () => {
+  assert.deepEqual(buildTimelines(RESULTS).map(t => t.prospect_id), ['P1']);
+  assert.deepEqual(buildTimelines(RESULTS, { minFilings: 1 }).map(t => t.prospect_id), ['P1', 'P2']);
+});
+
+test('renders a Markdown table with filing links', () => {
+  const md = renderMarkdown(buildTimelines(RESULTS)[0]);
+  assert.match(md, /^# Jane Roe \(Acme Corp\)/);
+  assert.match(md, /\| 2024-03-08 \| 4 \| sale \| Sale \(open market\) — Acme Corp \| 1,000 \| \$50 \| \$50,000 \| 9,000 \| \[0000123456-24-000003\]\(https:/);
+});
+
+test('normalizes filing date formats and needs a CIK for links', () => {
+  assert.equal(normalizeDate('20240105'), '2024-01-05');
+  assert.equal(normalizeDate('3/5/2024'), '2024-03-05');
+  assert.equal(normalizeDate('soon'), null);
+  assert.equal(edgarFilingUrl('0000123456-24-000001', null), null);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { correlateSales } = require('../sale-correlator');
+const { resultRow } = require('./helpers/filings');
+
+function notice(accession, filedDate, shares, value) {
+  return resultRow({ accession_number: accession, form_type: '144', filed_date: filedDate, transactions: [{ code: '144_NOTICE', date: filedDate, shares, value }] });
+}
+
+function sale(accession, date, shares, price, overrides = {}) {
+  return resultRow({
+    accession_number: accession, form_type: '4', filed_date: date.replace(/-/g, ''),
+    transactions: [{ code: 'S', date, shares, pricePerShare: price, value: shares * price }],
+    ...overrides,
+  });
+}
+
+test('pairs a 144 notice with the Form 4 sales that follow it', () => {
+  const [c] = correlateSales([
+    notice('N-1', '20240301', 10000, 500000),
+    sale('S-1', '2024-03-04', 6000, 51),
+    sale('S-2', '2024-03-11', 4000, 52),
+  ]);
+  assert.equal(c.status, 'FULFILLED');
+  assert.equal(c.realized_shares, 10000);
+  assert.equal(c.realized_value, 514000);
+  assert.equal(c.realized_pct, 100);
+  assert.equal(c.sale_accessions, 'S-1, S-2');
+  assert.equal(c.liquidity_pending, false);
+});
+
+test('flags notices still unsold after the pending window', () => {
+  const results = [
+    notice('N-1', '20240301', 10000, 500000),
+    sale('S-1', '2024-03-04', 2500, 50),
+    notice('N-2', '20240310', 1000, 40000),
+    resultRow({ accession_number: 'X-1', form_type: '8-K', filed_date: '20240401' }),
+  ];
+  const [partial, unsold] = correlateSales(results, { pendingDays: 14 });
+  assert.equal(partial.status, 'PARTIAL');
+  assert.equal(partial.realized_pct, 25);
+  assert.equal(partial.days_since_notice, 31);
+  assert.equal(partial.liquidity_pending, true);
+  assert.equal(unsold.status, 'UNFULFILLED');
+  assert.equal(unsold.liquidity_pending, true);
+
+  const [early] = correlateSales(results, { pendingDays: 14, asOfDate: '2024-03-10' });
+  assert.equal(early.liquidity_pending, false);
+});
+
+test('ignores sales by another owner, in another issuer, or outside the window', () => {
+  const [c] = correlateSales([
+    notice('N-1', '20240301', 1000, 50000),
+    sale('S-1', '2024-03-02', 1000, 50, { filing_person_cik: '0009999999' }),
+    sale('S-2', '2024-03-02', 1000, 50, { issuer_cik: '0000777777', issuer_name: 'Other Inc' }),
+    sale('S-3', '2024-08-01', 1000, 50),
+    sale('S-4', '2024-02-01', 1000, 50),
+  ]);
+  assert.equal(c.status, 'UNFULFILLED');
+  assert.equal(c.realized_shares, 0);
+});
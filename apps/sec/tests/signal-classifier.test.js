@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { classifySignal, loadSignalRules } = require('../signal-classifier');
+const { tempDir } = require('./helpers/filings');
+
+function writeRules(t, rules) {
+  const file = path.join(tempDir(t, 'sec-rules-'), 'rules.json');
+  fs.writeFileSync(file, JSON.stringify(rules));
+  return file;
+}
+
+const rule = (overrides) => ({ id: 'r', when: {}, tier: 2, urgency: 'LOW', action: 'Act.', ...overrides });
+
+test('loadSignalRules rejects malformed rule files by rule id', (t) => {
+  assert.throws(() => loadSignalRules(writeRules(t, { rules: {} })), /expected a "rules" array/);
+  assert.throws(() => loadSignalRules(writeRules(t, { rules: [rule({ id: 'bad_tier', tier: 4 })] })), /"bad_tier".*tier must be 1, 2 or 3/);
+  assert.throws(() => loadSignalRules(writeRules(t, { rules: [rule({ id: 'bad_urgency', urgency: 'NOW' })] })), /"bad_urgency".*urgency/);
+  assert.throws(() => loadSignalRules(writeRules(t, { rules: [rule({ id: 'no_action', action: '' })] })), /"no_action".*action text/);
+  assert.throws(() => loadSignalRules(writeRules(t, { rules: [rule({ id: 'no_when', when: undefined })] })), /"no_when".*"when" block/);
+  assert.ok(loadSignalRules().rules.length > 0, 'the shipped rule file is valid');
+});
+
+test('the strongest matching rule sets tier and action; groups report their first match', () => {
+  const rules = {
+    rules: [
+      rule({ id: 'major_sale', group: 'sale', when: { transactionCodes: ['S'], minValue: 1000000 }, tier: 1, urgency: 'HIGH', label: 'Major Sale', dimensions: ['LIQUIDITY'], action: 'Sold {value} of {issuer}.' }),
+      rule({ id: 'sale', group: 'sale', when: { transactionCodes: ['S'] }, tier: 2, label: 'Sale', dimensions: ['LIQUIDITY'] }),
+      rule({ id: 'award', when: { transactionCodes: ['A'] }, tier: 2, urgency: 'MEDIUM', label: 'Award', dimensions: ['CAPACITY'] }),
+    ],
+  };
+  const parsed = {
+    issuer: { name: 'Acme Corp', ticker: 'ACME' },
+    formType: '4',
+    transactions: [{ code: 'A', value: 10 }, { code: 'S', value: 2000000 }],
+  };
+  const signal = classifySignal(parsed, rules);
+  assert.deepEqual(signal.ruleIds, ['major_sale', 'award']);
+  assert.equal(signal.tier, 1);
+  assert.equal(signal.giftOfficerAction, 'Sold $2,000,000 of Acme Corp.');
+  assert.deepEqual(signal.dimensions, ['LIQUIDITY', 'CAPACITY']);
+
+  parsed.transactions[1].value = 500;
+  assert.deepEqual(classifySignal(parsed, rules).ruleIds, ['sale', 'award']);
+});
+
+test('filings no rule matches fall back to the default rule, built in when the file has none', (t) => {
+  const parsed = { issuer: { name: 'Acme Corp' }, formType: '8-K', transactions: [] };
+  const withDefault = {
+    rules: [rule({ when: { transactionCodes: ['S'] } })],
+    default: { id: 'custom_mention', tier: 3, urgency: 'LOW', label: 'Mention', action: 'Saw {issuer} in a {formType}.' },
+  };
+  assert.equal(classifySignal(parsed, withDefault).giftOfficerAction, 'Saw Acme Corp in a 8-K.');
+
+  const withoutDefault = loadSignalRules(writeRules(t, { rules: [rule({ when: { transactionCodes: ['S'] } })] }));
+  const signal = classifySignal(parsed, withoutDefault);
+  assert.deepEqual(signal.ruleIds, ['mention']);
+  assert.equal(signal.tier, 3);
+  assert.match(signal.giftOfficerAction, /Named in a 8-K filing for Acme Corp/);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { foldText, foldSearchText } = require('../text-normalize');
+const { decodeEntities } = require('../parsers/xml-utils');
+const { submission, buildMatcher, tempDir, writeFilings } = require('./helpers/filings');
+
+function eightK(accession, body) {
+  return submission('8-K', ['<HTML><BODY>', `<p>${body}</p>`, '</BODY></HTML>'].join('\n'), {
+    accession,
+    documentHeader: ['<SEQUENCE>1', '<FILENAME>d8k.htm'],
+  });
+}
+
+const PROSPECTS = [
+  { id: 'P1', name: 'José Núñez', company: 'Acme Corp', teamName: '' },
+  { id: 'P2', name: 'Seán O’Brien', company: 'Société Générale', teamName: '' },
+];
+
+test('folds accents, entities, apostrophes, dashes and spaces', () => {
+  assert.equal(foldText('José Núñez'), 'Jose Nunez');
+  assert.equal(foldText('Jos&eacute; N&#250;&#xF1;ez'), 'Jose Nunez');
+  assert.equal(foldText('O’Brien–Smith Jr.'), "O'Brien-Smith Jr.");
+  assert.equal(foldText('Søren Łukasz Straße'), 'Soren Lukasz Strasse');
+  assert.equal(foldText('AT&T &bogus;'), 'AT&T &bogus;');
+});
+
+test('folded search text maps positions back to the original', () => {
+  const raw = 'CEO Jos&eacute; Nũñez — Ørsted';
+  const { text, toOriginal } = foldSearchText(raw);
+  assert.equal(text, 'CEO Jose Nunez - Orsted');
+
+  const start = text.indexOf('Jose Nunez');
+  const end = start + 'Jose Nunez'.length;
+  assert.equal(raw.slice(toOriginal(start), toOriginal(end)), 'Jos&eacute; Nũñez');
+  assert.equal(raw[toOriginal(text.indexOf('Orsted'))], 'Ø');
+  assert.equal(toOriginal(text.length), raw.length);
+
+  const strasse = foldSearchText('Straße Co');
+  assert.equal(strasse.text, 'Strasse Co');
+  assert.deepEqual([4, 5, 6, 8].map(pos => strasse.toOriginal(pos)), [4, 4, 5, 7]);
+  assert.equal(foldSearchText('AT&T 中国').text, 'AT&T 中国', 'nothing to fold');
+  assert.equal(foldSearchText('plain ascii').toOriginal(3), 3);
+});
+
+test('entity names that are Object methods are left as written', () => {
+  assert.equal(decodeEntities('a &toString; b &valueOf; &amp;'), 'a &toString; b &valueOf; &');
+  assert.equal(foldText('a &constructor; b'), 'a &constructor; b');
+  assert.equal(foldSearchText('a &valueOf; b &eacute;').text, 'a &valueOf; b e');
+});
+
+test('accented and unaccented spellings of a name match each other', () => {
+  const matcher = buildMatcher(PROSPECTS);
+  const match = (name) => matcher._matchName(name).map(m => [m.id, m.matchMethod]);
+
+  assert.deepEqual(match('NUNEZ JOSE'), [['P1', 'exact']]);
+  assert.deepEqual(match('Núñez José'), [['P1', 'exact']]);
+  assert.deepEqual(match("O'Brien Sean"), [['P2', 'exact']]);
+  assert.deepEqual(match('OBRIEN SEAN'), [['P2', 'exact']]);
+  assert.equal(matcher.patternMap.get('societe generale').type, 'company');
+});
+
+test('entity-encoded names in filing text match and keep their source document', async (t) => {
+  const dir = writeFilings(tempDir(t, 'sec-fold-'), {
+    '0002-24-000001.txt': eightK('0002-24-000001',
+      'Jos&eacute; N&uacute;&ntilde;ez, Chief Financial Officer of Acme Corp since 2019, said the company is doing well in all of its markets.'),
+  });
+
+  const matcher = buildMatcher(PROSPECTS);
+  await matcher.processFilings(dir);
+  assert.equal(matcher.results.length, 1);
+  const [result] = matcher.results;
+  assert.equal(result.prospect_id, 'P1');
+  assert.equal(result.match_method, 'text');
+  assert.match(result.name_context, /Jose Nunez, Chief Financial Officer/);
+  assert.match(result.source_document, /d8k\.htm/);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  splitDocuments,
+  primaryDocument,
+  describeDocument,
+  findDocumentAt,
+  searchableRanges,
+  decodeEntities,
+} = require('../parsers/xml-utils');
+
+function doc(type, seq, filename, description, body) {
+  return [
+    '<DOCUMENT>',
+    `<TYPE>${type}`,
+    `<SEQUENCE>${seq}`,
+    `<FILENAME>${filename}`,
+    description ? `<DESCRIPTION>${description}` : null,
+    '<TEXT>',
+    body,
+    '</TEXT>',
+    '</DOCUMENT>',
+  ].filter(line => line !== null).join('\n');
+}
+
+const SUBMISSION = [
+  '<SEC-DOCUMENT>0000000000-24-000001.txt : 20240110',
+  '<SEC-HEADER>',
+  'CONFORMED SUBMISSION TYPE:\t8-K',
+  '</SEC-HEADER>',
+  doc('8-K', 1, 'd8k.htm', 'FORM 8-K', '<HTML><BODY>Item 5.02</BODY></HTML>'),
+  doc('EX-99.1', 2, 'dex991.htm', 'PRESS RELEASE', '<HTML><BODY>Jane Roe appointed CFO</BODY></HTML>'),
+  doc('EX-10.1', 3, 'dex101.htm', 'EMPLOYMENT AGREEMENT', '<HTML><BODY>Agreement</BODY></HTML>'),
+  doc('EX-10.2', 4, 'dex102.htm', 'CREDIT AGREEMENT', '<HTML><BODY>Credit</BODY></HTML>'),
+  doc('GRAPHIC', 5, 'logo.jpg', null, 'begin 644 logo.jpg\nM_]C_X``02D9)1@\n`\nend'),
+  '</SEC-DOCUMENT>',
+].join('\n');
+
+test('splits a submission into typed documents', () => {
+  const docs = splitDocuments(SUBMISSION, '8-K');
+  assert.deepEqual(docs.map(d => d.type), ['8-K', 'EX-99.1', 'EX-10.1', 'EX-10.2', 'GRAPHIC']);
+  assert.deepEqual(docs.map(d => d.role), ['primary', 'press_release', 'employment_agreement', 'material_contract', 'graphic']);
+  assert.deepEqual(docs.map(d => d.format), ['html', 'html', 'html', 'html', 'uuencoded']);
+  assert.equal(docs[1].description, 'PRESS RELEASE');
+  assert.equal(docs[1].sequence, '2');
+});
+
+test('document offsets point at the body inside the raw submission', () => {
+  const docs = splitDocuments(SUBMISSION, '8-K');
+  const pos = SUBMISSION.indexOf('Jane Roe');
+  const found = findDocumentAt(docs, pos);
+  assert.equal(found.filename, 'dex991.htm');
+  assert.ok(SUBMISSION.slice(found.start, found.end).includes('Jane Roe'));
+  assert.equal(findDocumentAt(docs, 0), null);
+});
+
+test('recognizes the 13F information table and describes documents', () => {
+  const raw = [
+    doc('13F-HR', 1, 'primary_doc.xml', null, '<XML>\n<edgarSubmission/>\n</XML>'),
+    doc('INFORMATION TABLE', 2, 'infotable.xml', null, '<XML>\n<informationTable/>\n</XML>'),
+  ].join('\n');
+  const docs = splitDocuments(raw, '13F-HR');
+  assert.equal(docs[1].role, 'information_table');
+  assert.equal(docs[1].format, 'xml');
+  assert.equal(primaryDocument(docs).type, '13F-HR');
+  assert.equal(describeDocument(docs[1]), 'INFORMATION TABLE (infotable.xml)');
+});
+
+test('falls back to one primary document when there are no DOCUMENT blocks', () => {
+  const docs = splitDocuments('plain filing text', '10-K');
+  assert.equal(docs.length, 1);
+  assert.equal(docs[0].role, 'primary');
+  assert.equal(docs[0].format, 'text');
+  assert.equal(docs[0].end, 'plain filing text'.length);
+});
+
+test('leaves binary documents out of the searchable ranges', () => {
+  const docs = splitDocuments(SUBMISSION, '8-K');
+  const searchable = searchableRanges(SUBMISSION, docs);
+  assert.deepEqual(searchable.ranges, [[0, docs[4].start], [docs[4].end, SUBMISSION.length]]);
+  assert.equal(searchable.documentsSkipped, 1);
+  assert.equal(searchable.bytesSkipped, Buffer.byteLength(SUBMISSION.slice(docs[4].start, docs[4].end)));
+  const text = searchable.ranges.map(([start, end]) => SUBMISSION.slice(start, end)).join('');
+  assert.ok(!text.includes('M_]C_X'));
+  assert.ok(text.includes('Jane Roe'));
+  assert.deepEqual(searchableRanges('plain text', []).ranges, [[0, 10]]);
+});
+
+test('treats base64 bodies and binary filenames as binary', () => {
+  const line = 'QUJDREVGR0hJSktMTU5PUFFSU1RVVldYWVphYmNkZWZnaGlqa2xtbm9wcXJzdHV2d3h5ejAxMjM0';
+  const raw = [
+    doc('10-K', 1, 'd10k.htm', null, '<HTML>Annual report</HTML>'),
+    doc('EX-99.2', 2, 'blob.txt', null, Array(6).fill(line).join('\n')),
+    doc('ZIP', 3, 'Financial_Report.xlsx', null, 'opaque'),
+  ].join('\n');
+  const docs = splitDocuments(raw, '10-K');
+  assert.equal(docs[1].format, 'base64');
+  const searchable = searchableRanges(raw, docs);
+  assert.equal(searchable.documentsSkipped, 2);
+  const text = searchable.ranges.map(([start, end]) => raw.slice(start, end)).join('');
+  assert.ok(text.includes('Annual report'));
+  assert.ok(!text.includes('opaque'));
+});
+
+test('decodes named and numeric entities in one pass', () => {
+  assert.equal(decodeEntities('Jos&eacute; N&uacute;&ntilde;ez'), 'José Núñez');
+  assert.equal(decodeEntities('O&#8217;Brien &#x2013; Smith &amp; Co'), 'O\u2019Brien \u2013 Smith & Co');
+  assert.equal(decodeEntities('&amp;lt;'), '&lt;', 'decoded text is not decoded again');
+  assert.equal(decodeEntities('AT&T &bogus; &#0;'), 'AT&T &bogus; &#0;');
+});
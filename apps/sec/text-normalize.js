@@ -0,0 +1,146 @@
+/**
+ * Text folding for matching — one normalization for prospect names, names
+ * pulled out by the parsers, company names and filing text.
+ *
+ *   - HTML entities decoded, named and numeric ("Jos&eacute;", "&#233;")
+ *   - NFKD with combining marks dropped ("José Núñez" → "Jose Nunez"), plus
+ *     letters NFKD leaves alone (ø → o, ł → l, ß → ss, æ → ae)
+ *   - curly / modifier apostrophes → "'", Unicode hyphens and dashes → "-",
+ *     no-break and other Unicode spaces → " "
+ *
+ * Case is kept; callers lower-case as before. foldSearchText() also maps
+ * positions in the folded filing text back to the original.
+ */
+
+const { ENTITY_RE, decodeEntityMatch } = require('./parsers/xml-utils');
+
+const SPECIAL_FOLDS = {
+  'ø': 'o', 'Ø': 'O', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'ł': 'l', 'Ł': 'L', 'ı': 'i',
+  'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'þ': 'th', 'Þ': 'Th',
+};
+const APOSTROPHES = /[\u2018\u2019\u201B\u02BC\u02B9\u2032\u00B4`]/;
+const HYPHENS = /[\u2010-\u2015\u2212\uFE58\uFE63\uFF0D]/;
+const SPACES = /[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/;
+const ZERO_WIDTH = /[\u00AD\u200B-\u200D\u2060\uFEFF]/;
+
+const foldCache = new Map();
+
+/**
+ * Fold one character (one code point).
+ */
+function foldChar(ch) {
+  const cached = foldCache.get(ch);
+  if (cached !== undefined) return cached;
+
+  let folded;
+  if (SPECIAL_FOLDS[ch]) folded = SPECIAL_FOLDS[ch];
+  else if (APOSTROPHES.test(ch)) folded = "'";
+  else if (HYPHENS.test(ch)) folded = '-';
+  else if (SPACES.test(ch)) folded = ' ';
+  else if (ZERO_WIDTH.test(ch)) folded = '';
+  else folded = ch.normalize('NFKD').replace(/\p{M}/gu, '');
+
+  foldCache.set(ch, folded);
+  return folded;
+}
+
+/**
+ * Decode entities and fold a short string (a name, a company, a text snippet).
+ */
+function foldText(text) {
+  if (!text) return text;
+  const decoded = String(text).replace(ENTITY_RE, (m, decimal, hex, name) => decodeEntityMatch(decimal, hex, name) ?? m);
+  if (!/[\u0080-\uFFFF]/.test(decoded)) return decoded;
+  let out = '';
+  for (const ch of decoded) out += ch.charCodeAt(0) < 0x80 ? ch : foldChar(ch);
+  return out;
+}
+
+/**
+ * Fold a whole filing for text search.
+ *
+ * Only the replaced characters and entities are recorded (not one offset per
+ * character), so a filing with a few "&amp;"s costs a few entries.
+ *
+ * @returns {{ text: string, toOriginal: (pos: number) => number }} toOriginal
+ *   maps an index in `text` to the index in `raw` it came from (text.length maps
+ *   to raw.length)
+ */
+function foldSearchText(raw) {
+  if (!raw || !/[\u0080-\uFFFF]|&[#A-Za-z]/.test(raw)) return { text: raw, toOriginal: pos => pos };
+
+  // Each replacement, as parallel lists: where it starts and ends in the folded
+  // text, and where its source starts and ends in raw
+  const foldedStarts = [];
+  const foldedEnds = [];
+  const rawStarts = [];
+  const rawEnds = [];
+  const chunks = [];
+  let length = 0;
+  let runStart = 0;
+  // Folded text that replaces raw[from, to)
+  const replace = (str, from, to) => {
+    if (from > runStart) chunks.push(raw.slice(runStart, from));
+    length += from - runStart;
+    foldedStarts.push(length);
+    rawStarts.push(from);
+    chunks.push(str);
+    length += str.length;
+    foldedEnds.push(length);
+    rawEnds.push(to);
+    runStart = to;
+  };
+
+  const entityRe = new RegExp(ENTITY_RE.source, 'y');
+  let i = 0;
+  while (i < raw.length) {
+    const code = raw.charCodeAt(i);
+    if (code < 0x80 && code !== 0x26) {  // plain ASCII, not '&'
+      i++;
+      continue;
+    }
+
+    if (code === 0x26) {
+      entityRe.lastIndex = i;
+      const m = entityRe.exec(raw);
+      const decoded = m ? decodeEntityMatch(m[1], m[2], m[3]) : null;
+      if (decoded != null) {
+        let folded = '';
+        for (const ch of decoded) folded += ch.charCodeAt(0) < 0x80 ? ch : foldChar(ch);
+        replace(folded, i, i + m[0].length);
+        i += m[0].length;
+      } else {
+        i++;
+      }
+    } else {
+      const ch = String.fromCodePoint(raw.codePointAt(i));
+      const folded = foldChar(ch);
+      if (folded !== ch) replace(folded, i, i + ch.length);
+      i += ch.length;
+    }
+  }
+  if (chunks.length === 0) return { text: raw, toOriginal: pos => pos };
+  chunks.push(raw.slice(runStart));
+
+  const toOriginal = (pos) => {
+    // Last replacement starting at or before pos
+    let lo = 0;
+    let hi = foldedStarts.length - 1;
+    let k = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (foldedStarts[mid] <= pos) {
+        k = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    if (k === -1) return pos;
+    if (pos < foldedEnds[k]) return rawStarts[k];
+    return rawEnds[k] + (pos - foldedEnds[k]);
+  };
+  return { text: chunks.join(''), toOriginal };
+}
+
+module.exports = { foldText, foldSearchText, foldChar };